@@ -4,10 +4,46 @@ const minimist = require('minimist');
 const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
+const stream = require('stream');
 
 const AES = require('./src/implementation');
 const encrypt = AES.encrypt;
 const decrypt = AES.decrypt;
+const decryptRange = AES.decryptRange;
+const cipherModes = AES.cipherModes;
+const paddingSchemes = AES.paddingSchemes;
+const backends = AES.backends;
+const parallelCipherModes = AES.parallelCipherModes;
+const authenticatedCipherModes = AES.authenticatedCipherModes;
+const outputEncodings = AES.outputEncodings;
+const DecryptionError = AES.DecryptionError;
+const AuthenticationError = AES.AuthenticationError;
+const container = require('./src/container');
+const maxHeaderSize = container.maxHeaderSize;
+const readHeader = container.readHeader;
+const streams = require('./src/streams');
+const createEncryptStream = streams.createEncryptStream;
+const createDecryptStream = streams.createDecryptStream;
+const armorModule = require('./src/armor');
+const detectEncoding = armorModule.detectEncoding;
+const detectionLength = armorModule.detectionLength;
+const keywrap = require('./src/keywrap');
+const wrapKey = keywrap.wrapKey;
+const unwrapKey = keywrap.unwrapKey;
+const wrapKeyWithPadding = keywrap.wrapKeyWithPadding;
+const unwrapKeyWithPadding = keywrap.unwrapKeyWithPadding;
+const cmacModule = require('./src/cmac');
+const cmac = cmacModule.cmac;
+const verifyCmac = cmacModule.verifyCmac;
+const xts = require('./src/xts');
+const xtsKeySizes = xts.xtsKeySizes;
+const createXtsEncryptStream = xts.createXtsEncryptStream;
+const createXtsDecryptStream = xts.createXtsDecryptStream;
+const keys = require('./src/keys');
+const keyFormats = keys.keyFormats;
+const generateKey = keys.generateKey;
+const encodeKey = keys.encodeKey;
+const decodeKey = keys.decodeKey;
 
 const directoryName = path.resolve(__dirname);
 
@@ -26,72 +62,654 @@ function start(args) {
     return;
   }
 
-  const keysize = getKeysize(process.env.AES_KEYSIZE || args.keysize);
-  if (!keysize) {
-    console.log();
-    printUsage();
+  if (args._[0] === 'keygen') {
+    keygen(args);
+    return;
+  }
+
+  if (args._[0] === 'wrap' || args._[0] === 'unwrap') {
+    wrap(args, args._[0] === 'unwrap');
+    return;
+  }
+
+  if (args._[0] === 'mac') {
+    mac(args);
+    return;
+  }
+
+  if (args._[0] === 'xts') {
+    xtsImage(args);
     return;
   }
+
   const mode = getMode(process.env.AES_MODE || args.mode);
   if (!mode) {
-    console.log();
-    printUsage();
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const raw = process.env.AES_RAW === 'true' || args.raw;
+  // decrypting a container reads the key size, cipher mode and padding from
+  // its header instead
+  const needsParameters = mode === 'encrypt' || raw;
+
+  const keysize = getKeysize(
+    process.env.AES_KEYSIZE || args.keysize, needsParameters
+  );
+  if (keysize === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  const cipherMode = getCipherMode(
+    process.env.AES_CIPHER_MODE || args['cipher-mode'], needsParameters
+  );
+  if (cipherMode === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const padding = getPadding(
+    process.env.AES_PADDING || args.padding, needsParameters
+  );
+  if (padding === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (padding && padding !== 'pkcs7' && cipherMode &&
+    cipherMode !== 'ecb' && cipherMode !== 'cbc' && cipherMode !== 'cbc-hmac') {
+    console.error(chalk.red('Error: --padding can only be used with the ' +
+      'ecb, cbc and cbc-hmac cipher modes'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const range = getRange(
+    process.env.AES_OFFSET || args.offset,
+    process.env.AES_LENGTH || args.length
+  );
+  if (range === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (range && (mode !== 'decrypt' || (cipherMode && cipherMode !== 'ctr'))) {
+    console.error(chalk.red('Error: --offset and --length can only be ' +
+      'used to decrypt with the ctr cipher mode'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const aadFilename = process.env.AES_AAD_FILE || args.aadfile;
+  if (aadFilename && cipherMode && cipherMode !== 'gcm') {
+    console.error(chalk.red('Error: --aadfile can only be used with the ' +
+      'gcm cipher mode'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const backend = getBackend(process.env.AES_BACKEND || args.backend);
+  if (backend === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const threads = getThreads(process.env.AES_THREADS || args.threads);
+  if (threads === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const outputEncoding = getOutputEncoding(
+    process.env.AES_ARMOR === 'true' || args.armor,
+    process.env.AES_OUTPUT_ENCODING || args['output-encoding']
+  );
+  const inputEncoding = getEncoding(
+    process.env.AES_INPUT_ENCODING || args['input-encoding'], 'input encoding'
+  );
+  if (outputEncoding === null || inputEncoding === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (outputEncoding && mode !== 'encrypt') {
+    console.error(chalk.red('Error: --armor and --output-encoding can only ' +
+      'be used to encrypt, encoded input is detected when decrypting'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (inputEncoding && (mode !== 'decrypt' || range)) {
+    console.error(chalk.red('Error: --input-encoding can only be used to ' +
+      'decrypt a whole file'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const password = process.env.AES_PASSWORD || args.password;
+  const iterations = getIterations(
+    process.env.AES_ITERATIONS || args.iterations
+  );
+  if (iterations === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (iterations && password === undefined) {
+    console.error(chalk.red('Error: --iterations can only be used with ' +
+      '--password'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  // when decrypting, --iterations raises the highest iteration count
+  // accepted from the header
+  const maxIterations = mode === 'decrypt' ? iterations : undefined;
+
+  // '-' or no filename reads from stdin and writes to stdout, so the input
+  // and output can be piped
+  const inputArg = process.env.AES_INPUT_FILE || args.inputfile;
+  const inputFilename = getFilename(inputArg);
+  const outputFilename = getFilename(
+    process.env.AES_OUTPUT_FILE || args.outputfile
+  );
+  if (inputArg === undefined && process.stdin.isTTY) {
+    console.error(chalk.red('Error: Must specify --inputfile or pipe the ' +
+      'input to stdin'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (!inputFilename && password === '') {
+    console.error(chalk.red('Error: Can\'t prompt for a password while ' +
+      'reading the input from stdin, set AES_PASSWORD instead'));
+    return;
+  }
+  if (range && !inputFilename) {
+    console.error(chalk.red('Error: --offset and --length need an input ' +
+      'file, stdin can\'t be read from an offset'));
+    console.error();
+    printUsage(console.error);
     return;
   }
 
-  const outputFilename = process.env.AES_OUTPUT_FILE ||
-    args.outputfile || 'output.txt';
+  const keyFilename = process.env.AES_KEY_FILE || args.keyfile;
+  const keyFormat = getKeyFormat(
+    process.env.AES_KEY_FORMAT || args.keyformat, false
+  );
+  if (keyFormat === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  const keySource = { keyFilename, keyFormat, keysize, password, mode };
 
-  Promise.all([
-    readFile(process.env.AES_KEY_FILE || args.keyfile),
-    readFile(process.env.AES_INPUT_FILE || args.inputfile),
-  ])
-    .then(function(args) {
-      const key = args[0];
-      const input = args[1];
+  if (range) {
+    getKey(keySource)
+      .then(function(keyOptions) {
+        return decryptRange(
+          keysize,
+          keyOptions.key,
+          path.resolve(inputFilename),
+          range.offset,
+          range.length,
+          Object.assign({ container: !raw, backend, maxIterations }, keyOptions)
+        );
+      })
+      .then(function(output) {
+        return writeOutput(outputFilename, output);
+      })
+      .catch(handleError);
+    return;
+  }
+
+  Promise.resolve()
+    .then(function() {
+      const input = inputFilename ?
+        fs.createReadStream(path.resolve(inputFilename)) : process.stdin;
       if (mode === 'encrypt') {
-        return encrypt(keysize, key, input, outputFilename);
-      } else if (mode === 'decrypt') {
-        return decrypt(keysize, key, input, outputFilename);
+        return { cipherMode, encoding: outputEncoding, input };
       }
+      return readInputFormat(input, cipherMode, inputEncoding);
     })
-    .catch(function(err) {
-      console.error(chalk.red(err.stack));
-    });
+    .then(function({ cipherMode: inputCipherMode, encoding, input }) {
+      // the cipher mode of encoded input isn't known until it's decoded
+      if (aadFilename && inputCipherMode !== 'gcm' &&
+        (inputCipherMode || !encoding)) {
+        throw new Error('--aadfile can only be used with the gcm cipher mode');
+      }
+
+      // gcm and cbc-hmac have to verify the whole input before writing, so
+      // they can't be streamed, the input has to be read whole to split it
+      // between worker threads, and encoded output and input are encoded and
+      // decoded whole
+      const buffered = encoding ||
+        authenticatedCipherModes.indexOf(inputCipherMode) !== -1 ||
+        (threads > 1 && parallelCipherModes.indexOf(inputCipherMode) !== -1);
+      if (!buffered) {
+        return getKey(keySource)
+          .then(function(keyOptions) {
+            const options = Object.assign({
+              keySize: keysize, cipherMode, padding, iterations,
+              maxIterations, container: !raw, backend,
+            }, keyOptions);
+            const transform = mode === 'encrypt' ?
+              createEncryptStream(options) : createDecryptStream(options);
+            return pipeStreams(input, transform, outputFilename);
+          });
+      }
+
+      return getKey(keySource)
+        .then(function(keyOptions) {
+          return Promise.all([
+            keyOptions,
+            readStream(input),
+            aadFilename ? readFile(aadFilename) : null,
+          ]);
+        })
+        .then(function(args) {
+          const key = args[0].key;
+          const input = args[1];
+          const output = outputFilename ?
+            path.resolve(outputFilename) : process.stdout;
+          const options = {
+            keySize: keysize, cipherMode: inputCipherMode, padding,
+            aad: args[2], password: args[0].password, iterations,
+            maxIterations, container: !raw,
+            backend, threads, outputEncoding, inputEncoding,
+          };
+          if (mode === 'encrypt') {
+            return encrypt(keysize, key, input, output, options);
+          } else if (mode === 'decrypt') {
+            return decrypt(keysize, key, input, output, options);
+          }
+        });
+    })
+    .catch(handleError);
+}
+
+/**
+ * @description - Generates a random key and writes it to the --out file, or
+ * to stdout without one
+ * @param {Object} args
+ */
+function keygen(args) {
+  const keysize = getKeysize(process.env.AES_KEYSIZE || args.keysize, false);
+  const format = getKeyFormat(args.format, true);
+  if (keysize === null || format === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const outputFilename = getFilename(args.out);
+  if (!outputFilename && format === 'raw' && process.stdout.isTTY) {
+    console.error(chalk.red('Error: Won\'t print a raw key to the ' +
+      'terminal, use --out or --format'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const data = encodeKey(generateKey(keysize || 256), format);
+  const write = outputFilename ?
+    writeKeyFile(outputFilename, data, args.force) :
+    writeOutput(undefined, data);
+  write.catch(handleError);
+}
+
+/**
+ * @description - Wraps the key in the input file or stdin with the
+ * key-encryption key in the --keyfile, or unwraps it. Unwrapped keys are
+ * written like keygen writes them
+ * @param {Object} args
+ * @param {Boolean} unwrapping
+ */
+function wrap(args, unwrapping) {
+  const keyFilename = process.env.AES_KEY_FILE || args.keyfile;
+  const keyFormat = getKeyFormat(
+    process.env.AES_KEY_FORMAT || args.keyformat, false
+  );
+  const backend = getBackend(process.env.AES_BACKEND || args.backend);
+  if (keyFormat === null || backend === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (!keyFilename) {
+    console.error(chalk.red('Error: Must specify the key-encryption key ' +
+      'with --keyfile'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const inputArg = process.env.AES_INPUT_FILE || args.inputfile;
+  const inputFilename = getFilename(inputArg);
+  const outputFilename = getFilename(
+    process.env.AES_OUTPUT_FILE || args.outputfile
+  );
+  if (inputArg === undefined && process.stdin.isTTY) {
+    console.error(chalk.red('Error: Must specify --inputfile or pipe the ' +
+      'key to stdin'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (unwrapping && !outputFilename && process.stdout.isTTY) {
+    console.error(chalk.red('Error: Won\'t print an unwrapped key to the ' +
+      'terminal, use --outputfile'));
+    process.exitCode = 1;
+    return;
+  }
+
+  const input = inputFilename ?
+    readFile(inputFilename) : readStream(process.stdin);
+  Promise.all([getKey({ keyFilename, keyFormat }), input])
+    .then(function([{ key }, data]) {
+      const options = { backend };
+      if (!unwrapping) {
+        const wrapped = args.padded ?
+          wrapKeyWithPadding(key, data, options) :
+          wrapKey(key, data, options);
+        return writeOutput(outputFilename, wrapped);
+      }
+
+      const keyData = args.padded ?
+        unwrapKeyWithPadding(key, data, options) :
+        unwrapKey(key, data, options);
+      return outputFilename ?
+        writeKeyFile(outputFilename, keyData, args.force) :
+        writeOutput(undefined, keyData);
+    })
+    .catch(handleError);
+}
+
+/**
+ * @description - Writes the AES-CMAC of the input file or stdin as hex, or
+ * checks it against the tag given with --verify
+ * @param {Object} args
+ */
+function mac(args) {
+  const keyFilename = process.env.AES_KEY_FILE || args.keyfile;
+  const keyFormat = getKeyFormat(
+    process.env.AES_KEY_FORMAT || args.keyformat, false
+  );
+  const backend = getBackend(process.env.AES_BACKEND || args.backend);
+  if (keyFormat === null || backend === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+  if (!keyFilename) {
+    console.error(chalk.red('Error: Must specify the key with --keyfile'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const tag = args.verify === undefined ? undefined : getTag(args.verify);
+  if (tag === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const inputArg = process.env.AES_INPUT_FILE || args.inputfile;
+  const inputFilename = getFilename(inputArg);
+  const outputFilename = getFilename(
+    process.env.AES_OUTPUT_FILE || args.outputfile
+  );
+  if (inputArg === undefined && process.stdin.isTTY) {
+    console.error(chalk.red('Error: Must specify --inputfile or pipe the ' +
+      'input to stdin'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const input = inputFilename ?
+    readFile(inputFilename) : readStream(process.stdin);
+  Promise.all([getKey({ keyFilename, keyFormat }), input])
+    .then(function([{ key }, data]) {
+      const options = { backend };
+      if (!tag) {
+        const hex = cmac(key, data, options).toString('hex');
+        return writeOutput(outputFilename, new Buffer(`${hex}\n`));
+      }
+
+      if (!verifyCmac(key, data, tag, options)) {
+        throw new AuthenticationError('MAC doesn\'t match the input');
+      }
+      console.error(chalk.green('MAC verified'));
+    })
+    .catch(handleError);
+}
+
+/**
+ * @description - Encrypts or decrypts the disk image in the input file or
+ * stdin with XTS-AES, streaming it one sector at a time
+ * @param {Object} args
+ */
+function xtsImage(args) {
+  const mode = getMode(process.env.AES_MODE || args.mode);
+  const keyFormat = getKeyFormat(
+    process.env.AES_KEY_FORMAT || args.keyformat, false
+  );
+  const sectorSize = getSectorSize(
+    process.env.AES_SECTOR_SIZE || args['sector-size']
+  );
+  const firstSector = getFirstSector(
+    process.env.AES_FIRST_SECTOR || args['first-sector']
+  );
+  const backend = getBackend(process.env.AES_BACKEND || args.backend);
+  if (!mode || keyFormat === null || sectorSize === null ||
+    firstSector === null || backend === null) {
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const keyFilename = process.env.AES_KEY_FILE || args.keyfile;
+  if (!keyFilename) {
+    console.error(chalk.red('Error: Must specify a 256 or 512-bit key with ' +
+      '--keyfile'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const inputArg = process.env.AES_INPUT_FILE || args.inputfile;
+  const inputFilename = getFilename(inputArg);
+  const outputFilename = getFilename(
+    process.env.AES_OUTPUT_FILE || args.outputfile
+  );
+  if (inputArg === undefined && process.stdin.isTTY) {
+    console.error(chalk.red('Error: Must specify --inputfile or pipe the ' +
+      'image to stdin'));
+    console.error();
+    printUsage(console.error);
+    return;
+  }
+
+  const keysize = xtsKeySizes.map((size) => size * 8);
+  getKey({ keyFilename, keyFormat, keysize })
+    .then(function({ key }) {
+      const options = { key, sectorSize, firstSector, backend };
+      const transform = mode === 'encrypt' ?
+        createXtsEncryptStream(options) : createXtsDecryptStream(options);
+      const input = inputFilename ?
+        fs.createReadStream(path.resolve(inputFilename)) : process.stdin;
+      return pipeStreams(input, transform, outputFilename);
+    })
+    .catch(handleError);
+}
+
+/**
+ * @description - Used to retrieve the tag to verify from the arguments list
+ * @param {String} arg - the hex tag passed in from `--verify`
+ * @return {Buffer} - null if the tag is invalid
+ */
+function getTag(arg) {
+  const text = String(arg).trim();
+  if (!/^(?:[0-9a-fA-F]{2}){8,16}$/.test(text)) {
+    console.error(chalk.red('Error: --verify must be a tag of 8 to 16 ' +
+      'bytes in hex'));
+    return null;
+  }
+  return new Buffer(text, 'hex');
+}
+
+/**
+ * @description - Prints the error and sets a non-zero exit code. Decryption
+ * errors are expected for a wrong key or corrupt input, so only their message
+ * is printed
+ * @param {Error} err
+ */
+function handleError(err) {
+  if (err instanceof DecryptionError) {
+    console.error(chalk.red(`Error: ${err.message}`));
+  } else {
+    console.error(chalk.red(err.stack));
+  }
+  process.exitCode = 1;
 }
 
 /**
  * @description - Prints the usage for the user
+ * @param {Function} [log=console.log] - console.error when the usage is
+ * printed for a mistake, so it doesn't end up in piped output
  */
-function printUsage() {
-  console.log('Usage: node aes.js [options] [arguments | ' +
-    '--keysize <AES_KEYSIZE=[128|256]> ' +
+function printUsage(log = console.log) {
+  log('Usage: node aes.js [options] [arguments | ' +
+    '--keysize <AES_KEYSIZE=[128|192|256]> ' +
     '--keyfile <AES_KEY_FILE> ' +
-    '--inputfile <AES_INPUT_FILE> ' +
-    '--outputfile <AES_OUTPUT_FILE[output.txt]> ' +
-    '--mode <AES_MODE=[encrypt|decrypt]>' +
+    '--keyformat <AES_KEY_FORMAT=[raw|hex|base64]> | ' +
+    '--password [AES_PASSWORD] ' +
+    '--iterations <AES_ITERATIONS> ' +
+    '--inputfile <AES_INPUT_FILE[-]> ' +
+    '--outputfile <AES_OUTPUT_FILE[-]> ' +
+    '--mode <AES_MODE=[encrypt|decrypt]> ' +
+    '--raw <AES_RAW=[true]> ' +
+    '--cipher-mode <AES_CIPHER_MODE=[ecb|cbc|ctr|gcm|cbc-hmac]> ' +
+    '--padding <AES_PADDING=[pkcs7|x923|iso7816|zero|none]> ' +
+    '--aadfile <AES_AAD_FILE> ' +
+    '--offset <AES_OFFSET> ' +
+    '--length <AES_LENGTH> ' +
+    '--backend <AES_BACKEND=[table|constant-time]> ' +
+    '--threads <AES_THREADS> ' +
+    '--armor <AES_ARMOR=[true]> ' +
+    '--output-encoding <AES_OUTPUT_ENCODING=[binary|base64|hex|armor]> ' +
+    '--input-encoding <AES_INPUT_ENCODING=[binary|base64|hex|armor]>' +
     ']'
   );
+  log('       node aes.js keygen [--keysize <128|192|256> ' +
+    '--out <filename> --format <raw|hex|base64> --force]');
+  log('       node aes.js <wrap|unwrap> --keyfile <AES_KEY_FILE> ' +
+    '[--keyformat <raw|hex|base64> --inputfile <filename> ' +
+    '--outputfile <filename> --padded --force ' +
+    '--backend <AES_BACKEND=[table|constant-time]>]');
+  log('       node aes.js mac --keyfile <AES_KEY_FILE> ' +
+    '[--keyformat <raw|hex|base64> --inputfile <filename> ' +
+    '--outputfile <filename> --verify <tag> ' +
+    '--backend <AES_BACKEND=[table|constant-time]>]');
+  log('       node aes.js xts --mode <encrypt|decrypt> ' +
+    '--keyfile <AES_KEY_FILE> [--keyformat <raw|hex|base64> ' +
+    '--inputfile <filename> --outputfile <filename> ' +
+    '--sector-size <AES_SECTOR_SIZE> --first-sector <AES_FIRST_SECTOR> ' +
+    '--backend <AES_BACKEND=[table|constant-time]>]');
 
-  console.log();
-  console.log('Options:');
-  console.log(chalk.gray('-v, --version                ' +
+  log();
+  log('Options:');
+  log(chalk.gray('-v, --version                ' +
     'print AES.js version'));
-  console.log(chalk.gray('-h, --help                   ' +
+  log(chalk.gray('-h, --help                   ' +
     'print this help message'));
 
-  console.log();
-  console.log('Arguments:');
-  console.log(chalk.gray('--keysize=<128|256>          ' +
-    'size of the key for AES, either 128 or 256 bits'));
-  console.log(chalk.gray('--keyfile                    ' +
+  log();
+  log('Commands:');
+  log(chalk.gray('keygen                       ' +
+    'write a random key of --keysize bits, 256 by default, to the --out ' +
+    'file or stdout'));
+  log(chalk.gray('  --format=[raw]             ' +
+    'encoding of the key: raw, hex or base64'));
+  log(chalk.gray('  --force                    ' +
+    'overwrite an existing key file'));
+  log(chalk.gray('wrap                         ' +
+    'wrap the key in the --inputfile or stdin with the key-encryption key ' +
+    'in the --keyfile (RFC 3394)'));
+  log(chalk.gray('unwrap                       ' +
+    'unwrap it and verify its integrity, writing it like keygen does'));
+  log(chalk.gray('  --padded                   ' +
+    'use the key wrap with padding (RFC 5649) for keys of any length'));
+  log(chalk.gray('mac                          ' +
+    'write the AES-CMAC (RFC 4493) of the --inputfile or stdin as hex'));
+  log(chalk.gray('  --verify                   ' +
+    'check the input against a hex tag instead, exiting non-zero if it ' +
+    'doesn\'t match'));
+  log(chalk.gray('xts                          ' +
+    'encrypt or decrypt the disk image in the --inputfile or stdin with ' +
+    'XTS-AES (IEEE 1619) and a 256 or 512-bit --keyfile'));
+  log(chalk.gray('  --sector-size=[512]        ' +
+    'size of a sector in bytes, each encrypted with its own tweak'));
+  log(chalk.gray('  --first-sector=[0]         ' +
+    'sector number of the first sector in the image'));
+
+  log();
+  log('Arguments:');
+  log(chalk.gray('--keysize=<128|192|256>      ' +
+    'size of the key for AES, either 128, 192 or 256 bits, read from the ' +
+    'header when decrypting'));
+  log(chalk.gray('--keyfile                    ' +
     'filename containing a key of the specified size'));
-  console.log(chalk.gray('--inputfile                  ' +
-    'filename containing the input text'));
-  console.log(chalk.gray('--outputfile=[output.txt]    ' +
-    'filename for the result'));
-  console.log(chalk.gray('--mode=<encrypt|decrypt>     ' +
+  log(chalk.gray('--keyformat                  ' +
+    'encoding of the key file: raw, hex or base64, detected by default'));
+  log(chalk.gray('--password                   ' +
+    'derive the key from a password, prompted for if no value is given'));
+  log(chalk.gray('--iterations=[600000]        ' +
+    'PBKDF2 iteration count used to derive the key from the password, or ' +
+    'the highest count to accept when decrypting (10000000 by default)'));
+  log(chalk.gray('--inputfile=[-]              ' +
+    'filename containing the input text, - or none for stdin'));
+  log(chalk.gray('--outputfile=[-]             ' +
+    'filename for the result, - or none for stdout'));
+  log(chalk.gray('--mode=<encrypt|decrypt>     ' +
     'mode in which to run the AES algorithm'));
+  log(chalk.gray('--raw                        ' +
+    'write or read the output without the container header'));
+  log(chalk.gray('--cipher-mode=[ecb]          ' +
+    'block cipher mode of operation: ecb, cbc, ctr, gcm or cbc-hmac, read ' +
+    'from the header when decrypting'));
+  log(chalk.gray('--padding=[pkcs7]            ' +
+    'padding for ecb, cbc and cbc-hmac: pkcs7, x923, iso7816, zero or ' +
+    'none, read from the header when decrypting'));
+  log(chalk.gray('--aadfile                    ' +
+    'filename containing additional authenticated data for gcm'));
+  log(chalk.gray('--offset=[0]                 ' +
+    'first byte of the range to decrypt in ctr mode'));
+  log(chalk.gray('--length                     ' +
+    'number of bytes to decrypt in ctr mode'));
+  log(chalk.gray('--backend=[table]            ' +
+    'AES core: table, or constant-time to avoid secret-dependent lookups, ' +
+    'for every command that takes a key'));
+  log(chalk.gray('--threads=[1]                ' +
+    'number of worker threads to encrypt or decrypt ecb and ctr with'));
+  log(chalk.gray('--armor                      ' +
+    'write the output as text between BEGIN and END lines with a checksum, ' +
+    'short for --output-encoding=armor'));
+  log(chalk.gray('--output-encoding=[binary]   ' +
+    'encoding of the output: binary, base64, hex or armor'));
+  log(chalk.gray('--input-encoding             ' +
+    'encoding of the input to decrypt, detected for armor and containers'));
 }
 
 /**
@@ -117,12 +735,19 @@ function printVersion() {
 /**
  * @description - Used to get the keysize argument while checking for errors
  * @param {String} arg - the arg passed in from `--keysize`
- * @return {Number}
+ * @param {Boolean} required
+ * @return {Number} - undefined if no keysize is given but it isn't required
+ * and null if it's invalid
  */
-function getKeysize(arg) {
+function getKeysize(arg, required) {
   // check keysize argument
   if (!arg) {
-    console.error(chalk.red('Error: Must specify a keysize of 128 or 256'));
+    if (!required) {
+      return undefined;
+    }
+    console.error(
+      chalk.red('Error: Must specify a keysize of 128, 192 or 256')
+    );
     return null;
   }
 
@@ -132,8 +757,8 @@ function getKeysize(arg) {
     return null;
   }
 
-  if (keysize !== 128 && keysize !== 256) {
-    console.error(chalk.red('Error: Keysize must be either 128 or 256'));
+  if (keysize !== 128 && keysize !== 192 && keysize !== 256) {
+    console.error(chalk.red('Error: Keysize must be either 128, 192 or 256'));
     return null;
   }
 
@@ -161,6 +786,424 @@ function getMode(arg) {
   return mode;
 }
 
+/**
+ * @description - Used to retrieve the block cipher mode from the arguments
+ * list
+ * @param {String} [arg]
+ * @param {Boolean} useDefault - whether to default to 'ecb' when no cipher
+ * mode is given
+ * @return {String} - null if the cipher mode is invalid
+ */
+function getCipherMode(arg, useDefault) {
+  if (!arg) {
+    return useDefault ? 'ecb' : undefined;
+  }
+
+  const cipherMode = arg.toLowerCase();
+  if (cipherModes.indexOf(cipherMode) === -1) {
+    console.error(chalk.red(`Error: Invalid cipher mode '${arg}'`));
+    return null;
+  }
+  return cipherMode;
+}
+
+/**
+ * @description - Used to retrieve the AES backend from the arguments list
+ * @param {String} [arg]
+ * @return {String} - null if the backend is invalid
+ */
+function getBackend(arg) {
+  if (!arg) {
+    return 'table';
+  }
+
+  const backend = arg.toLowerCase();
+  if (backends.indexOf(backend) === -1) {
+    console.error(chalk.red(`Error: Invalid backend '${arg}'`));
+    return null;
+  }
+  return backend;
+}
+
+/**
+ * @description - Used to retrieve the encoding of the output from the
+ * arguments list
+ * @param {Boolean} [armor] - whether `--armor` was given
+ * @param {String} [arg] - the arg passed in from `--output-encoding`
+ * @return {String} - undefined if the output isn't encoded and null if the
+ * encoding is invalid or contradicts --armor
+ */
+function getOutputEncoding(armor, arg) {
+  const encoding = getEncoding(arg, 'output encoding');
+  if (!armor || encoding === null) {
+    return encoding === 'binary' ? undefined : encoding;
+  }
+  if (encoding && encoding !== 'armor') {
+    console.error(chalk.red('Error: --armor can\'t be used with ' +
+      `--output-encoding=${encoding}`));
+    return null;
+  }
+  return 'armor';
+}
+
+/**
+ * @description - Used to retrieve an output or input encoding from the
+ * arguments list
+ * @param {String} [arg]
+ * @param {String} name - name of the argument for the error message
+ * @return {String} - undefined if no encoding is given and null if it's
+ * invalid
+ */
+function getEncoding(arg, name) {
+  if (!arg) {
+    return undefined;
+  }
+
+  const encoding = arg.toLowerCase();
+  if (outputEncodings.indexOf(encoding) === -1) {
+    console.error(chalk.red(`Error: Invalid ${name} '${arg}'`));
+    return null;
+  }
+  return encoding;
+}
+
+/**
+ * @description - Used to retrieve the key file format from the arguments
+ * list
+ * @param {String} [arg]
+ * @param {Boolean} useDefault - whether to default to 'raw' when no format
+ * is given, rather than detecting it when the key file is read
+ * @return {String} - null if the format is invalid
+ */
+function getKeyFormat(arg, useDefault) {
+  if (!arg) {
+    return useDefault ? 'raw' : undefined;
+  }
+
+  const format = arg.toLowerCase();
+  if (keyFormats.indexOf(format) === -1) {
+    console.error(chalk.red(`Error: Invalid key format '${arg}'`));
+    return null;
+  }
+  return format;
+}
+
+/**
+ * @description - Used to retrieve the padding scheme from the arguments
+ * list
+ * @param {String} [arg]
+ * @param {Boolean} useDefault - whether to default to 'pkcs7' when no
+ * padding scheme is given
+ * @return {String} - null if the padding scheme is invalid
+ */
+function getPadding(arg, useDefault) {
+  if (!arg) {
+    return useDefault ? 'pkcs7' : undefined;
+  }
+
+  const padding = arg.toLowerCase();
+  if (paddingSchemes.indexOf(padding) === -1) {
+    console.error(chalk.red(`Error: Invalid padding scheme '${arg}'`));
+    return null;
+  }
+  return padding;
+}
+
+/**
+ * @description - Used to retrieve the PBKDF2 iteration count from the
+ * arguments list
+ * @param {String} [arg]
+ * @return {Number} - undefined if no iteration count was given and null if
+ * it's invalid
+ */
+function getIterations(arg) {
+  if (arg === undefined) {
+    return undefined;
+  }
+
+  const iterations = Number(arg);
+  if (!Number.isInteger(iterations) || iterations < 1 ||
+    iterations > 0xffffffff) {
+    console.error(chalk.red(`Error: Invalid iteration count '${arg}'`));
+    return null;
+  }
+  return iterations;
+}
+
+/**
+ * @description - Used to retrieve the number of worker threads from the
+ * arguments list
+ * @param {String} [arg]
+ * @return {Number} - undefined if no number of threads was given and null
+ * if it's invalid
+ */
+function getThreads(arg) {
+  if (arg === undefined) {
+    return undefined;
+  }
+
+  const threads = Number(arg);
+  if (!Number.isInteger(threads) || threads < 1) {
+    console.error(chalk.red(`Error: Invalid number of threads '${arg}'`));
+    return null;
+  }
+  return threads;
+}
+
+/**
+ * @description - Used to retrieve the XTS sector size from the arguments
+ * list
+ * @param {String} [arg]
+ * @return {Number} - undefined if no sector size was given and null if
+ * it's invalid
+ */
+function getSectorSize(arg) {
+  if (arg === undefined) {
+    return undefined;
+  }
+
+  const sectorSize = Number(arg);
+  if (!Number.isInteger(sectorSize) || sectorSize < 16) {
+    console.error(chalk.red(`Error: Invalid sector size '${arg}'`));
+    return null;
+  }
+  return sectorSize;
+}
+
+/**
+ * @description - Used to retrieve the sector number of the first sector of
+ * an XTS image from the arguments list
+ * @param {String} [arg]
+ * @return {Number} - undefined if no sector number was given and null if
+ * it's invalid
+ */
+function getFirstSector(arg) {
+  if (arg === undefined) {
+    return undefined;
+  }
+
+  const firstSector = Number(arg);
+  if (!Number.isSafeInteger(firstSector) || firstSector < 0) {
+    console.error(chalk.red(`Error: Invalid first sector '${arg}'`));
+    return null;
+  }
+  return firstSector;
+}
+
+/**
+ * @description - Reads and decodes the key file, or gets the password to
+ * derive the key from. `--password` without a value prompts for it
+ * @param {Object} keySource
+ * @param {String} [keySource.keyFilename]
+ * @param {String} [keySource.keyFormat] - either 'raw', 'hex' or 'base64'.
+ * Detected when not given
+ * @param {Number|Number[]} [keySource.keysize] - size the key in the file
+ * has to be, or a list of sizes it may be
+ * @param {String} [keySource.password] - an empty string to prompt for the
+ * password
+ * @param {String} keySource.mode - either 'encrypt' or 'decrypt'
+ * @return {Promise<Object>} - either the key or the password
+ */
+function getKey({ keyFilename, keyFormat, keysize, password, mode }) {
+  if (password) {
+    return Promise.resolve({ password });
+  } else if (password === undefined) {
+    return Promise.resolve()
+      .then(() => readFile(keyFilename))
+      .then(function(data) {
+        const key = decodeKey(data, { format: keyFormat, keySize: keysize });
+        return { key };
+      });
+  }
+
+  return promptPassword('Password: ')
+    .then(function(password) {
+      if (mode !== 'encrypt') {
+        return password;
+      }
+      // a typo would make the output impossible to decrypt
+      return promptPassword('Confirm password: ')
+        .then(function(confirmation) {
+          if (confirmation !== password) {
+            throw new Error('Passwords don\'t match');
+          }
+          return password;
+        });
+    })
+    .then(function(password) {
+      if (!password) {
+        throw new Error('Password cannot be empty');
+      }
+      return { password };
+    });
+}
+
+/**
+ * @description - Prompts for a password on the terminal without echoing it
+ * @param {String} prompt
+ * @return {Promise<String>}
+ */
+function promptPassword(prompt) {
+  return new Promise(function(resolve, reject) {
+    const stdin = process.stdin;
+    if (!stdin.isTTY) {
+      reject(new Error('Can\'t prompt for a password without a ' +
+        'terminal, set AES_PASSWORD instead'));
+      return;
+    }
+
+    let password = '';
+    const finish = function() {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write('\n');
+    };
+    const onData = function(chars) {
+      for (const char of chars) {
+        if (char === '\r' || char === '\n' || char === '\u0004') {
+          finish();
+          resolve(password);
+          return;
+        } else if (char === '\u0003') {
+          finish();
+          reject(new Error('Cancelled'));
+          return;
+        } else if (char === '\u007f' || char === '\b') {
+          password = password.slice(0, -1);
+        } else {
+          password += char;
+        }
+      }
+    };
+
+    process.stderr.write(prompt);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+/**
+ * @description - Used to retrieve the byte range to decrypt from the
+ * arguments list
+ * @param {String} [offsetArg]
+ * @param {String} [lengthArg]
+ * @return {Object} - undefined if no range was given and null if the
+ * range is invalid
+ */
+function getRange(offsetArg, lengthArg) {
+  if (offsetArg === undefined && lengthArg === undefined) {
+    return undefined;
+  }
+
+  if (lengthArg === undefined) {
+    console.error(chalk.red('Error: Must specify a length with --offset'));
+    return null;
+  }
+
+  const offset = offsetArg === undefined ? 0 : Number(offsetArg);
+  const length = Number(lengthArg);
+  if (!Number.isInteger(offset) || offset < 0) {
+    console.error(chalk.red(`Error: Invalid offset '${offsetArg}'`));
+    return null;
+  }
+  if (!Number.isInteger(length) || length < 0) {
+    console.error(chalk.red(`Error: Invalid length '${lengthArg}'`));
+    return null;
+  }
+
+  return { offset, length };
+}
+
+/**
+ * @description - Detects the encoding of the input to decrypt, and reads the
+ * cipher mode from the header of binary input in the container format.
+ * Since stdin can't be read twice, the start of the input is read from the
+ * input stream and a stream starting with it again is returned
+ * @param {stream.Readable} input
+ * @param {String} [cipherMode] - cipher mode of raw input
+ * @param {String} [encoding] - encoding given with --input-encoding
+ * @return {Promise<Object>} - the cipherMode, which is undefined for encoded
+ * input in the container format, the encoding, which is undefined for binary
+ * input, and the input to read from
+ */
+function readInputFormat(input, cipherMode, encoding) {
+  // armor can start after other text, so more than the header is read
+  return peekStream(input, Math.max(maxHeaderSize, detectionLength))
+    .then(function({ data, rest }) {
+      encoding = encoding || detectEncoding(data);
+      if (encoding === 'binary') {
+        encoding = undefined;
+      }
+      if (!cipherMode && !encoding) {
+        cipherMode = readHeader(data).cipherMode;
+      }
+      return { cipherMode, encoding, input: rest };
+    });
+}
+
+/**
+ * @description - Reads at least the given number of bytes from the front of
+ * a stream, unless it ends first
+ * @param {stream.Readable} input
+ * @param {Number} length
+ * @return {Promise<Object>} - the data read, and the rest stream that
+ * yields the whole input including that data
+ */
+function peekStream(input, length) {
+  return new Promise(function(resolve, reject) {
+    const chunks = [];
+    let size = 0;
+    const finish = function(ended) {
+      input.removeListener('readable', onReadable);
+      input.removeListener('end', onEnd);
+      input.removeListener('error', reject);
+
+      const data = Buffer.concat(chunks);
+      const rest = new stream.PassThrough();
+      rest.write(data);
+      if (ended) {
+        rest.end();
+      } else {
+        input.on('error', (err) => rest.emit('error', err));
+        input.pipe(rest);
+      }
+      resolve({ data, rest });
+    };
+    const onReadable = function() {
+      let chunk;
+      while (size < length && (chunk = input.read()) !== null) {
+        chunks.push(chunk);
+        size += chunk.length;
+      }
+      if (size >= length) {
+        finish(false);
+      }
+    };
+    const onEnd = () => finish(true);
+
+    input.on('readable', onReadable);
+    input.on('end', onEnd);
+    input.on('error', reject);
+  });
+}
+
+/**
+ * @description - Reads a whole stream into memory
+ * @param {stream.Readable} input
+ * @return {Promise<Buffer>}
+ */
+function readStream(input) {
+  return new Promise(function(resolve, reject) {
+    const chunks = [];
+    input.on('data', (chunk) => chunks.push(chunk));
+    input.on('error', reject);
+    input.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
 /**
  * @description - Helper method to validate and read a file into memory
  * @param {String} filename
@@ -182,5 +1225,159 @@ function readFile(filename) {
   });
 }
 
-const argv = minimist(process.argv.slice(2));
+/**
+ * @description - Helper method to write data to a file, or to stdout when
+ * no filename is given
+ * @param {String} [filename]
+ * @param {Buffer} data
+ * @return {Promise}
+ */
+function writeOutput(filename, data) {
+  return new Promise(function(resolve, reject) {
+    if (!filename) {
+      process.stdout.write(data, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+      return;
+    }
+
+    fs.writeFile(path.resolve(filename), data, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * @description - Writes a key to a file only the owner can read and write.
+ * An existing file is only overwritten with force, and has its permissions
+ * restricted before the key is written to it
+ * @param {String} filename
+ * @param {Buffer} data
+ * @param {Boolean} [force=false]
+ * @return {Promise}
+ */
+function writeKeyFile(filename, data, force) {
+  const flags = force ? 'w' : 'wx';
+  return new Promise(function(resolve, reject) {
+    fs.open(path.resolve(filename), flags, 0o600, function(err, fd) {
+      if (err && err.code === 'EEXIST') {
+        reject(new Error(`'${filename}' already exists, use --force to ` +
+          'overwrite it'));
+      } else if (err) {
+        reject(err);
+      } else {
+        resolve(fd);
+      }
+    });
+  })
+    .then(function(fd) {
+      return new Promise(function(resolve, reject) {
+        fs.fchmod(fd, 0o600, function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          fs.write(fd, data, 0, data.length, 0, function(err) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve();
+            }
+          });
+        });
+      })
+        .then(function() {
+          return new Promise((resolve) => fs.close(fd, resolve));
+        }, function(err) {
+          return new Promise((resolve) => fs.close(fd, resolve))
+            .then(() => Promise.reject(err));
+        });
+    });
+}
+
+/**
+ * @description - Helper method to stream the input through a transform into
+ * a file, or stdout when no filename is given, without reading either into
+ * memory
+ * @param {stream.Readable} input
+ * @param {stream.Transform} transform
+ * @param {String} [outputFilename]
+ * @return {Promise}
+ */
+function pipeStreams(input, transform, outputFilename) {
+  return new Promise(function(resolve, reject) {
+    const output = outputFilename ?
+      fs.createWriteStream(path.resolve(outputFilename)) : process.stdout;
+
+    // don't leave a partially written output file behind on errors. What
+    // was already written to stdout can't be taken back
+    let failed = false;
+    const abort = function(err) {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      input.unpipe();
+      if (!outputFilename) {
+        transform.unpipe();
+        reject(err);
+        return;
+      }
+      output.end(function() {
+        fs.unlink(path.resolve(outputFilename), function() {
+          reject(err);
+        });
+      });
+    };
+
+    input.on('error', abort);
+    transform.on('error', abort);
+    output.on('error', reject);
+    if (outputFilename) {
+      output.on('finish', function() {
+        if (!failed) {
+          resolve();
+        }
+      });
+    } else {
+      // stdout is never ended by pipe(), so it never finishes
+      transform.on('end', function() {
+        if (!failed) {
+          resolve();
+        }
+      });
+    }
+
+    input.pipe(transform).pipe(output);
+  });
+}
+
+/**
+ * @description - Used to retrieve an input or output filename from the
+ * arguments list
+ * @param {String} [arg]
+ * @return {String} - undefined for stdin or stdout, when the argument is
+ * '-' or isn't given
+ */
+function getFilename(arg) {
+  if (arg === undefined || arg === '-' || arg === true) {
+    return undefined;
+  }
+
+  return String(arg);
+}
+
+// keep passwords and filenames like 0123 from being parsed as numbers
+const argv = minimist(process.argv.slice(2), {
+  string: ['password', 'out', 'verify'],
+  boolean: ['raw', 'force', 'armor', 'padded'],
+});
 start(argv);
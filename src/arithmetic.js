@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * File containing a constant-time AES core. The lookup tables of the other
+ * cores are indexed by secret data, which leaks it through the cache timing
+ * of the lookups. Here the S-box is computed instead, as the inverse in the
+ * Galois Field(2^8) followed by the affine transformation, with every step
+ * done on four bytes packed in a 32-bit word using only shifts, masks and
+ * XORs. Nothing branches on or indexes by secret data, and the round keys
+ * are in the same format as the ones of the T-table core
+ */
+
+const { readWord, writeWord } = require('./tables');
+
+/**
+ * @description - Multiplies each byte of the word by x, or 0x02, in the
+ * Galois Field(2^8)
+ * @param {Number} word
+ * @return {Number}
+ */
+function xtimeWord(word) {
+  return ((word & 0x7f7f7f7f) << 1) ^ (((word >>> 7) & 0x01010101) * 0x1b);
+}
+
+/**
+ * @description - Multiplies each byte of a by the byte of b in the same
+ * position in the Galois Field(2^8). Every bit of b is turned into a mask
+ * rather than branched on
+ * @param {Number} a
+ * @param {Number} b
+ * @return {Number}
+ */
+function multiplyWord(a, b) {
+  let product = 0;
+  for (let i = 0; i < 8; ++i) {
+    product ^= a & (((b >>> i) & 0x01010101) * 0xff);
+    a = xtimeWord(a);
+  }
+
+  return product;
+}
+
+/**
+ * @description - Inverts each byte of the word in the Galois Field(2^8) by
+ * raising it to the power of 254, which maps 0 to 0 as AES requires
+ * @param {Number} word
+ * @return {Number}
+ */
+function invertWord(word) {
+  const x2 = multiplyWord(word, word);
+  const x3 = multiplyWord(x2, word);
+  const x6 = multiplyWord(x3, x3);
+  const x12 = multiplyWord(x6, x6);
+  const x15 = multiplyWord(x12, x3);
+  const x30 = multiplyWord(x15, x15);
+  const x60 = multiplyWord(x30, x30);
+  const x120 = multiplyWord(x60, x60);
+  const x240 = multiplyWord(x120, x120);
+  const x252 = multiplyWord(x240, x12);
+  return multiplyWord(x252, x2);
+}
+
+/**
+ * @description - Rotates each byte of the word left by the number of bits
+ * @param {Number} word
+ * @param {Number} bits - between 1 and 7
+ * @return {Number}
+ */
+function rotateBytes(word, bits) {
+  const highMask = ((0xff << bits) & 0xff) * 0x01010101;
+  const lowMask = (0xff >>> (8 - bits)) * 0x01010101;
+  return ((word << bits) & highMask) | ((word >>> (8 - bits)) & lowMask);
+}
+
+/**
+ * @description - Runs each byte of the word through the S-box
+ * @param {Number} word
+ * @return {Number}
+ */
+function subWord(word) {
+  const inverse = invertWord(word);
+  return inverse ^ rotateBytes(inverse, 1) ^ rotateBytes(inverse, 2) ^
+    rotateBytes(inverse, 3) ^ rotateBytes(inverse, 4) ^ 0x63636363;
+}
+
+/**
+ * @description - Runs each byte of the word through the inverse S-box
+ * @param {Number} word
+ * @return {Number}
+ */
+function invSubWord(word) {
+  return invertWord(rotateBytes(word, 1) ^ rotateBytes(word, 3) ^
+    rotateBytes(word, 6) ^ 0x05050505);
+}
+
+/**
+ * @description - Rotates a word left by the number of bits
+ * @param {Number} word
+ * @param {Number} bits
+ * @return {Number}
+ */
+function rotateWord(word, bits) {
+  return (word << bits) | (word >>> (32 - bits));
+}
+
+/**
+ * @description - MixColumns for a single column
+ * @param {Number} column
+ * @return {Number}
+ */
+function mixColumn(column) {
+  const r1 = rotateWord(column, 8);
+  const r2 = rotateWord(column, 16);
+  const r3 = rotateWord(column, 24);
+  return xtimeWord(column ^ r1) ^ r1 ^ r2 ^ r3;
+}
+
+/**
+ * @description - InvMixColumns for a single column, done as a cheap
+ * preprocessing step followed by MixColumns
+ * @param {Number} column
+ * @return {Number}
+ */
+function invMixColumn(column) {
+  const t = xtimeWord(xtimeWord(column ^ rotateWord(column, 16)));
+  return mixColumn(column ^ t);
+}
+
+/**
+ * @description - Builds a column out of the first byte of a, the second of
+ * b, the third of c and the last of d, which is ShiftRows or InvShiftRows
+ * for one column depending on the order they're passed in
+ * @param {Number} a
+ * @param {Number} b
+ * @param {Number} c
+ * @param {Number} d
+ * @return {Number}
+ */
+function shiftColumn(a, b, c, d) {
+  return (a & 0xff000000) | (b & 0x00ff0000) | (c & 0x0000ff00) |
+    (d & 0x000000ff);
+}
+
+/**
+ * @description - Expands the key without looking up the S-box, the
+ * equivalent of keyExpansion() followed by createDecryptionKeySchedule()
+ * @param {Buffer} key
+ * @param {Number} keyLength - the number of words within the key, either 4,
+ * 6 or 8
+ * @param {Number} numberOfRounds - either 10, 12 or 14
+ * @return {Object} - the keySchedule and decryptionSchedule as round keys
+ */
+function expandRoundKeys(key, keyLength, numberOfRounds) {
+  const keySchedule = new Uint32Array(4 * (numberOfRounds + 1));
+  for (let i = 0; i < keyLength; ++i) {
+    keySchedule[i] = readWord(key, 4 * i);
+  }
+
+  let roundConstant = 0x01;
+  for (let i = keyLength; i < keySchedule.length; ++i) {
+    let temp = keySchedule[i - 1];
+    if (i % keyLength === 0) {
+      temp = subWord(rotateWord(temp, 8)) ^ (roundConstant << 24);
+      roundConstant = xtimeWord(roundConstant);
+    } else if (keyLength > 6 && i % keyLength === 4) {
+      temp = subWord(temp);
+    }
+    keySchedule[i] = keySchedule[i - keyLength] ^ temp;
+  }
+
+  const decryptionSchedule = new Uint32Array(keySchedule);
+  for (let i = 4; i < 4 * numberOfRounds; ++i) {
+    decryptionSchedule[i] = invMixColumn(keySchedule[i]);
+  }
+
+  return { keySchedule, decryptionSchedule };
+}
+
+/**
+ * @description - Encrypts the 16 byte block at the offset of the input into
+ * the output in constant time. Takes the same arguments as fastCipher()
+ * @param {Buffer} input
+ * @param {Number} inputOffset
+ * @param {Buffer} output
+ * @param {Number} outputOffset
+ * @param {Uint32Array} roundKeys
+ * @param {Number} numberOfRounds
+ */
+function constantTimeCipher(
+  input, inputOffset, output, outputOffset, roundKeys, numberOfRounds
+) {
+  let s0 = readWord(input, inputOffset) ^ roundKeys[0];
+  let s1 = readWord(input, inputOffset + 4) ^ roundKeys[1];
+  let s2 = readWord(input, inputOffset + 8) ^ roundKeys[2];
+  let s3 = readWord(input, inputOffset + 12) ^ roundKeys[3];
+
+  let k = 4;
+  for (let round = 1; round <= numberOfRounds; ++round) {
+    const u0 = subWord(s0);
+    const u1 = subWord(s1);
+    const u2 = subWord(s2);
+    const u3 = subWord(s3);
+    s0 = shiftColumn(u0, u1, u2, u3);
+    s1 = shiftColumn(u1, u2, u3, u0);
+    s2 = shiftColumn(u2, u3, u0, u1);
+    s3 = shiftColumn(u3, u0, u1, u2);
+    // the last round has no MixColumns
+    if (round < numberOfRounds) {
+      s0 = mixColumn(s0);
+      s1 = mixColumn(s1);
+      s2 = mixColumn(s2);
+      s3 = mixColumn(s3);
+    }
+    s0 ^= roundKeys[k];
+    s1 ^= roundKeys[k + 1];
+    s2 ^= roundKeys[k + 2];
+    s3 ^= roundKeys[k + 3];
+    k += 4;
+  }
+
+  writeWord(output, outputOffset, s0);
+  writeWord(output, outputOffset + 4, s1);
+  writeWord(output, outputOffset + 8, s2);
+  writeWord(output, outputOffset + 12, s3);
+}
+
+/**
+ * @description - Decrypts the 16 byte block at the offset of the input into
+ * the output in constant time with the equivalent inverse cipher. Takes the
+ * same arguments as fastInverseCipher()
+ * @param {Buffer} input
+ * @param {Number} inputOffset
+ * @param {Buffer} output
+ * @param {Number} outputOffset
+ * @param {Uint32Array} roundKeys - the decryption schedule
+ * @param {Number} numberOfRounds
+ */
+function constantTimeInverseCipher(
+  input, inputOffset, output, outputOffset, roundKeys, numberOfRounds
+) {
+  let k = 4 * numberOfRounds;
+  let s0 = readWord(input, inputOffset) ^ roundKeys[k];
+  let s1 = readWord(input, inputOffset + 4) ^ roundKeys[k + 1];
+  let s2 = readWord(input, inputOffset + 8) ^ roundKeys[k + 2];
+  let s3 = readWord(input, inputOffset + 12) ^ roundKeys[k + 3];
+
+  for (let round = numberOfRounds - 1; round >= 0; --round) {
+    k -= 4;
+    const u0 = invSubWord(s0);
+    const u1 = invSubWord(s1);
+    const u2 = invSubWord(s2);
+    const u3 = invSubWord(s3);
+    s0 = shiftColumn(u0, u3, u2, u1);
+    s1 = shiftColumn(u1, u0, u3, u2);
+    s2 = shiftColumn(u2, u1, u0, u3);
+    s3 = shiftColumn(u3, u2, u1, u0);
+    // the last round has no InvMixColumns
+    if (round > 0) {
+      s0 = invMixColumn(s0);
+      s1 = invMixColumn(s1);
+      s2 = invMixColumn(s2);
+      s3 = invMixColumn(s3);
+    }
+    s0 ^= roundKeys[k];
+    s1 ^= roundKeys[k + 1];
+    s2 ^= roundKeys[k + 2];
+    s3 ^= roundKeys[k + 3];
+  }
+
+  writeWord(output, outputOffset, s0);
+  writeWord(output, outputOffset + 4, s1);
+  writeWord(output, outputOffset + 8, s2);
+  writeWord(output, outputOffset + 12, s3);
+}
+
+module.exports = {
+  subWord,
+  invSubWord,
+  mixColumn,
+  invMixColumn,
+  expandRoundKeys,
+  constantTimeCipher,
+  constantTimeInverseCipher,
+};
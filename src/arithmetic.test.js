@@ -0,0 +1,165 @@
+/**
+ * Unit test suite for the arithmetic js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('arithmetic.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the arithmetic module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getArithmetic(overrides = {}) {
+    return proxyquire('./arithmetic.js', overrides);
+  }
+
+  // the table backend the constant-time core is compared against
+  const {
+    sBox,
+    invSBox,
+    createRoundKeys,
+    fastCipher,
+    fastInverseCipher,
+  } = require('./tables');
+  const {
+    keyExpansion,
+    createDecryptionKeySchedule,
+  } = require('./implementation');
+
+  const keyParameters = [
+    { keySize: 128, keyLength: 4, numberOfRounds: 10 },
+    { keySize: 192, keyLength: 6, numberOfRounds: 12 },
+    { keySize: 256, keyLength: 8, numberOfRounds: 14 },
+  ];
+
+  describe('subWord()', function() {
+    it('Matches the S-box for every byte', function() {
+      const { subWord } = getArithmetic();
+      for (let i = 0; i < 256; i += 4) {
+        const word = (i << 24) | ((i + 1) << 16) | ((i + 2) << 8) | (i + 3);
+        const expected = ((sBox[i] << 24) | (sBox[i + 1] << 16) |
+          (sBox[i + 2] << 8) | sBox[i + 3]) >>> 0;
+        assert.equal(subWord(word) >>> 0, expected,
+          `subWord() failed on bytes ${i} to ${i + 3}`
+        );
+      }
+    });
+  });
+
+  describe('invSubWord()', function() {
+    it('Matches the inverse S-box for every byte', function() {
+      const { invSubWord } = getArithmetic();
+      for (let i = 0; i < 256; i += 4) {
+        const word = (i << 24) | ((i + 1) << 16) | ((i + 2) << 8) | (i + 3);
+        const expected = ((invSBox[i] << 24) | (invSBox[i + 1] << 16) |
+          (invSBox[i + 2] << 8) | invSBox[i + 3]) >>> 0;
+        assert.equal(invSubWord(word) >>> 0, expected,
+          `invSubWord() failed on bytes ${i} to ${i + 3}`
+        );
+      }
+    });
+  });
+
+  describe('mixColumn()', function() {
+    it('Mixes a column', function() {
+      const { mixColumn, invMixColumn } = getArithmetic();
+      // Test vector taken from FIPS 197, Appendix B, round 1
+      assert.equal(mixColumn(0xd4bf5d30) >>> 0, 0x046681e5);
+      assert.equal(invMixColumn(0x046681e5) >>> 0, 0xd4bf5d30);
+    });
+  });
+
+  keyParameters.forEach(function({ keySize, keyLength, numberOfRounds }) {
+    // Test vectors taken from FIPS 197, Appendix C
+    const key = new Buffer('000102030405060708090a0b0c0d0e0f1011121314151617' +
+      '18191a1b1c1d1e1f', 'hex').slice(0, keySize / 8);
+    const input = new Buffer('00112233445566778899aabbccddeeff', 'hex');
+    const keySchedule = keyExpansion(key, 4, keyLength, numberOfRounds);
+    const roundKeys = createRoundKeys(keySchedule);
+    const decryptionRoundKeys = createRoundKeys(
+      createDecryptionKeySchedule(keySchedule, numberOfRounds)
+    );
+
+    describe(`${keySize}-bit keys`, function() {
+      it('expandRoundKeys() matches the table key schedules', function() {
+        const { expandRoundKeys } = getArithmetic();
+        const output = expandRoundKeys(key, keyLength, numberOfRounds);
+        assert.deepEqual(Array.from(output.keySchedule),
+          Array.from(roundKeys)
+        );
+        assert.deepEqual(Array.from(output.decryptionSchedule),
+          Array.from(decryptionRoundKeys)
+        );
+      });
+
+      it('constantTimeCipher() matches fastCipher() block after block',
+        function() {
+          const { constantTimeCipher } = getArithmetic();
+
+          // feed each output back in as the next input
+          let block = input;
+          for (let i = 0; i < 100; ++i) {
+            const expected = new Buffer(16);
+            fastCipher(block, 0, expected, 0, roundKeys, numberOfRounds);
+            const output = new Buffer(16);
+            constantTimeCipher(block, 0, output, 0, roundKeys, numberOfRounds);
+            assert(output.compare(expected) === 0,
+              `constantTimeCipher() failed on block ${i}. Expected ` +
+                `${output.toString('hex')} to equal ` +
+                `${expected.toString('hex')}`
+            );
+            block = output;
+          }
+        }
+      );
+
+      it('constantTimeInverseCipher() matches fastInverseCipher() block ' +
+        'after block', function() {
+        const { constantTimeInverseCipher } = getArithmetic();
+
+        let block = input;
+        for (let i = 0; i < 100; ++i) {
+          const expected = new Buffer(16);
+          fastInverseCipher(
+            block, 0, expected, 0, decryptionRoundKeys, numberOfRounds
+          );
+          const output = new Buffer(16);
+          constantTimeInverseCipher(
+            block, 0, output, 0, decryptionRoundKeys, numberOfRounds
+          );
+          assert(output.compare(expected) === 0,
+            `constantTimeInverseCipher() failed on block ${i}. Expected ` +
+              `${output.toString('hex')} to equal ${expected.toString('hex')}`
+          );
+          block = output;
+        }
+      });
+
+      it('Works in place at an offset', function() {
+        const {
+          constantTimeCipher,
+          constantTimeInverseCipher,
+        } = getArithmetic();
+        const buffer = Buffer.concat([new Buffer(5).fill(0xff), input]);
+
+        constantTimeCipher(buffer, 5, buffer, 5, roundKeys, numberOfRounds);
+        const expected = new Buffer(16);
+        fastCipher(input, 0, expected, 0, roundKeys, numberOfRounds);
+        assert(buffer.slice(5).compare(expected) === 0,
+          'constantTimeCipher() didn\'t encrypt the block in place'
+        );
+
+        constantTimeInverseCipher(
+          buffer, 5, buffer, 5, decryptionRoundKeys, numberOfRounds
+        );
+        assert(buffer.slice(5).compare(input) === 0,
+          'constantTimeInverseCipher() didn\'t decrypt the block in place'
+        );
+        assert.equal(buffer.slice(0, 5).toString('hex'), 'ffffffffff');
+      });
+    });
+  });
+});
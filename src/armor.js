@@ -0,0 +1,242 @@
+'use strict';
+
+/**
+ * File containing the text encodings the output of encrypt() can be written
+ * in. The armor is modelled on OpenPGP's ASCII armor: the base64 of the
+ * output wrapped at 64 columns between BEGIN and END lines, with a CRC-24
+ * checksum on the line before the END line
+ *
+ *     -----BEGIN AES.JS ENCRYPTED MESSAGE-----
+ *     QUVTSgEQAQAAABB1Mwn8elfRFoBL4vjt2AFSAPZftOk3YfE97o+XysWrANb3hMrU
+ *     8+wyNSCM43yyt5g7
+ *     =on1J
+ *     -----END AES.JS ENCRYPTED MESSAGE-----
+ */
+
+const { FormatError } = require('./errors');
+const { magic, version } = require('./container');
+
+/* Encodings encrypt() can write its output in. Binary is the output as it
+ * is */
+const outputEncodings = ['binary', 'base64', 'hex', 'armor'];
+
+const armorBegin = '-----BEGIN AES.JS ENCRYPTED MESSAGE-----';
+const armorEnd = '-----END AES.JS ENCRYPTED MESSAGE-----';
+
+/* Number of base64 characters on every full line of the armor */
+const lineLength = 64;
+
+/* Number of bytes at the start of a stream to look for the BEGIN line in,
+ * enough for a mail header or a note in front of the armor */
+const detectionLength = 16384;
+
+/* Starts of a container in base64 and hex, used to detect encoded input */
+const containerStart = Buffer.concat([magic, new Buffer([version])]);
+const base64ContainerStart = containerStart.toString('base64').slice(0, 6);
+const hexContainerStart = containerStart.toString('hex');
+
+const base64Pattern =
+  /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const hexPattern = /^(?:[0-9a-fA-F]{2})*$/;
+
+/**
+ * @description - Computes the CRC-24 checksum OpenPGP uses for its armor,
+ * see RFC 4880 section 6.1
+ * @param {Buffer} data
+ * @return {Number}
+ */
+function crc24(data) {
+  let crc = 0xb704ce;
+  for (let i = 0; i < data.length; ++i) {
+    crc ^= data[i] << 16;
+    for (let j = 0; j < 8; ++j) {
+      crc <<= 1;
+      if (crc & 0x1000000) {
+        crc ^= 0x1864cfb;
+      }
+    }
+  }
+
+  return crc & 0xffffff;
+}
+
+/**
+ * @description - Wraps the data in the armor
+ * @param {Buffer} data
+ * @return {Buffer}
+ */
+function armor(data) {
+  const text = data.toString('base64');
+  const lines = [armorBegin];
+  for (let i = 0; i < text.length; i += lineLength) {
+    lines.push(text.slice(i, i + lineLength));
+  }
+
+  const crc = crc24(data);
+  const checksum = new Buffer([crc >> 16, (crc >> 8) & 0xff, crc & 0xff]);
+  lines.push(`=${checksum.toString('base64')}`, armorEnd, '');
+
+  return new Buffer(lines.join('\n'));
+}
+
+/**
+ * @description - Takes the data out of the armor and verifies its checksum.
+ * Text before the BEGIN line and after the END line is ignored, so a message
+ * pasted with the text around it can still be read
+ * @param {Buffer} input
+ * @return {Buffer}
+ */
+function dearmor(input) {
+  const lines = input.toString('latin1').split(/\r?\n/)
+    .map((line) => line.trim());
+  const begin = lines.indexOf(armorBegin);
+  if (begin === -1) {
+    throw new FormatError('Armored input is missing its BEGIN line');
+  }
+  const end = lines.indexOf(armorEnd, begin + 1);
+  if (end === -1) {
+    throw new FormatError('Armored input is missing its END line, it may ' +
+      'have been truncated');
+  }
+
+  const body = lines.slice(begin + 1, end).filter((line) => line !== '');
+  const checksum = body.length > 0 && body[body.length - 1][0] === '=' ?
+    body.pop().slice(1) : null;
+  if (!checksum || !/^[A-Za-z0-9+/]{4}$/.test(checksum)) {
+    throw new FormatError('Armored input is missing its checksum');
+  }
+
+  const text = body.join('');
+  if (!base64Pattern.test(text)) {
+    throw new FormatError('Armored input isn\'t valid base64');
+  }
+
+  const data = new Buffer(text, 'base64');
+  if (new Buffer(checksum, 'base64').readUIntBE(0, 3) !== crc24(data)) {
+    throw new FormatError('Armor checksum doesn\'t match, the input was ' +
+      'changed or truncated');
+  }
+
+  return data;
+}
+
+/**
+ * @description - Encodes the output of encrypt()
+ * @param {Buffer} data
+ * @param {String} [encoding='binary'] - either 'binary', 'base64', 'hex' or
+ * 'armor'
+ * @return {Buffer}
+ */
+function encodeOutput(data, encoding) {
+  encoding = getEncoding(encoding);
+  if (encoding === 'armor') {
+    return armor(data);
+  }
+  if (encoding === 'binary') {
+    return data;
+  }
+
+  return new Buffer(data.toString(encoding));
+}
+
+/**
+ * @description - Decodes the input of decrypt(). Whitespace is ignored in
+ * base64 and hex input
+ * @param {Buffer} input
+ * @param {String} [encoding] - either 'binary', 'base64', 'hex' or 'armor'.
+ * Detected by {@link detectEncoding} when not given
+ * @return {Buffer}
+ */
+function decodeInput(input, encoding) {
+  encoding = encoding ? getEncoding(encoding) : detectEncoding(input);
+  if (encoding === 'armor') {
+    return dearmor(input);
+  }
+  if (encoding === 'binary') {
+    return input;
+  }
+
+  const text = input.toString('latin1').replace(/\s+/g, '');
+  const pattern = encoding === 'hex' ? hexPattern : base64Pattern;
+  if (!pattern.test(text)) {
+    throw new FormatError(`Input isn't valid ${encoding}`);
+  }
+
+  return new Buffer(text, encoding);
+}
+
+/**
+ * @description - Detects the encoding of the input. Armor is recognised by
+ * its BEGIN line anywhere in the input, since {@link dearmor} ignores the
+ * text around it, and base64 and hex by the encoded magic bytes of the
+ * container, so raw input written without the container is only detected
+ * when it's armored
+ * @param {Buffer} input - the whole input, or at least its first
+ * detectionLength bytes
+ * @return {String}
+ */
+function detectEncoding(input) {
+  if (hasArmorBegin(input)) {
+    return 'armor';
+  }
+  const start = input.slice(0, lineLength).toString('latin1').trimLeft();
+  if (start.startsWith(base64ContainerStart)) {
+    return 'base64';
+  }
+  if (start.toLowerCase().startsWith(hexContainerStart)) {
+    return 'hex';
+  }
+
+  return 'binary';
+}
+
+/**
+ * @description - Checks whether the input has a line that's the BEGIN line
+ * once trimmed, the way {@link dearmor} finds it
+ * @param {Buffer} input
+ * @return {Boolean}
+ */
+function hasArmorBegin(input) {
+  let index = input.indexOf(armorBegin);
+  while (index !== -1) {
+    const lineStart = input.lastIndexOf('\n', index) + 1;
+    const lineEnd = input.indexOf('\n', index);
+    const line = input.slice(
+      lineStart, lineEnd === -1 ? input.length : lineEnd
+    );
+    if (line.toString('latin1').trim() === armorBegin) {
+      return true;
+    }
+    index = input.indexOf(armorBegin, index + 1);
+  }
+
+  return false;
+}
+
+/**
+ * @description - Validates the encoding
+ * @param {String} [encoding='binary']
+ * @return {String}
+ */
+function getEncoding(encoding) {
+  if (!encoding) {
+    return 'binary';
+  }
+  if (outputEncodings.indexOf(encoding) === -1) {
+    throw new Error(`Invalid encoding '${encoding}'`);
+  }
+
+  return encoding;
+}
+
+module.exports = {
+  outputEncodings,
+  detectionLength,
+  crc24,
+  armor,
+  dearmor,
+  encodeOutput,
+  decodeInput,
+  detectEncoding,
+  getEncoding,
+};
@@ -0,0 +1,148 @@
+/**
+ * Unit test suite for the armor js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('armor.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the armor module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getArmor(overrides = {}) {
+    return proxyquire('./armor.js', overrides);
+  }
+
+  // the start of a container followed by 100 bytes, enough for three lines
+  const data = Buffer.concat([
+    new Buffer('AESJ\x01'),
+    new Buffer(100).fill(0x5a),
+  ]);
+
+  describe('crc24()', function() {
+    it('Computes the OpenPGP CRC-24', function() {
+      const { crc24 } = getArmor();
+      assert.equal(crc24(new Buffer('123456789')), 0x21cf02);
+      assert.equal(crc24(new Buffer(0)), 0xb704ce);
+    });
+  });
+
+  describe('armor()', function() {
+    it('Wraps the base64 at 64 columns between BEGIN and END lines',
+      function() {
+        const { armor, crc24 } = getArmor();
+        const lines = armor(data).toString().split('\n');
+
+        assert.equal(lines[0], '-----BEGIN AES.JS ENCRYPTED MESSAGE-----');
+        assert.deepEqual(lines.slice(1, 4).map((line) => line.length),
+          [64, 64, 12]
+        );
+        assert.equal(lines.slice(1, 4).join(''), data.toString('base64'));
+        const crc = crc24(data);
+        assert.equal(new Buffer(lines[4].slice(1), 'base64').toString('hex'),
+          `000000${crc.toString(16)}`.slice(-6)
+        );
+        assert.equal(lines[4][0], '=');
+        assert.equal(lines[5], '-----END AES.JS ENCRYPTED MESSAGE-----');
+        assert.equal(lines[6], '');
+      }
+    );
+  });
+
+  describe('dearmor()', function() {
+    it('Reads what armor() wrote', function() {
+      const { armor, dearmor } = getArmor();
+      assert.equal(dearmor(armor(data)).toString('hex'), data.toString('hex'));
+    });
+
+    it('Ignores CRLF line endings and text around the armor', function() {
+      const { armor, dearmor } = getArmor();
+      const text = armor(data).toString().replace(/\n/g, '\r\n');
+      const input = new Buffer(`Here's the file:\r\n\r\n${text}\r\nThanks\r\n`);
+      assert.equal(dearmor(input).toString('hex'), data.toString('hex'));
+    });
+
+    [
+      ['a changed character', (text) => text.replace('QUVT', 'QUVU'),
+        /checksum doesn't match/],
+      ['a missing line', (text) => text.split('\n').filter((line, i) => i !== 2)
+        .join('\n'), /checksum doesn't match/],
+      ['a missing END line', (text) => text.split('\n').slice(0, 4).join('\n'),
+        /missing its END line/],
+      ['a missing checksum', (text) => text.replace(/\n=.*\n/, '\n'),
+        /missing its checksum/],
+      ['invalid base64', (text) => text.replace('QUVT', 'QU*T'),
+        /isn't valid base64/],
+    ].forEach(function([description, change, message]) {
+      it(`Throws a FormatError for ${description}`, function() {
+        const { FormatError } = require('./errors');
+        const { armor, dearmor } = getArmor({
+          './errors': { FormatError },
+        });
+        const input = new Buffer(change(armor(data).toString()));
+        assert.throws(() => dearmor(input), FormatError, message);
+      });
+    });
+  });
+
+  describe('encodeOutput() and decodeInput()', function() {
+    ['binary', 'base64', 'hex', 'armor'].forEach(function(encoding) {
+      it(`Detects and decodes ${encoding} output`, function() {
+        const { encodeOutput, decodeInput, detectEncoding } = getArmor();
+        const output = encodeOutput(data, encoding);
+        assert.equal(detectEncoding(output), encoding);
+        assert.equal(decodeInput(output).toString('hex'),
+          data.toString('hex')
+        );
+      });
+    });
+
+    it('Only detects base64 and hex by the container magic bytes', function() {
+      const { detectEncoding } = getArmor();
+      assert.equal(detectEncoding(new Buffer('c29tZSBkYXRh')), 'binary');
+      assert.equal(detectEncoding(new Buffer('00112233')), 'binary');
+      assert.equal(detectEncoding(new Buffer('\n 4145534A01')), 'hex');
+    });
+
+    it('Detects and decodes armor after other text', function() {
+      const { armor, decodeInput, detectEncoding } = getArmor();
+      const input = Buffer.concat([
+        new Buffer('Subject: the backup key\r\n\r\nHere it is:\r\n\r\n'),
+        armor(data),
+        new Buffer('\nThanks\n'),
+      ]);
+      assert.equal(detectEncoding(input), 'armor');
+      assert.equal(decodeInput(input).toString('hex'), data.toString('hex'));
+    });
+
+    it('Only detects the BEGIN line on a line of its own', function() {
+      const { detectEncoding } = getArmor();
+      const input = new Buffer('quoted: -----BEGIN AES.JS ENCRYPTED ' +
+        'MESSAGE-----\n');
+      assert.equal(detectEncoding(input), 'binary');
+    });
+
+    it('Decodes raw input in the given encoding', function() {
+      const { decodeInput } = getArmor();
+      assert.equal(decodeInput(new Buffer('c29tZSBk\nYXRh\n'), 'base64')
+        .toString(), 'some data'
+      );
+      assert.throws(() => decodeInput(new Buffer('0g'), 'hex'),
+        /Input isn't valid hex/
+      );
+    });
+
+    it('Throws for an unknown encoding', function() {
+      const { encodeOutput, decodeInput } = getArmor();
+      assert.throws(() => encodeOutput(data, 'utf8'),
+        /Invalid encoding 'utf8'/
+      );
+      assert.throws(() => decodeInput(data, 'base32'),
+        /Invalid encoding 'base32'/
+      );
+    });
+  });
+});
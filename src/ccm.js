@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * File containing CCM, the counter with CBC-MAC mode of RFC 3610 and NIST
+ * SP 800-38C. A CBC-MAC over the nonce, the lengths, the associated data
+ * and the plaintext gives the tag, and the plaintext and tag are then
+ * encrypted in CTR mode with counter blocks made of the nonce and a block
+ * index. The nonce has to be unique for every message under a key
+ */
+
+const { AuthenticationError } = require('./errors');
+const {
+  getCipher, constantTimeEqual, xorBlocks,
+} = require('./implementation');
+
+/* Size of a block in bytes */
+const blockSize = 16;
+
+/* Shortest and longest nonce. The rest of the block holds the length of the
+ * plaintext, so a longer nonce limits the length of the message */
+const minimumNonceLength = 7;
+const maximumNonceLength = 13;
+
+/* Tag lengths SP 800-38C allows, section A.1 */
+const tagLengths = [4, 6, 8, 10, 12, 14, 16];
+
+/**
+ * @description - Encrypts and authenticates the plaintext in CCM mode
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key, or an {@link AES}
+ * instance
+ * @param {Buffer} nonce - 7 to 13 bytes, unique for every message
+ * @param {Buffer} plainText - shorter than 2^(8 * (15 - nonce.length)) bytes
+ * @param {Buffer} [aad] - associated data that's authenticated but not
+ * encrypted
+ * @param {Number} [tagLength=16] - 4, 6, 8, 10, 12, 14 or 16 bytes
+ * @param {Object} [options={}]
+ * @param {String} [options.backend='table'] - AES backend the key is
+ * expanded for, see {@link AES}
+ * @return {Object} - the cipherText and the tag
+ */
+function ccmEncrypt(key, nonce, plainText, aad, tagLength, options) {
+  if (tagLength === undefined) {
+    tagLength = blockSize;
+  }
+  aad = getAssociatedData(aad);
+  validateParameters(nonce, plainText, tagLength);
+  const aes = getCipher(key, options);
+
+  const mac = cbcMac(aes, nonce, aad, plainText, tagLength);
+  const s0 = aes.encryptBlock(getCounterBlock(nonce, 0));
+
+  return {
+    cipherText: aes.ctr(plainText, getCounterBlock(nonce, 1)),
+    tag: xorBlocks(mac, s0),
+  };
+}
+
+/**
+ * @description - Decrypts the output of {@link ccmEncrypt} and verifies its
+ * tag. The tag covers the plaintext, so the input is decrypted first, but
+ * the plaintext is wiped and never returned if the tag doesn't match
+ * @param {Buffer|AES} key - the key given to {@link ccmEncrypt}
+ * @param {Buffer} nonce - the nonce given to {@link ccmEncrypt}
+ * @param {Buffer} cipherText
+ * @param {Buffer} [aad] - the associated data given to {@link ccmEncrypt}
+ * @param {Buffer} tag - 4, 6, 8, 10, 12, 14 or 16 bytes
+ * @param {Object} [options={}] - see {@link ccmEncrypt}
+ * @return {Buffer}
+ */
+function ccmDecrypt(key, nonce, cipherText, aad, tag, options) {
+  aad = getAssociatedData(aad);
+  if (!Buffer.isBuffer(tag)) {
+    throw new Error('\'tag\' must be a Buffer');
+  }
+  validateParameters(nonce, cipherText, tag.length);
+  const aes = getCipher(key, options);
+
+  const plainText = aes.ctr(cipherText, getCounterBlock(nonce, 1));
+  const s0 = aes.encryptBlock(getCounterBlock(nonce, 0));
+  const expectedTag = xorBlocks(
+    cbcMac(aes, nonce, aad, plainText, tag.length), s0
+  );
+  if (!constantTimeEqual(expectedTag, tag)) {
+    plainText.fill(0);
+    throw new AuthenticationError('Authentication failed: the ciphertext, ' +
+      'associated data, nonce or key is invalid');
+  }
+
+  return plainText;
+}
+
+/**
+ * @description - Computes the CBC-MAC of the formatted input: B0, the
+ * associated data with its encoded length, and the plaintext, each padded
+ * with zeros to a multiple of 16 bytes. SP 800-38C, appendix A.2
+ * @param {AES} aes
+ * @param {Buffer} nonce
+ * @param {Buffer} aad
+ * @param {Buffer} plainText
+ * @param {Number} tagLength
+ * @return {Buffer} - the first tagLength bytes of the last block
+ */
+function cbcMac(aes, nonce, aad, plainText, tagLength) {
+  const lengthSize = blockSize - 1 - nonce.length;
+
+  // B0: the flags, the nonce and the length of the plaintext
+  const b0 = new Buffer(blockSize).fill(0);
+  b0[0] = (aad.length > 0 ? 0x40 : 0) |
+    (((tagLength - 2) / 2) << 3) |
+    (lengthSize - 1);
+  nonce.copy(b0, 1);
+  writeLength(b0, plainText.length, lengthSize);
+
+  const input = Buffer.concat([
+    b0,
+    aad.length > 0 ? padBlocks(Buffer.concat([encodeAadLength(aad), aad])) :
+      new Buffer(0),
+    padBlocks(plainText),
+  ]);
+  const output = aes.encryptBlocks(
+    input, 'cbc', new Buffer(blockSize).fill(0)
+  );
+
+  return output.slice(output.length - blockSize,
+    output.length - blockSize + tagLength
+  );
+}
+
+/**
+ * @description - Creates the counter block Ctr_i: the flags, the nonce and
+ * the block index. Block 0 encrypts the tag and the plaintext starts at 1
+ * @param {Buffer} nonce
+ * @param {Number} index
+ * @return {Buffer}
+ */
+function getCounterBlock(nonce, index) {
+  const lengthSize = blockSize - 1 - nonce.length;
+  const block = new Buffer(blockSize).fill(0);
+  block[0] = lengthSize - 1;
+  nonce.copy(block, 1);
+  writeLength(block, index, lengthSize);
+
+  return block;
+}
+
+/**
+ * @description - Encodes the length of the associated data in front of it:
+ * two bytes below 2^16 - 2^8, then 0xfffe and four bytes below 2^32, and
+ * 0xffff and eight bytes otherwise
+ * @param {Buffer} aad - at least 1 byte
+ * @return {Buffer}
+ */
+function encodeAadLength(aad) {
+  if (aad.length < 0xff00) {
+    const encoded = new Buffer(2);
+    encoded.writeUInt16BE(aad.length, 0);
+    return encoded;
+  }
+  if (aad.length <= 0xffffffff) {
+    const encoded = new Buffer(6);
+    encoded.writeUInt16BE(0xfffe, 0);
+    encoded.writeUInt32BE(aad.length, 2);
+    return encoded;
+  }
+
+  const encoded = new Buffer(10).fill(0);
+  encoded.writeUInt16BE(0xffff, 0);
+  writeLength(encoded, aad.length, 8);
+  return encoded;
+}
+
+/**
+ * @description - Writes a number big-endian into the last bytes of a block
+ * @param {Buffer} block
+ * @param {Number} value
+ * @param {Number} size - number of bytes at the end of the block
+ */
+function writeLength(block, value, size) {
+  for (let i = block.length - 1; i >= block.length - size; --i) {
+    block[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+}
+
+/**
+ * @description - Pads the input with zeros to a multiple of 16 bytes
+ * @param {Buffer} input
+ * @return {Buffer}
+ */
+function padBlocks(input) {
+  const remainder = input.length % blockSize;
+  if (remainder === 0) {
+    return input;
+  }
+
+  return Buffer.concat([
+    input, new Buffer(blockSize - remainder).fill(0),
+  ]);
+}
+
+/**
+ * @description - Checks the nonce, the length of the input and the tag
+ * length
+ * @param {Buffer} nonce
+ * @param {Buffer} input - the plaintext or ciphertext
+ * @param {Number} tagLength
+ */
+function validateParameters(nonce, input, tagLength) {
+  if (!Buffer.isBuffer(nonce) || nonce.length < minimumNonceLength ||
+    nonce.length > maximumNonceLength) {
+    throw new Error(`Nonce must be a Buffer of ${minimumNonceLength} to ` +
+      `${maximumNonceLength} bytes`);
+  }
+  if (tagLengths.indexOf(tagLength) === -1) {
+    throw new Error(`Tag length must be one of ${tagLengths.join(', ')} ` +
+      'bytes');
+  }
+  if (!Buffer.isBuffer(input)) {
+    throw new Error('Input must be a Buffer');
+  }
+
+  // the length field takes 15 - nonce.length bytes
+  const lengthSize = blockSize - 1 - nonce.length;
+  if (lengthSize < 6 && input.length >= Math.pow(2, 8 * lengthSize)) {
+    throw new Error(`Input is too long for a ${nonce.length} byte nonce. ` +
+      'Use a shorter nonce');
+  }
+}
+
+/**
+ * @description - Validates the associated data
+ * @param {Buffer} [aad]
+ * @return {Buffer}
+ */
+function getAssociatedData(aad) {
+  if (aad === undefined || aad === null) {
+    return new Buffer(0);
+  }
+  if (!Buffer.isBuffer(aad)) {
+    throw new Error('\'aad\' must be a Buffer');
+  }
+
+  return aad;
+}
+
+module.exports = {
+  ccmEncrypt,
+  ccmDecrypt,
+};
@@ -0,0 +1,297 @@
+/**
+ * Unit test suite for the ccm js file
+ */
+
+const crypto = require('crypto');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('ccm.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the ccm module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getCcm(overrides = {}) {
+    return proxyquire('./ccm.js', overrides);
+  }
+
+  /**
+   * @description - Creates a Buffer of consecutive byte values, the way the
+   * SP 800-38C examples are written
+   * @param {Number} start - first byte
+   * @param {Number} length
+   * @return {Buffer}
+   */
+  function sequence(start, length) {
+    const output = new Buffer(length);
+    for (let i = 0; i < length; ++i) {
+      output[i] = (start + i) & 0xff;
+    }
+
+    return output;
+  }
+
+  // NIST SP 800-38C, appendix C. Example 4 has 65536 bytes of associated
+  // data, so its length takes the six byte encoding
+  const key = new Buffer('404142434445464748494a4b4c4d4e4f', 'hex');
+  const examples = [
+    {
+      nonce: sequence(0x10, 7),
+      aad: sequence(0x00, 8),
+      plainText: sequence(0x20, 4),
+      cipherText: '7162015b',
+      tag: '4dac255d',
+    },
+    {
+      nonce: sequence(0x10, 8),
+      aad: sequence(0x00, 16),
+      plainText: sequence(0x20, 16),
+      cipherText: 'd2a1f0e051ea5f62081a7792073d593d',
+      tag: '1fc64fbfaccd',
+    },
+    {
+      nonce: sequence(0x10, 12),
+      aad: sequence(0x00, 20),
+      plainText: sequence(0x20, 24),
+      cipherText: 'e3b201a9f5b71a7a9b1ceaeccd97e70b6176aad9a4428aa5',
+      tag: '484392fbc1b09951',
+    },
+    {
+      nonce: sequence(0x10, 13),
+      aad: sequence(0x00, 65536),
+      plainText: sequence(0x20, 32),
+      cipherText:
+        '69915dad1e84c6376a68c2967e4dab615ae0fd1faec44cc484828529463ccf72',
+      tag: 'b4ac6bec93e8598e7f0dadbcea5b',
+    },
+  ];
+
+  describe('ccmEncrypt()', function() {
+    examples.forEach(function(example, i) {
+      it(`Matches SP 800-38C example ${i + 1}`, function() {
+        const { ccmEncrypt } = getCcm();
+        const { nonce, aad, plainText } = example;
+        const { cipherText, tag } = ccmEncrypt(
+          key, nonce, plainText, aad, example.tag.length / 2
+        );
+        assert.equal(cipherText.toString('hex'), example.cipherText);
+        assert.equal(tag.toString('hex'), example.tag);
+      });
+    });
+
+    it('Expands the key for options.backend', function() {
+      const implementation = require('./implementation');
+      const backends = [];
+      const { ccmEncrypt, ccmDecrypt } = getCcm({
+        './implementation': Object.assign({}, implementation, {
+          getCipher: (key, options) => {
+            backends.push(options.backend);
+            return implementation.getCipher(key, options);
+          },
+        }),
+      });
+      const options = { backend: 'constant-time' };
+      const { nonce, aad, plainText } = examples[2];
+      const { cipherText, tag } = ccmEncrypt(
+        key, nonce, plainText, aad, 8, options
+      );
+
+      assert.equal(cipherText.toString('hex'), examples[2].cipherText);
+      assert.deepEqual(
+        ccmDecrypt(key, nonce, cipherText, aad, tag, options), plainText
+      );
+      assert.deepEqual(backends, ['constant-time', 'constant-time']);
+    });
+
+    [16, 24, 32].forEach(function(keyLength) {
+      it(`Matches OpenSSL with a ${keyLength * 8}-bit key`, function() {
+        const { ccmEncrypt } = getCcm();
+        const aesKey = crypto.randomBytes(keyLength);
+        const nonce = crypto.randomBytes(11);
+        const aad = crypto.randomBytes(30);
+        const plainText = crypto.randomBytes(77);
+        const cipher = crypto.createCipheriv(
+          `aes-${keyLength * 8}-ccm`, aesKey, nonce, { authTagLength: 10 }
+        );
+        cipher.setAAD(aad, { plaintextLength: plainText.length });
+        const expected = Buffer.concat([
+          cipher.update(plainText), cipher.final(),
+        ]);
+
+        const { cipherText, tag } = ccmEncrypt(
+          aesKey, nonce, plainText, aad, 10
+        );
+        assert.deepEqual(cipherText, expected);
+        assert.deepEqual(tag, cipher.getAuthTag());
+      });
+    });
+
+    it('Matches OpenSSL without associated data and a 16 byte tag',
+      function() {
+        const { ccmEncrypt } = getCcm();
+        const nonce = crypto.randomBytes(13);
+        const plainText = crypto.randomBytes(40);
+        const cipher = crypto.createCipheriv(
+          'aes-128-ccm', key, nonce, { authTagLength: 16 }
+        );
+        const expected = Buffer.concat([
+          cipher.update(plainText), cipher.final(),
+        ]);
+
+        const { cipherText, tag } = ccmEncrypt(key, nonce, plainText);
+        assert.deepEqual(cipherText, expected);
+        assert.deepEqual(tag, cipher.getAuthTag());
+      });
+
+    it('Takes an AES instance as the key', function() {
+      const { AES } = require('./implementation');
+      const { ccmEncrypt } = getCcm();
+      const { nonce, aad, plainText } = examples[1];
+      const { cipherText } = ccmEncrypt(new AES(key), nonce, plainText, aad, 6);
+      assert.equal(cipherText.toString('hex'), examples[1].cipherText);
+    });
+
+    it('Throws for a nonce shorter than 7 or longer than 13 bytes',
+      function() {
+        const { ccmEncrypt } = getCcm();
+        [6, 14].forEach(function(length) {
+          assert.throws(function() {
+            ccmEncrypt(key, new Buffer(length), new Buffer(4));
+          }, /Nonce must be a Buffer of 7 to 13 bytes/);
+        });
+      });
+
+    it('Throws for an invalid tag length', function() {
+      const { ccmEncrypt } = getCcm();
+      [2, 5, 18].forEach(function(tagLength) {
+        assert.throws(function() {
+          ccmEncrypt(key, new Buffer(12), new Buffer(4), undefined, tagLength);
+        }, /Tag length must be one of 4, 6, 8, 10, 12, 14, 16 bytes/);
+      });
+    });
+
+    it('Throws for input too long for the length field', function() {
+      const { ccmEncrypt } = getCcm();
+      assert.throws(function() {
+        ccmEncrypt(key, new Buffer(13), new Buffer(65536));
+      }, /Input is too long for a 13 byte nonce/);
+    });
+  });
+
+  describe('ccmDecrypt()', function() {
+    examples.forEach(function(example, i) {
+      it(`Decrypts SP 800-38C example ${i + 1}`, function() {
+        const { ccmDecrypt } = getCcm();
+        const { nonce, aad, plainText } = example;
+        assert.deepEqual(ccmDecrypt(key, nonce,
+          new Buffer(example.cipherText, 'hex'), aad,
+          new Buffer(example.tag, 'hex')
+        ), plainText);
+      });
+    });
+
+    describe('Tampered input', function() {
+      const { nonce, aad, cipherText, tag } = examples[2];
+
+      /**
+       * @description - Decrypts example 3 with one of its parameters
+       * replaced and returns what was thrown
+       * @param {Object} changes
+       * @return {Error}
+       */
+      function decryptChanged(changes) {
+        const { ccmDecrypt } = getCcm();
+        const parameters = Object.assign({
+          nonce,
+          aad,
+          cipherText: new Buffer(cipherText, 'hex'),
+          tag: new Buffer(tag, 'hex'),
+        }, changes);
+
+        try {
+          ccmDecrypt(key, parameters.nonce, parameters.cipherText,
+            parameters.aad, parameters.tag
+          );
+        } catch (err) {
+          return err;
+        }
+        return null;
+      }
+
+      /**
+       * @description - Copies the buffer with one bit flipped
+       * @param {Buffer} buffer
+       * @param {Number} index
+       * @return {Buffer}
+       */
+      function flip(buffer, index) {
+        const output = new Buffer(buffer);
+        output[index] ^= 0x01;
+        return output;
+      }
+
+      it('Throws an AuthenticationError for a changed ciphertext, tag, ' +
+        'nonce or associated data', function() {
+        const { AuthenticationError } = require('./errors');
+        [
+          { cipherText: flip(new Buffer(cipherText, 'hex'), 23) },
+          { tag: flip(new Buffer(tag, 'hex'), 0) },
+          { nonce: flip(nonce, 11) },
+          { aad: flip(aad, 0) },
+          { aad: aad.slice(1) },
+        ].forEach(function(changes) {
+          assert.instanceOf(decryptChanged(changes), AuthenticationError);
+        });
+      });
+
+      it('Throws an AuthenticationError for a truncated tag', function() {
+        const { AuthenticationError } = require('./errors');
+        const err = decryptChanged({ tag: new Buffer(tag, 'hex').slice(0, 6) });
+        assert.instanceOf(err, AuthenticationError);
+      });
+
+      it('Wipes the plaintext before throwing', function() {
+        const { AES } = require('./implementation');
+        const decrypted = [];
+        /**
+         * An AES instance that records the output of CTR mode
+         */
+        class RecordingAES extends AES {
+          /**
+           * @description - Records the output of CTR mode
+           * @return {Buffer}
+           */
+          ctr(...args) {
+            const output = super.ctr(...args);
+            decrypted.push(output);
+            return output;
+          }
+        }
+        const { ccmDecrypt } = getCcm({
+          './implementation': {
+            getCipher: (key) => new RecordingAES(key),
+            constantTimeEqual: () => false,
+            xorBlocks: require('./implementation').xorBlocks,
+          },
+        });
+
+        assert.throws(function() {
+          ccmDecrypt(key, nonce, new Buffer(cipherText, 'hex'), aad,
+            new Buffer(tag, 'hex')
+          );
+        }, /Authentication failed/);
+        assert.equal(decrypted.length, 1);
+        assert.deepEqual(decrypted[0], new Buffer(24).fill(0));
+      });
+    });
+
+    it('Throws for a tag that isn\'t a Buffer', function() {
+      const { ccmDecrypt } = getCcm();
+      assert.throws(function() {
+        ccmDecrypt(key, examples[0].nonce, new Buffer(4), undefined, 'tag');
+      }, /'tag' must be a Buffer/);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Integration test suite for the aes.js command line interface
+ */
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assert } = require('chai');
+
+const { readHeader } = require('./container');
+const { decodeInput } = require('./armor');
+
+describe('aes.js', function() {
+  // every test starts node, which is slow on a loaded machine
+  this.timeout(30000);
+
+  const script = path.resolve(__dirname, '..', 'aes.js');
+  const key = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+  let directory;
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aes-cli-'));
+    fs.writeFileSync(path.join(directory, 'key'), key);
+    fs.writeFileSync(path.join(directory, 'input'),
+      new Buffer('Some plain text that is a little over two blocks long')
+    );
+  });
+
+  afterEach(function() {
+    fs.readdirSync(directory).forEach(function(filename) {
+      fs.unlinkSync(path.join(directory, filename));
+    });
+    fs.rmdirSync(directory);
+  });
+
+  /**
+   * @description - Runs the CLI in the temporary directory, without any
+   * AES_ variables from the environment or Node's deprecation warnings
+   * @param {Array} args
+   * @return {Object} - the status, stdout and stderr of the process
+   */
+  function run(args) {
+    const env = Object.assign({}, process.env, { NODE_NO_WARNINGS: '1' });
+    Object.keys(env)
+      .filter((name) => name.indexOf('AES_') === 0)
+      .forEach((name) => delete env[name]);
+
+    return childProcess.spawnSync(process.execPath, [script].concat(args), {
+      cwd: directory,
+      env,
+    });
+  }
+
+  /**
+   * @description - Reads a file from the temporary directory
+   * @param {String} filename
+   * @return {Buffer}
+   */
+  function readOutput(filename) {
+    return fs.readFileSync(path.join(directory, filename));
+  }
+
+  describe('--padding', function() {
+    const encryptArgs = [
+      '--mode', 'encrypt', '--keysize', '128', '--keyfile', 'key',
+      '--inputfile', 'input', '--outputfile', 'output',
+    ];
+
+    /**
+     * @description - Encrypts the input and reads the padding scheme back
+     * from the container header of the output, decoding it first when it's
+     * armored or encoded
+     * @param {Array} args - arguments besides the key and the files
+     * @return {String}
+     */
+    function encryptPadding(args) {
+      const result = run(encryptArgs.concat(args));
+      assert.equal(result.status, 0, result.stderr.toString());
+
+      return readHeader(decodeInput(readOutput('output'))).padding;
+    }
+
+    it('Is written to the header when encrypting on several threads',
+      function() {
+        const args = ['--cipher-mode', 'ecb', '--padding', 'x923'];
+        assert.equal(encryptPadding(args), 'x923');
+        assert.equal(encryptPadding(args.concat(['--threads', '4'])), 'x923');
+      }
+    );
+
+    it('Is written to the header in cbc-hmac mode', function() {
+      assert.equal(encryptPadding([
+        '--cipher-mode', 'cbc-hmac', '--padding', 'iso7816',
+      ]), 'iso7816');
+
+      const decrypted = run([
+        '--mode', 'decrypt', '--keyfile', 'key', '--inputfile', 'output',
+      ]);
+      assert.equal(decrypted.status, 0, decrypted.stderr.toString());
+      assert.deepEqual(decrypted.stdout, readOutput('input'));
+    });
+
+    it('Is written to the header of armored and encoded output', function() {
+      const args = ['--cipher-mode', 'cbc', '--padding', 'x923'];
+      assert.equal(encryptPadding(args.concat(['--armor'])), 'x923');
+      assert.equal(
+        encryptPadding(args.concat(['--output-encoding', 'hex'])), 'x923'
+      );
+
+      const decrypted = run([
+        '--mode', 'decrypt', '--keyfile', 'key', '--inputfile', 'output',
+      ]);
+      assert.equal(decrypted.status, 0, decrypted.stderr.toString());
+      assert.deepEqual(decrypted.stdout, readOutput('input'));
+    });
+  });
+
+  describe('--offset and --length', function() {
+    it('Accept a higher iteration count with --iterations', function() {
+      const encrypted = run([
+        '--mode', 'encrypt', '--keysize', '128', '--cipher-mode', 'ctr',
+        '--password', 'secret', '--iterations', '1000',
+        '--inputfile', 'input', '--outputfile', 'output',
+      ]);
+      assert.equal(encrypted.status, 0, encrypted.stderr.toString());
+
+      const range = [
+        '--mode', 'decrypt', '--password', 'secret', '--inputfile', 'output',
+        '--offset', '5', '--length', '10',
+      ];
+      const refused = run(range.concat(['--iterations', '999']));
+      assert.notEqual(refused.status, 0);
+      assert.match(refused.stderr.toString(), /over the maximum of 999/);
+
+      const decrypted = run(range.concat(['--iterations', '1000']));
+      assert.equal(decrypted.status, 0, decrypted.stderr.toString());
+      assert.equal(decrypted.stdout.toString(),
+        readOutput('input').slice(5, 15).toString()
+      );
+    });
+  });
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * File containing AES-CMAC, the message authentication code of RFC 4493 and
+ * NIST SP 800-38B. The message is encrypted in CBC mode with a zero IV and
+ * the last ciphertext block is the tag, with one of two subkeys XORed into
+ * the last block first so messages of different lengths can't be extended
+ * into each other
+ */
+
+const {
+  getCipher, xorBlocks, constantTimeEqual,
+} = require('./implementation');
+
+/* Size of a block and of a full tag in bytes */
+const blockSize = 16;
+
+/* Shortest truncated tag verifyCmac() accepts, the 64 bits SP 800-38B
+ * recommends as a minimum */
+const minimumTagLength = 8;
+
+/* Low byte of the polynomial x^128 + x^7 + x^2 + x + 1 that reduces a
+ * doubled block */
+const rb = 0x87;
+
+/**
+ * @description - Computes the CMAC of the message
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key, or an {@link AES}
+ * instance
+ * @param {Buffer} message - any length, including empty
+ * @param {Object} [options={}]
+ * @param {String} [options.backend='table'] - AES backend the key is
+ * expanded for, see {@link AES}
+ * @return {Buffer} - 16 byte tag
+ */
+function cmac(key, message, options) {
+  if (!Buffer.isBuffer(message)) {
+    throw new Error('\'message\' must be a Buffer');
+  }
+  const aes = getCipher(key, options);
+  const { k1, k2 } = generateSubkeys(aes);
+
+  const blockCount = Math.max(1, Math.ceil(message.length / blockSize));
+  let x = new Buffer(blockSize).fill(0);
+  for (let i = 0; i < blockCount - 1; ++i) {
+    x = aes.encryptBlock(
+      xorBlocks(x, message.slice(i * blockSize, (i + 1) * blockSize))
+    );
+  }
+
+  // a complete last block gets K1, a partial or empty one is padded with
+  // 10...0 and gets K2
+  const last = message.slice((blockCount - 1) * blockSize);
+  const lastBlock = last.length === blockSize ?
+    xorBlocks(last, k1) : xorBlocks(padBlock(last), k2);
+
+  return aes.encryptBlock(xorBlocks(x, lastBlock));
+}
+
+/**
+ * @description - Checks a tag against the CMAC of the message in constant
+ * time
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key, or an {@link AES}
+ * instance
+ * @param {Buffer} message
+ * @param {Buffer} tag - the full 16 bytes, or the first 8 or more bytes of
+ * a truncated tag
+ * @param {Object} [options={}] - see {@link cmac}
+ * @return {Boolean}
+ */
+function verifyCmac(key, message, tag, options) {
+  if (!Buffer.isBuffer(tag) || tag.length < minimumTagLength ||
+    tag.length > blockSize) {
+    throw new Error(`Tag must be a Buffer of ${minimumTagLength} to ` +
+      `${blockSize} bytes`);
+  }
+
+  const expected = cmac(key, message, options).slice(0, tag.length);
+  return constantTimeEqual(expected, tag);
+}
+
+/**
+ * @description - Generates the subkeys K1 and K2 by doubling the encryption
+ * of the zero block in GF(2^128), RFC 4493 section 2.3
+ * @param {AES} aes
+ * @return {Object} - k1 and k2
+ */
+function generateSubkeys(aes) {
+  const l = aes.encryptBlock(new Buffer(blockSize).fill(0));
+  const k1 = double(l);
+
+  return { k1, k2: double(k1) };
+}
+
+/**
+ * @description - Multiplies a block by x in GF(2^128): a left shift by one
+ * bit, reduced by the polynomial when the top bit was set. The reduction is
+ * masked in rather than branched on, since the block is derived from the key
+ * @param {Buffer} block - 16 bytes
+ * @return {Buffer}
+ */
+function double(block) {
+  const output = new Buffer(blockSize);
+  for (let i = 0; i < blockSize - 1; ++i) {
+    output[i] = ((block[i] << 1) | (block[i + 1] >> 7)) & 0xff;
+  }
+  output[blockSize - 1] = ((block[blockSize - 1] << 1) ^
+    (rb & -(block[0] >> 7))) & 0xff;
+
+  return output;
+}
+
+/**
+ * @description - Pads a partial block with a single 1 bit followed by zeros
+ * @param {Buffer} block - less than 16 bytes
+ * @return {Buffer}
+ */
+function padBlock(block) {
+  const output = new Buffer(blockSize).fill(0);
+  block.copy(output);
+  output[block.length] = 0x80;
+
+  return output;
+}
+
+module.exports = {
+  cmac,
+  verifyCmac,
+  generateSubkeys,
+  double,
+};
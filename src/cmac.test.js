@@ -0,0 +1,182 @@
+/**
+ * Unit test suite for the cmac js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('cmac.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the cmac module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getCmac(overrides = {}) {
+    return proxyquire('./cmac.js', overrides);
+  }
+
+  // NIST SP 800-38B, appendix D. The AES-128 examples are also in RFC 4493,
+  // section 4
+  const message = new Buffer(
+    '6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e51' + //eslint-disable-line
+    '30c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710', //eslint-disable-line
+    'hex'
+  );
+  const messageLengths = [0, 16, 40, 64];
+
+  const testCases = [
+    {
+      keySize: 128,
+      key: '2b7e151628aed2a6abf7158809cf4f3c',
+      k1: 'fbeed618357133667c85e08f7236a8de',
+      k2: 'f7ddac306ae266ccf90bc11ee46d513b',
+      tags: [
+        'bb1d6929e95937287fa37d129b756746',
+        '070a16b46b4d4144f79bdd9dd04a287c',
+        'dfa66747de9ae63030ca32611497c827',
+        '51f0bebf7e3b9d92fc49741779363cfe',
+      ],
+    },
+    {
+      keySize: 192,
+      key: '8e73b0f7da0e6452c810f32b809079e562f8ead2522c6b7b',
+      k1: '448a5b1c93514b273ee6439dd4daa296',
+      k2: '8914b63926a2964e7dcc873ba9b5452c',
+      tags: [
+        'd17ddf46adaacde531cac483de7a9367',
+        '9e99a7bf31e710900662f65e617c5184',
+        '8a1de5be2eb31aad089a82e6ee908b0e',
+        'a1d5df0eed790f794d77589659f39a11',
+      ],
+    },
+    {
+      keySize: 256,
+      key: '603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4',
+      k1: 'cad1ed03299eedac2e9a99808621502f',
+      k2: '95a3da06533ddb585d3533010c42a0d9',
+      tags: [
+        '028962f61b7bf89efc6b551f4667d983',
+        '28a7023f452e8f82bd4bf28d8c37c35c',
+        'aaf3d8f1de5640c232f5b169b9c911e6',
+        'e1992190549f6ed5696a2c056c315410',
+      ],
+    },
+  ];
+
+  describe('generateSubkeys()', function() {
+    testCases.forEach(function({ keySize, key, k1, k2 }) {
+      it(`Generates K1 and K2 for a ${keySize}-bit key`, function() {
+        const { AES } = require('./implementation');
+        const { generateSubkeys } = getCmac();
+        const subkeys = generateSubkeys(new AES(new Buffer(key, 'hex')));
+        assert.equal(subkeys.k1.toString('hex'), k1);
+        assert.equal(subkeys.k2.toString('hex'), k2);
+      });
+    });
+  });
+
+  describe('double()', function() {
+    it('Shifts without reducing when the top bit is clear', function() {
+      const { double } = getCmac();
+      const block = new Buffer('40000000000000000000000000000081', 'hex');
+      assert.equal(double(block).toString('hex'),
+        '80000000000000000000000000000102'
+      );
+    });
+
+    it('Reduces by the polynomial when the top bit is set', function() {
+      const { double } = getCmac();
+      const block = new Buffer('80000000000000000000000000000001', 'hex');
+      assert.equal(double(block).toString('hex'),
+        '00000000000000000000000000000085'
+      );
+    });
+  });
+
+  describe('cmac()', function() {
+    testCases.forEach(function({ keySize, key, tags }) {
+      messageLengths.forEach(function(length, i) {
+        it(`Computes the tag of a ${length} byte message with a ` +
+          `${keySize}-bit key`, function() {
+          const { cmac } = getCmac();
+          const tag = cmac(new Buffer(key, 'hex'), message.slice(0, length));
+          assert.equal(tag.toString('hex'), tags[i]);
+        });
+      });
+    });
+
+    it('Takes an AES instance as the key', function() {
+      const { AES } = require('./implementation');
+      const { cmac } = getCmac();
+      const { key, tags } = testCases[0];
+      const aes = new AES(new Buffer(key, 'hex'));
+      assert.equal(cmac(aes, message).toString('hex'), tags[3]);
+    });
+
+    it('Expands the key for options.backend', function() {
+      const implementation = require('./implementation');
+      const backends = [];
+      const { cmac, verifyCmac } = getCmac({
+        './implementation': Object.assign({}, implementation, {
+          getCipher: (key, options) => {
+            backends.push(options.backend);
+            return implementation.getCipher(key, options);
+          },
+        }),
+      });
+      const options = { backend: 'constant-time' };
+      const { key, tags } = testCases[0];
+      const tag = cmac(new Buffer(key, 'hex'), message, options);
+
+      assert.equal(tag.toString('hex'), tags[3]);
+      assert.isTrue(verifyCmac(new Buffer(key, 'hex'), message, tag, options));
+      assert.deepEqual(backends, ['constant-time', 'constant-time']);
+    });
+
+    it('Throws for a message that isn\'t a Buffer', function() {
+      const { cmac } = getCmac();
+      assert.throws(function() {
+        cmac(new Buffer(testCases[0].key, 'hex'), 'message');
+      }, /'message' must be a Buffer/);
+    });
+  });
+
+  describe('verifyCmac()', function() {
+    const key = new Buffer(testCases[0].key, 'hex');
+    const tag = new Buffer(testCases[0].tags[2], 'hex');
+    const shortMessage = message.slice(0, 40);
+
+    it('Accepts the tag of the message', function() {
+      const { verifyCmac } = getCmac();
+      assert.isTrue(verifyCmac(key, shortMessage, tag));
+    });
+
+    it('Accepts a truncated tag', function() {
+      const { verifyCmac } = getCmac();
+      assert.isTrue(verifyCmac(key, shortMessage, tag.slice(0, 8)));
+    });
+
+    it('Rejects a changed message or tag', function() {
+      const { verifyCmac } = getCmac();
+      const changedTag = new Buffer(tag);
+      changedTag[15] ^= 0x01;
+      assert.isFalse(verifyCmac(key, shortMessage, changedTag));
+      assert.isFalse(verifyCmac(key, message.slice(0, 39), tag));
+      assert.isFalse(verifyCmac(key, message.slice(0, 41), tag));
+    });
+
+    it('Rejects the tag under another key', function() {
+      const { verifyCmac } = getCmac();
+      const otherKey = new Buffer(testCases[2].key, 'hex');
+      assert.isFalse(verifyCmac(otherKey, shortMessage, tag));
+    });
+
+    it('Throws for a tag shorter than 8 bytes', function() {
+      const { verifyCmac } = getCmac();
+      assert.throws(function() {
+        verifyCmac(key, shortMessage, tag.slice(0, 4));
+      }, /Tag must be a Buffer of 8 to 16 bytes/);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * File containing the container format put in front of the output of
+ * encrypt(). The header records everything besides the key that's needed to
+ * decrypt the output
+ *
+ * | bytes | field                                              |
+ * |:---|:---|
+ * | 4     | magic bytes, 'AESJ'                                |
+ * | 1     | format version                                     |
+ * | 1     | key size in bytes                                  |
+ * | 1     | cipher mode id                                     |
+ * | 1     | padding scheme id                                  |
+ * | 1     | key derivation function id                         |
+ * | 1 + n | length of the key derivation parameters, then them |
+ * | 1 + n | length of the IV or initial counter block, then it |
+ * | 1     | length of the tag appended after the ciphertext    |
+ */
+
+const { FormatError } = require('./errors');
+
+/* Magic bytes at the start of every container */
+const magic = new Buffer('AESJ');
+
+/* Version of the format written by createHeader() */
+const version = 1;
+
+/* The ids stored in the header are the indexes in these lists, so new values
+ * must only ever be appended */
+const cipherModeIds = ['ecb', 'cbc', 'ctr', 'gcm', 'cbc-hmac'];
+const paddingIds = ['pkcs7', 'x923', 'iso7816', 'zero', 'none'];
+const kdfIds = ['none', 'pbkdf2-sha256'];
+
+/* Length in bytes of the IV or initial counter block of each cipher mode.
+ * GCM takes the 96-bit IV it uses without hashing */
+const ivLengths = {
+  'ecb': 0, 'cbc': 16, 'ctr': 16, 'gcm': 12, 'cbc-hmac': 16,
+};
+
+/* Size of the largest possible header, with both length-prefixed fields 255
+ * bytes long */
+const maxHeaderSize = magic.length + 8 + 2 * 255;
+
+/**
+ * @description - Checks whether the input starts with the magic bytes
+ * @param {Buffer} input
+ * @return {Boolean}
+ */
+function isContainer(input) {
+  return input.length >= magic.length &&
+    input.slice(0, magic.length).compare(magic) === 0;
+}
+
+/**
+ * @description - Creates the header of a container
+ * @param {Object} parameters
+ * @param {Number} parameters.keySize - either 128, 192 or 256 bits
+ * @param {String} parameters.cipherMode
+ * @param {String} [parameters.padding='none'] - only used by ECB and CBC
+ * @param {Buffer} [parameters.kdfParameters] - the salt and iteration count
+ * when the key was derived from a password
+ * @param {Buffer} [parameters.iv] - IV or initial counter block
+ * @param {Number} [parameters.tagLength=0]
+ * @return {Buffer}
+ */
+function createHeader(parameters) {
+  const kdfParameters = parameters.kdfParameters || new Buffer(0);
+  const iv = parameters.iv || new Buffer(0);
+
+  return Buffer.concat([
+    magic,
+    new Buffer([
+      version,
+      parameters.keySize / 8,
+      cipherModeIds.indexOf(parameters.cipherMode),
+      paddingIds.indexOf(parameters.padding || 'none'),
+      kdfParameters.length > 0 ? kdfIds.indexOf('pbkdf2-sha256') : 0,
+      kdfParameters.length,
+    ]),
+    kdfParameters,
+    new Buffer([iv.length]),
+    iv,
+    new Buffer([parameters.tagLength || 0]),
+  ]);
+}
+
+/**
+ * @description - Parses the header at the front of a container
+ * @param {Buffer} input - at least the whole header
+ * @return {Object} - the parameters given to {@link createHeader}, along with
+ * the kdf name and the headerLength
+ */
+function readHeader(input) {
+  if (!isContainer(input)) {
+    throw new FormatError('Input isn\'t in the AES.js container format. ' +
+      'Input written without the container can only be decrypted as raw ' +
+      'input with the key size, cipher mode and padding it was encrypted with');
+  }
+
+  let offset = magic.length;
+  const readByte = function() {
+    if (offset >= input.length) {
+      throw new FormatError('Input is too short to contain the container ' +
+        'header');
+    }
+    offset += 1;
+    return input[offset - 1];
+  };
+  const readField = function() {
+    const length = readByte();
+    if (offset + length > input.length) {
+      throw new FormatError('Input is too short to contain the container ' +
+        'header');
+    }
+    offset += length;
+    return input.slice(offset - length, offset);
+  };
+
+  const headerVersion = readByte();
+  if (headerVersion !== version) {
+    throw new FormatError(`Unsupported container version ${headerVersion}`);
+  }
+
+  const keySize = readByte() * 8;
+  if (keySize !== 128 && keySize !== 192 && keySize !== 256) {
+    throw new FormatError(`Invalid key size of ${keySize} bits in the ` +
+      'container header');
+  }
+  const cipherMode = readId(cipherModeIds, readByte(), 'cipher mode');
+  const padding = readId(paddingIds, readByte(), 'padding scheme');
+  const kdf = readId(kdfIds, readByte(), 'key derivation function');
+  const kdfParameters = readField();
+  if ((kdf === 'none') !== (kdfParameters.length === 0)) {
+    throw new FormatError('Invalid key derivation parameters in the ' +
+      'container header');
+  }
+  const iv = readField();
+  if (iv.length !== ivLengths[cipherMode]) {
+    throw new FormatError(`Invalid IV length of ${iv.length} bytes for ` +
+      `${cipherMode} mode in the container header`);
+  }
+  const tagLength = readByte();
+
+  return {
+    keySize,
+    cipherMode,
+    padding,
+    kdf,
+    kdfParameters,
+    iv,
+    tagLength,
+    headerLength: offset,
+  };
+}
+
+/**
+ * @description - Looks up an id read from the header
+ * @param {Array} ids
+ * @param {Number} id
+ * @param {String} name - name of the field for the error message
+ * @return {String}
+ */
+function readId(ids, id, name) {
+  if (id >= ids.length) {
+    throw new FormatError(`Unknown ${name} id ${id} in the container header`);
+  }
+
+  return ids[id];
+}
+
+module.exports = {
+  magic,
+  version,
+  maxHeaderSize,
+  ivLengths,
+  isContainer,
+  createHeader,
+  readHeader,
+};
@@ -0,0 +1,118 @@
+/**
+ * Unit test suite for the container js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('container.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the container module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getContainer(overrides = {}) {
+    return proxyquire('./container.js', overrides);
+  }
+
+  const iv = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+  const kdfParameters = new Buffer('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa000003e8', 'hex'); //eslint-disable-line
+
+  describe('createHeader()', function() {
+    it('Writes every field of the header', function() {
+      const { createHeader } = getContainer();
+      const header = createHeader({
+        keySize: 192,
+        cipherMode: 'cbc',
+        padding: 'iso7816',
+        kdfParameters,
+        iv,
+      });
+
+      assert.equal(header.toString('hex'), [
+        '4145534a', // magic
+        '01', // version
+        '18', // key size in bytes
+        '01', // cbc
+        '02', // iso7816
+        '01', // pbkdf2-sha256
+        '14', kdfParameters.toString('hex'),
+        '10', iv.toString('hex'),
+        '00', // tag length
+      ].join(''));
+    });
+
+    it('Writes a header without key derivation parameters or an IV',
+      function() {
+        const { createHeader } = getContainer();
+        const header = createHeader({ keySize: 128, cipherMode: 'ecb' });
+        assert.equal(header.toString('hex'), '4145534a0110000400000000');
+      }
+    );
+  });
+
+  describe('readHeader()', function() {
+    it('Reads the parameters given to createHeader()', function() {
+      const { createHeader, readHeader } = getContainer();
+      const parameters = {
+        keySize: 256,
+        cipherMode: 'gcm',
+        padding: 'none',
+        kdfParameters,
+        iv: iv.slice(0, 12),
+        tagLength: 16,
+      };
+      const header = createHeader(parameters);
+
+      const output = readHeader(
+        Buffer.concat([header, new Buffer('ciphertext')])
+      );
+      assert.equal(output.keySize, 256);
+      assert.equal(output.cipherMode, 'gcm');
+      assert.equal(output.padding, 'none');
+      assert.equal(output.kdf, 'pbkdf2-sha256');
+      assert(output.kdfParameters.compare(kdfParameters) === 0,
+        'readHeader() didn\'t return the key derivation parameters'
+      );
+      assert(output.iv.compare(parameters.iv) === 0,
+        'readHeader() didn\'t return the IV'
+      );
+      assert.equal(output.tagLength, 16);
+      assert.equal(output.headerLength, header.length);
+    });
+
+    [
+      ['input without the magic bytes', '69c4e0d86a7b0430d8cdb78070b4c55a',
+        /isn't in the AES.js container format/],
+      ['an unsupported version', '4145534a0210000400000000',
+        /Unsupported container version 2/],
+      ['an invalid key size', '4145534a0111000400000000',
+        /Invalid key size of 136 bits/],
+      ['an unknown cipher mode', '4145534a0110ff0400000000',
+        /Unknown cipher mode id 255/],
+      ['a truncated header', '4145534a0110010400001000',
+        /too short to contain the container header/],
+      ['key derivation parameters without a kdf', '4145534a01100104000100000000', //eslint-disable-line
+        /Invalid key derivation parameters/],
+      ['an IV in ecb mode', `4145534a01100004000010${iv.toString('hex')}00`,
+        /Invalid IV length of 16 bytes for ecb mode/],
+      ['cbc without an IV', '4145534a011001040000000000',
+        /Invalid IV length of 0 bytes for cbc mode/],
+      ['a 255 byte counter block in ctr mode',
+        `4145534a011002040000ff${new Buffer(255).toString('hex')}00`,
+        /Invalid IV length of 255 bytes for ctr mode/],
+      ['a 16 byte IV in gcm mode',
+        `4145534a01100304000010${iv.toString('hex')}10`,
+        /Invalid IV length of 16 bytes for gcm mode/],
+    ].forEach(function([description, header, message]) {
+      it(`Throws a FormatError for ${description}`, function() {
+        const { readHeader } = getContainer();
+        const { FormatError } = require('./errors');
+        assert.throws(function() {
+          readHeader(new Buffer(header, 'hex'));
+        }, FormatError, message);
+      });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * File containing the errors thrown when decryption fails
+ */
+
+const util = require('util');
+
+/* These are defined with util.inherits() instead of classes because classes
+ * extending Error lose their prototype when transpiled by babel-preset-es2015,
+ * which would break `instanceof` checks in the tests */
+
+/**
+ * @description - Thrown when the input can't be decrypted, either because
+ * the key is wrong or the ciphertext is corrupt
+ * @constructor
+ * @param {String} message
+ */
+function DecryptionError(message) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = message;
+}
+util.inherits(DecryptionError, Error);
+
+/**
+ * @description - Thrown when the padding of the decrypted input is invalid
+ * @constructor
+ * @param {String} message
+ */
+function PaddingError(message) {
+  DecryptionError.call(this, message);
+}
+util.inherits(PaddingError, DecryptionError);
+
+/**
+ * @description - Thrown when an authentication tag doesn't match the input
+ * @constructor
+ * @param {String} message
+ */
+function AuthenticationError(message) {
+  DecryptionError.call(this, message);
+}
+util.inherits(AuthenticationError, DecryptionError);
+
+/**
+ * @description - Thrown when the input isn't in the container format written
+ * by encrypt() or its header is invalid
+ * @constructor
+ * @param {String} message
+ */
+function FormatError(message) {
+  DecryptionError.call(this, message);
+}
+util.inherits(FormatError, DecryptionError);
+
+/**
+ * @description - Thrown when a wrapped key fails its integrity check when
+ * it's unwrapped, because the key-encryption key is wrong or the wrapped key
+ * was changed
+ * @constructor
+ * @param {String} message
+ */
+function IntegrityError(message) {
+  DecryptionError.call(this, message);
+}
+util.inherits(IntegrityError, DecryptionError);
+
+module.exports = {
+  DecryptionError,
+  PaddingError,
+  AuthenticationError,
+  FormatError,
+  IntegrityError,
+};
@@ -4,36 +4,877 @@
  * File containing the implementation of the AES algorithm
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 
+const {
+  DecryptionError,
+  PaddingError,
+  AuthenticationError,
+  FormatError,
+  IntegrityError,
+} = require('./errors');
+const {
+  paddingSchemes,
+  getPaddingScheme,
+  padInput,
+  removePaddingFromInput,
+} = require('./padding');
+const {
+  kdfHeaderSize,
+  createPasswordKey,
+  readPasswordKey,
+} = require('./kdf');
+const {
+  maxHeaderSize,
+  ivLengths,
+  createHeader: createContainerHeader,
+  readHeader: readContainerHeader,
+} = require('./container');
+const {
+  sBox,
+  invSBox,
+  createRoundKeys,
+  fastCipher,
+  fastInverseCipher,
+} = require('./tables');
+const {
+  expandRoundKeys,
+  constantTimeCipher,
+  constantTimeInverseCipher,
+} = require('./arithmetic');
+const { WorkerPool } = require('./pool');
+const {
+  outputEncodings,
+  encodeOutput,
+  decodeInput,
+  getEncoding,
+} = require('./armor');
+
+/* Block cipher modes of operation supported by encrypt() and decrypt() */
+const cipherModes = ['ecb', 'cbc', 'ctr', 'gcm', 'cbc-hmac'];
+
+/* Cipher modes whose tag has to be verified before any output is written,
+ * so the whole input is decrypted at once */
+const authenticatedCipherModes = ['gcm', 'cbc-hmac'];
+
+/* Cores that encrypt and decrypt blocks. 'table' uses the T-tables, and
+ * 'constant-time' computes the S-box so no secret data is used as an index */
+const backends = ['table', 'constant-time'];
+
+/* Cipher modes whose blocks don't depend on each other, so they can be
+ * split between worker threads */
+const parallelCipherModes = ['ecb', 'ctr'];
+
+/* Size of the chunks handed to worker threads. Inputs no longer than this
+ * are encrypted on the calling thread, since starting a worker takes longer
+ * than encrypting them. A multiple of 16 so no block is split */
+const parallelChunkSize = 256 * 1024;
+
+/* Number of random bytes at the front of a CTR counter block. The remaining
+ * bytes hold the big-endian block counter */
+const nonceSize = 8;
+
+/* Size of the random IV used in GCM mode, the length recommended by
+ * NIST SP 800-38D */
+const gcmIvSize = 12;
+
+/* Size of the authentication tag appended to the output in GCM mode */
+const tagSize = 16;
+
+/* Size of the HMAC-SHA256 tag appended to the output in CBC-HMAC mode */
+const hmacTagSize = 32;
+
+/* HKDF info strings that derive the separate encryption and MAC keys of
+ * CBC-HMAC mode from the key */
+const cbcHmacEncryptionInfo = 'AES.js cbc-hmac encryption key';
+const cbcHmacMacInfo = 'AES.js cbc-hmac mac key';
+
 /**
  * @description - Encrypts the input with the key with AES according to
  * the keysize. Outputs the result to the given filename
- * @param {Number} keySize - size of the key, either 128 or 256 bits
- * @param {Buffer} key - the key read in from the file
+ * @param {Number} keySize - size of the key, either 128, 192 or 256 bits.
+ * With options.password it's the size of the key derived from the password
+ * @param {Buffer} key - the key read in from the file. Ignored when
+ * options.password is given
  * @param {Buffer} input - input read in from the input filename argument
- * @param {String} output - filename to output the results
+ * @param {String|stream.Writable} output - filename to output the results,
+ * or a stream to write them to such as process.stdout
+ * @param {Object} [options={}] - see {@link encryptBufferSync}
+ * @param {Number} [options.threads=1] - number of worker threads to encrypt
+ * with, see {@link encryptBuffer}
  * @return {Promise}
  */
-function encrypt(keySize, key, input, output) {
+function encrypt(keySize, key, input, output, options) {
+  options = getFileOptions(keySize, key, options);
+  if (getThreads(options) > 1) {
+    return encryptBuffer(key, input, options)
+      .then((data) => writeOutput(output, data));
+  }
+  return writeOutput(output, encryptBufferSync(key, input, options));
+}
+
+/**
+ * @description - Decrypts the input with the key with AES according to
+ * the keysize. Outputs the result to the given filename
+ * @param {Number} [keySize] - size of the key, either 128, 192 or 256 bits.
+ * Only needed for raw input since it's read from the header otherwise
+ * @param {Buffer} key - the key read in from the file. Ignored when
+ * options.password is given
+ * @param {Buffer} input - input read in from the input filename argument
+ * @param {String|stream.Writable} output - filename to output the results,
+ * or a stream to write them to such as process.stdout
+ * @param {Object} [options={}] - see {@link decryptBufferSync}
+ * @param {Number} [options.threads=1] - number of worker threads to decrypt
+ * with, see {@link decryptBuffer}
+ * @return {Promise}
+ */
+function decrypt(keySize, key, input, output, options) {
+  options = getFileOptions(keySize, key, options);
+  // decrypt everything up front so nothing is written if decryption fails
+  if (getThreads(options) > 1) {
+    return decryptBuffer(key, input, options)
+      .then((data) => writeOutput(output, data));
+  }
+  return writeOutput(output, decryptBufferSync(key, input, options));
+}
+
+/**
+ * @description - Encrypts the input with the key with AES. The key size is
+ * taken from the length of the key
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key, or an {@link AES} instance
+ * @param {Buffer} input
+ * @param {Object} [options={}]
+ * @param {String} [options.cipherMode='ecb'] - block cipher mode, one of
+ * 'ecb', 'cbc', 'ctr', 'gcm' or 'cbc-hmac'. CBC and GCM use a random IV and
+ * CTR a random initial counter block. CTR and GCM output isn't padded, and
+ * GCM appends a 16 byte authentication tag. CBC-HMAC encrypts in CBC mode
+ * and appends a 32 byte HMAC-SHA256 of everything before it, see
+ * {@link getCbcHmacKeys}
+ * @param {Buffer} [options.aad] - additional authenticated data for GCM mode
+ * @param {String} [options.padding='pkcs7'] - padding scheme for ECB and CBC
+ * mode, one of 'pkcs7', 'x923', 'iso7816', 'zero' or 'none'
+ * @param {String|Buffer} [options.password] - password to derive the key
+ * from with PBKDF2 instead of using `key`
+ * @param {Number} [options.keySize=256] - size of the key derived from the
+ * password
+ * @param {Number} [options.iterations=600000] - PBKDF2 iteration count
+ * @param {Boolean} [options.container=true] - put a header recording the key
+ * size, cipher mode, padding, IV and key derivation parameters in front of
+ * the output. When false only the key derivation parameters and the IV or
+ * initial counter block are put in front of it, as before the header existed
+ * @param {String} [options.backend='table'] - either 'table' or
+ * 'constant-time', see {@link getBackend}
+ * @param {String} [options.outputEncoding='binary'] - either 'binary',
+ * 'base64', 'hex' or 'armor', see {@link encodeOutput}
+ * @return {Buffer}
+ */
+function encryptBufferSync(key, input, options) {
+  const encryption = prepareEncryption(key, input, options);
+  return encodeOutput(
+    Buffer.concat([encryption.header, encryptData(encryption)]),
+    encryption.outputEncoding
+  );
+}
+
+/**
+ * @description - Does everything {@link encryptBufferSync} does before the
+ * input is encrypted: validating the options, deriving and expanding the
+ * key, creating the IV and header and padding the input
+ * @param {Buffer|AES} key
+ * @param {Buffer} input
+ * @param {Object} [options={}] - see {@link encryptBufferSync}
+ * @return {Object} - the header, and the data to encrypt with everything
+ * {@link encryptData} needs
+ */
+function prepareEncryption(key, input, options) {
   if (!input) {
     throw new Error('\'input\' cannot be undefined');
   }
-  let numberOfRounds;
-  let keyLength;
-  const blockSize = 4;
-  const stateSize = blockSize * 4;
+  const cipherMode = getCipherMode(options);
+  const padding = cipherMode === 'ecb' || cipherMode === 'cbc' ||
+    cipherMode === 'cbc-hmac' ? getPaddingScheme(options) : null;
+  const outputEncoding = getEncoding(options && options.outputEncoding);
+
+  let kdfParameters = new Buffer(0);
+  if (options && options.password) {
+    const passwordKey = createPasswordKey(options.password, options);
+    key = passwordKey.key;
+    kdfParameters = passwordKey.header;
+  }
+  let macKey = null;
+  if (cipherMode === 'cbc-hmac') {
+    ({ encryptionKey: key, macKey } = getCbcHmacKeys(key));
+  }
+  const {
+    keySchedule, numberOfRounds, keySize, backend,
+  } = expandKey(key, options);
+  const iv = createIv(cipherMode);
+  const header = createHeader({
+    keySize,
+    cipherMode,
+    padding,
+    kdfParameters,
+    iv,
+    tagLength: getTagLength(cipherMode),
+  }, options);
+
+  return {
+    header,
+    cipherMode,
+    data: padding ? padInput(input, padding) : input,
+    keySchedule,
+    numberOfRounds,
+    iv,
+    aad: cipherMode === 'gcm' ? getAdditionalData(
+      options, options && options.container === false ? null : header
+    ) : null,
+    backend,
+    outputEncoding,
+    macKey,
+  };
+}
 
-  if (keySize === 128) {
-    numberOfRounds = 10;
-    keyLength = 4;
-  } else if (keySize === 256) {
-    numberOfRounds = 14;
-    keyLength = 8;
+/**
+ * @description - Encrypts the data prepared by {@link prepareEncryption}.
+ * In GCM and CBC-HMAC mode the tag is appended to the ciphertext
+ * @param {Object} encryption
+ * @return {Buffer}
+ */
+function encryptData(encryption) {
+  const {
+    header, cipherMode, data, keySchedule, numberOfRounds, iv, aad, backend,
+    macKey,
+  } = encryption;
+
+  if (cipherMode === 'ctr') {
+    return ctr(data, keySchedule, numberOfRounds, iv, 0, backend);
+  } else if (cipherMode === 'gcm') {
+    const result = gcmEncrypt(
+      data, keySchedule, numberOfRounds, iv, aad, backend
+    );
+    return Buffer.concat([result.cipherText, result.tag]);
+  } else if (cipherMode === 'cbc-hmac') {
+    const cipherText = encryptBlocks(
+      data, keySchedule, numberOfRounds, 'cbc', iv, backend
+    );
+    return Buffer.concat([cipherText, hmac(macKey, header, cipherText)]);
+  }
+
+  return encryptBlocks(
+    data, keySchedule, numberOfRounds, cipherMode, iv, backend
+  );
+}
+
+/**
+ * @description - Decrypts input encrypted with {@link encryptBufferSync}.
+ * The key size, cipher mode, padding and IV are read from the header at the
+ * front of the input
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key, or an {@link AES} instance
+ * @param {Buffer} input
+ * @param {Object} [options={}]
+ * @param {Buffer} [options.aad] - additional authenticated data for GCM mode
+ * @param {String|Buffer} [options.password] - password the input was
+ * encrypted with instead of a key
+ * @param {Number} [options.maxIterations=10000000] - highest PBKDF2
+ * iteration count to accept from the header. It isn't authenticated before
+ * the key is derived, so a higher count throws a DecryptionError
+ * @param {Boolean} [options.container=true] - false to decrypt input written
+ * without the header, which needs the options below
+ * @param {String} [options.cipherMode='ecb'] - block cipher mode of raw
+ * input. In GCM and CBC-HMAC mode the authentication tag is read from the
+ * end of the input and verified before anything is decrypted
+ * @param {String} [options.padding='pkcs7'] - padding scheme of raw input.
+ * Files written before pkcs7 became the default use 'x923'
+ * @param {Number} [options.keySize=256] - size of the key derived from the
+ * password for raw input
+ * @param {String} [options.backend='table'] - either 'table' or
+ * 'constant-time', see {@link getBackend}
+ * @param {String} [options.inputEncoding] - either 'binary', 'base64', 'hex'
+ * or 'armor'. Armored input, and base64 or hex input with the container, is
+ * detected when not given, see {@link decodeInput}
+ * @return {Buffer}
+ */
+function decryptBufferSync(key, input, options) {
+  return decryptData(prepareDecryption(key, input, options));
+}
+
+/**
+ * @description - Does everything {@link decryptBufferSync} does before the
+ * input is decrypted: reading the header, deriving and expanding the key and
+ * checking the length of the input
+ * @param {Buffer|AES} key
+ * @param {Buffer} input
+ * @param {Object} [options={}] - see {@link decryptBufferSync}
+ * @return {Object} - the data to decrypt with everything
+ * {@link decryptData} needs
+ */
+function prepareDecryption(key, input, options) {
+  if (!input) {
+    throw new Error('\'input\' cannot be undefined');
+  }
+  input = decodeInput(input, options && options.inputEncoding);
+  const parameters = readHeader(input, options);
+  const { cipherMode, padding, iv, tagLength } = parameters;
+  key = getDecryptionKey(key, parameters, options);
+  let macKey = null;
+  if (cipherMode === 'cbc-hmac') {
+    ({ encryptionKey: key, macKey } = getCbcHmacKeys(key));
+  }
+  const {
+    keySchedule, decryptionSchedule, numberOfRounds, backend,
+  } = expandKey(key, options);
+  const stateSize = 16;
+
+  const header = input.slice(0, parameters.headerLength);
+  input = input.slice(parameters.headerLength);
+  if (input.length < tagLength) {
+    throw new DecryptionError('Input is too short to contain a tag');
+  }
+
+  const decryption = {
+    cipherMode,
+    padding,
+    data: input,
+    keySchedule,
+    decryptionSchedule,
+    numberOfRounds,
+    iv,
+    aad: null,
+    tag: null,
+    backend,
+  };
+  if (cipherMode === 'ctr') {
+    return decryption;
+  } else if (cipherMode === 'gcm') {
+    return Object.assign(decryption, {
+      data: input.slice(0, input.length - tagLength),
+      aad: getAdditionalData(options, parameters.header),
+      tag: input.slice(input.length - tagLength),
+    });
+  } else if (cipherMode === 'cbc-hmac') {
+    Object.assign(decryption, {
+      header,
+      data: input.slice(0, input.length - tagLength),
+      tag: input.slice(input.length - tagLength),
+      macKey,
+    });
+  }
+
+  // zero and none padding don't add a block to empty input
+  const { data } = decryption;
+  const paddingAddsBlock = padding !== 'zero' && padding !== 'none';
+  if ((paddingAddsBlock && data.length === 0) ||
+    data.length % stateSize !== 0) {
+    throw new DecryptionError(
+      `Input isn't a multiple of ${stateSize}. Aborting`
+    );
+  }
+
+  return decryption;
+}
+
+/**
+ * @description - Decrypts the data prepared by {@link prepareDecryption}.
+ * The padding is removed in ECB, CBC and CBC-HMAC mode, and the tag is
+ * verified before anything is decrypted in GCM and CBC-HMAC mode
+ * @param {Object} decryption
+ * @return {Buffer}
+ */
+function decryptData(decryption) {
+  const {
+    header, cipherMode, padding, data, keySchedule, decryptionSchedule,
+    numberOfRounds, iv, aad, tag, backend, macKey,
+  } = decryption;
+
+  if (cipherMode === 'ctr') {
+    return ctr(data, keySchedule, numberOfRounds, iv, 0, backend);
+  } else if (cipherMode === 'gcm') {
+    return gcmDecrypt(
+      data, keySchedule, numberOfRounds, iv, aad, tag, backend
+    );
+  } else if (cipherMode === 'cbc-hmac' &&
+    !constantTimeEqual(hmac(macKey, header, data), tag)) {
+    throw new AuthenticationError('Authentication failed: the ciphertext, ' +
+      'header or key is invalid');
+  }
+
+  return removePaddingFromInput(
+    decryptBlocks(
+      data, decryptionSchedule, numberOfRounds,
+      cipherMode === 'cbc-hmac' ? 'cbc' : cipherMode, iv, backend
+    ),
+    padding
+  );
+}
+
+/**
+ * @description - Creates the header put in front of the output. See
+ * {@link encryptBufferSync} for the options
+ * @param {Object} parameters - see {@link createContainerHeader}
+ * @param {Object} [options={}]
+ * @return {Buffer}
+ */
+function createHeader(parameters, options) {
+  if (options && options.container === false) {
+    return Buffer.concat([parameters.kdfParameters, parameters.iv]);
+  }
+
+  return createContainerHeader(parameters);
+}
+
+/**
+ * @description - Reads the header at the front of the input. See
+ * {@link decryptBufferSync} for the options
+ * @param {Buffer} input
+ * @param {Object} [options={}]
+ * @return {Object} - the parameters given to {@link createHeader}, the
+ * headerLength and the header itself when it's a container header
+ */
+function readHeader(input, options) {
+  if (!options || options.container !== false) {
+    const parameters = readContainerHeader(input);
+    parameters.header = input.slice(0, parameters.headerLength);
+    return parameters;
+  }
+
+  const cipherMode = getCipherMode(options);
+  const kdfLength = options.password ? kdfHeaderSize : 0;
+  const ivLength = ivLengths[cipherMode];
+  if (input.length < kdfLength + ivLength) {
+    throw new DecryptionError(
+      `Input is too short to contain the header for ${cipherMode} mode`
+    );
+  }
+
+  return {
+    keySize: options.keySize,
+    cipherMode,
+    padding: getPaddingScheme(options),
+    kdfParameters: input.slice(0, kdfLength),
+    iv: input.slice(kdfLength, kdfLength + ivLength),
+    tagLength: getTagLength(cipherMode),
+    headerLength: kdfLength + ivLength,
+    header: null,
+  };
+}
+
+/**
+ * @description - Gets the key to decrypt with, deriving it from the password
+ * if the input was encrypted with one
+ * @param {Buffer} key
+ * @param {Object} parameters - the parameters read by {@link readHeader}
+ * @param {Object} [options={}]
+ * @return {Buffer}
+ */
+function getDecryptionKey(key, parameters, options) {
+  const password = options && options.password;
+  if (parameters.kdfParameters.length > 0) {
+    if (!password) {
+      throw new Error('The input was encrypted with a password, which is ' +
+        'needed to decrypt it');
+    }
+    return readPasswordKey(password, parameters.kdfParameters, {
+      keySize: parameters.keySize,
+      maxIterations: options.maxIterations,
+    }).key;
+  } else if (password) {
+    throw new Error('The input was encrypted with a key, not a password');
+  }
+
+  if (parameters.keySize) {
+    validateKeySize(parameters.keySize, key);
+  }
+  return key;
+}
+
+/**
+ * @description - Creates a random IV or initial counter block for the
+ * cipher mode
+ * @param {String} cipherMode
+ * @return {Buffer}
+ */
+function createIv(cipherMode) {
+  if (cipherMode === 'cbc' || cipherMode === 'cbc-hmac') {
+    return crypto.randomBytes(16);
+  } else if (cipherMode === 'ctr') {
+    return createInitialCounter();
+  } else if (cipherMode === 'gcm') {
+    return crypto.randomBytes(gcmIvSize);
+  }
+
+  return new Buffer(0);
+}
+
+/**
+ * @description - Promise form of {@link encryptBufferSync}. In ECB and CTR
+ * mode, input longer than a chunk can be split between worker threads. The
+ * output is the same as on a single thread
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key, or an {@link AES} instance
+ * @param {Buffer} input
+ * @param {Object} [options={}] - see {@link encryptBufferSync}
+ * @param {Number} [options.threads=1] - number of worker threads to encrypt
+ * with, see {@link getThreads}
+ * @return {Promise<Buffer>}
+ */
+function encryptBuffer(key, input, options) {
+  return new Promise(function(resolve) {
+    const threads = getThreads(options);
+    const encryption = prepareEncryption(key, input, options);
+    const finish = (output) => encodeOutput(
+      Buffer.concat([encryption.header, output]), encryption.outputEncoding
+    );
+    if (!canUseWorkers(encryption, threads)) {
+      resolve(finish(encryptData(encryption)));
+      return;
+    }
+
+    resolve(
+      runInWorkers(encryption, encryption.keySchedule, false, threads)
+        .then(finish)
+    );
+  });
+}
+
+/**
+ * @description - Promise form of {@link decryptBufferSync}. In ECB and CTR
+ * mode, input longer than a chunk can be split between worker threads
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key, or an {@link AES} instance
+ * @param {Buffer} input
+ * @param {Object} [options={}] - see {@link decryptBufferSync}
+ * @param {Number} [options.threads=1] - number of worker threads to decrypt
+ * with, see {@link getThreads}
+ * @return {Promise<Buffer>}
+ */
+function decryptBuffer(key, input, options) {
+  return new Promise(function(resolve) {
+    const threads = getThreads(options);
+    const decryption = prepareDecryption(key, input, options);
+    if (!canUseWorkers(decryption, threads)) {
+      resolve(decryptData(decryption));
+      return;
+    }
+
+    if (decryption.cipherMode === 'ctr') {
+      resolve(runInWorkers(decryption, decryption.keySchedule, true, threads));
+      return;
+    }
+    resolve(
+      runInWorkers(decryption, decryption.decryptionSchedule, true, threads)
+        .then((output) => removePaddingFromInput(output, decryption.padding))
+    );
+  });
+}
+
+/**
+ * @description - Whether it's worth splitting the data of a prepared
+ * encryption or decryption between worker threads
+ * @param {Object} operation - see {@link prepareEncryption} and
+ * {@link prepareDecryption}
+ * @param {Number} threads
+ * @return {Boolean}
+ */
+function canUseWorkers(operation, threads) {
+  return threads > 1 &&
+    parallelCipherModes.indexOf(operation.cipherMode) !== -1 &&
+    operation.data.length > parallelChunkSize;
+}
+
+/**
+ * @description - Splits the data of a prepared encryption or decryption in
+ * ECB or CTR mode into chunks, runs them on a {@link WorkerPool} and puts
+ * the output back together in order. The pool is closed afterwards
+ * @param {Object} operation - see {@link prepareEncryption} and
+ * {@link prepareDecryption}
+ * @param {Uint32Array} roundKeys - the decryption schedule when decrypting in
+ * ECB mode, otherwise the key schedule
+ * @param {Boolean} decrypt
+ * @param {Number} threads
+ * @return {Promise<Buffer>}
+ */
+function runInWorkers(operation, roundKeys, decrypt, threads) {
+  const { cipherMode, data, numberOfRounds, iv, backend } = operation;
+  const chunkCount = Math.ceil(data.length / parallelChunkSize);
+  const pool = new WorkerPool(Math.min(threads, chunkCount), {
+    roundKeys: getRoundKeys(roundKeys),
+    numberOfRounds,
+    backend,
+  });
+
+  const chunks = [];
+  for (let offset = 0; offset < data.length; offset += parallelChunkSize) {
+    chunks.push(pool.run({
+      data: data.slice(offset, offset + parallelChunkSize),
+      cipherMode,
+      decrypt,
+      iv,
+      offset,
+    }));
+  }
+
+  return Promise.all(chunks)
+    .then(function(outputs) {
+      return pool.close().then(() => Buffer.concat(outputs));
+    }, function(err) {
+      return pool.close().then(() => Promise.reject(err));
+    });
+}
+
+/**
+ * A key with its encryption and decryption key schedules expanded once, for
+ * encrypting and decrypting many messages under the same key. It can be
+ * passed anywhere a key is taken
+ */
+class AES {
+  /**
+   * @constructor
+   * @param {Buffer} key - 16, 24 or 32 byte key
+   * @param {Object} [options={}]
+   * @param {String} [options.backend='table'] - either 'table' or
+   * 'constant-time', see {@link getBackend}. It's used for everything done
+   * with the instance, whatever backend is passed alongside it
+   */
+  constructor(key, options) {
+    if (!Buffer.isBuffer(key)) {
+      throw new Error('\'key\' must be a Buffer');
+    }
+
+    const {
+      keySchedule, decryptionSchedule, numberOfRounds, keySize, backend,
+    } = expandKey(key, options);
+    this.keySchedule = keySchedule;
+    this.decryptionSchedule = decryptionSchedule;
+    this.numberOfRounds = numberOfRounds;
+    this.keySize = keySize;
+    this.backend = backend;
+  }
+
+  /**
+   * @description - Encrypts a single block
+   * @param {Buffer} block - 16 bytes
+   * @return {Buffer}
+   */
+  encryptBlock(block) {
+    validateBlock(block);
+    const output = new Buffer(16);
+    getBlockCipher(this.backend).encryptBlock(
+      block, 0, output, 0, this.keySchedule, this.numberOfRounds
+    );
+    return output;
+  }
+
+  /**
+   * @description - Decrypts a single block
+   * @param {Buffer} block - 16 bytes
+   * @return {Buffer}
+   */
+  decryptBlock(block) {
+    validateBlock(block);
+    const output = new Buffer(16);
+    getBlockCipher(this.backend).decryptBlock(
+      block, 0, output, 0, this.decryptionSchedule, this.numberOfRounds
+    );
+    return output;
+  }
+
+  /**
+   * @description - See {@link encryptBlocks}
+   * @param {Buffer} input - a multiple of 16 bytes
+   * @param {String} cipherMode - either 'ecb' or 'cbc'
+   * @param {Buffer} [iv]
+   * @return {Buffer}
+   */
+  encryptBlocks(input, cipherMode, iv) {
+    return encryptBlocks(
+      input, this.keySchedule, this.numberOfRounds, cipherMode, iv,
+      this.backend
+    );
+  }
+
+  /**
+   * @description - See {@link decryptBlocks}
+   * @param {Buffer} input - a multiple of 16 bytes
+   * @param {String} cipherMode - either 'ecb' or 'cbc'
+   * @param {Buffer} [iv]
+   * @return {Buffer}
+   */
+  decryptBlocks(input, cipherMode, iv) {
+    return decryptBlocks(
+      input, this.decryptionSchedule, this.numberOfRounds, cipherMode, iv,
+      this.backend
+    );
+  }
+
+  /**
+   * @description - See {@link ctr}
+   * @param {Buffer} input
+   * @param {Buffer} initialCounter
+   * @param {Number} [offset=0]
+   * @return {Buffer}
+   */
+  ctr(input, initialCounter, offset) {
+    return ctr(
+      input, this.keySchedule, this.numberOfRounds, initialCounter, offset,
+      this.backend
+    );
+  }
+
+  /**
+   * @description - See {@link gcmEncrypt}
+   * @param {Buffer} input
+   * @param {Buffer} iv
+   * @param {Buffer} aad
+   * @return {Object} - the cipherText and the tag
+   */
+  gcmEncrypt(input, iv, aad) {
+    return gcmEncrypt(
+      input, this.keySchedule, this.numberOfRounds, iv, aad, this.backend
+    );
+  }
+
+  /**
+   * @description - See {@link gcmDecrypt}
+   * @param {Buffer} input
+   * @param {Buffer} iv
+   * @param {Buffer} aad
+   * @param {Buffer} tag
+   * @return {Buffer}
+   */
+  gcmDecrypt(input, iv, aad, tag) {
+    return gcmDecrypt(
+      input, this.keySchedule, this.numberOfRounds, iv, aad, tag,
+      this.backend
+    );
+  }
+
+  /**
+   * @description - See {@link encryptBufferSync}
+   * @param {Buffer} input
+   * @param {Object} [options={}]
+   * @return {Buffer}
+   */
+  encrypt(input, options) {
+    return encryptBufferSync(this, input, options);
+  }
+
+  /**
+   * @description - See {@link decryptBufferSync}
+   * @param {Buffer} input
+   * @param {Object} [options={}]
+   * @return {Buffer}
+   */
+  decrypt(input, options) {
+    return decryptBufferSync(this, input, options);
+  }
+}
+
+/**
+ * @description - Expands the key, unless it's already an {@link AES}
+ * instance. The modes built on the block cipher, such as key wrap, take
+ * either
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key, or an {@link AES}
+ * instance
+ * @param {Object} [options={}] - see {@link AES}. An instance keeps the
+ * backend it was created with
+ * @return {AES}
+ */
+function getCipher(key, options) {
+  return key instanceof AES ? key : new AES(key, options);
+}
+
+/**
+ * @description - Checks that a block given to {@link AES} is 16 bytes
+ * @param {Buffer} block
+ */
+function validateBlock(block) {
+  if (!Buffer.isBuffer(block) || block.length !== 16) {
+    throw new Error('Block must be a 16 byte Buffer');
+  }
+}
+
+/**
+ * @description - Encrypts whole blocks in ECB or CBC mode
+ * @param {Buffer} input - a multiple of 16 bytes
+ * @param {Uint32Array|Array} keySchedule - schedule of keys created with
+ * {@link expandKey} or {@link keyExpansion}
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ * @param {String} cipherMode - either 'ecb' or 'cbc'
+ * @param {Buffer} [iv] - block the first block is chained to in CBC mode.
+ * To continue a previous call, pass the last block of its output
+ * @param {String} [backend='table'] - core to encrypt blocks with, see
+ * {@link getBackend}
+ * @return {Buffer}
+ */
+function encryptBlocks(
+  input, keySchedule, numberOfRounds, cipherMode, iv, backend
+) {
+  const stateSize = 16;
+  const { encryptBlock } = getBlockCipher(backend);
+  const roundKeys = getRoundKeys(keySchedule);
+  const output = new Buffer(input);
+
+  for (let i = 0; i < output.length; i += stateSize) {
+    if (cipherMode === 'cbc') {
+      const previousBlock = i === 0 ? iv : output;
+      const previousOffset = i === 0 ? 0 : i - stateSize;
+      for (let j = 0; j < stateSize; ++j) {
+        output[i + j] ^= previousBlock[previousOffset + j];
+      }
+    }
+    encryptBlock(output, i, output, i, roundKeys, numberOfRounds);
+  }
+
+  return output;
+}
+
+/**
+ * @description - Decrypts whole blocks in ECB or CBC mode
+ * @param {Buffer} input - a multiple of 16 bytes
+ * @param {Uint32Array|Array} decryptionSchedule - decryption schedule
+ * created with {@link expandKey} or {@link createDecryptionKeySchedule}
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ * @param {String} cipherMode - either 'ecb' or 'cbc'
+ * @param {Buffer} [iv] - block the first block is chained to in CBC mode.
+ * To continue a previous call, pass the last block of its input
+ * @param {String} [backend='table'] - core to encrypt blocks with, see
+ * {@link getBackend}
+ * @return {Buffer}
+ */
+function decryptBlocks(
+  input, decryptionSchedule, numberOfRounds, cipherMode, iv, backend
+) {
+  const stateSize = 16;
+  const { decryptBlock } = getBlockCipher(backend);
+  const roundKeys = getRoundKeys(decryptionSchedule);
+  const output = new Buffer(input.length);
+
+  for (let i = 0; i < input.length; i += stateSize) {
+    decryptBlock(input, i, output, i, roundKeys, numberOfRounds);
+    if (cipherMode === 'cbc') {
+      const previousBlock = i === 0 ? iv : input;
+      const previousOffset = i === 0 ? 0 : i - stateSize;
+      for (let j = 0; j < stateSize; ++j) {
+        output[i + j] ^= previousBlock[previousOffset + j];
+      }
+    }
   }
 
-  const keySchedule = keyExpansion(key, blockSize, keyLength, numberOfRounds);
-  const paddedInput = padInput(input);
+  return output;
+}
+
+/**
+ * @description - Opens the output file and writes the data to it. A stream
+ * is written to but not ended, since it belongs to the caller
+ * @param {String|stream.Writable} output - filename to output the results
+ * @param {Buffer} data
+ * @return {Promise}
+ */
+function writeOutput(output, data) {
+  if (typeof output !== 'string') {
+    return writeChunk(output, data);
+  }
 
   return new Promise(function(resolve, reject) {
     fs.open(output, 'w', function(err, fileDescriptor) {
@@ -46,71 +887,47 @@ function encrypt(keySize, key, input, output) {
   })
     .then(function(fd) {
       const stream = fs.createWriteStream(null, { fd });
-      stream.on('error', function(err) {
-        return Promise.reject(err);
-      });
-
-      const promises = [];
-      const numberOfChunks = paddedInput.length / (blockSize * 4);
-
-      if (numberOfChunks % 1 !== 0) {
-        return Promise.reject(new Error(
-          `Padded input didn\'t create a multiple of ` +
-            `${blockSize * 4}. Aborting`
-        ));
-      }
-
-      for (let i = 0; i < numberOfChunks; ++i) {
-        promises.push(new Promise(function(resolve, reject) {
-          const inputSlice = paddedInput.slice(
-            i * stateSize, (i + 1) * stateSize
-          );
-          const output = cipher(inputSlice, keySchedule, numberOfRounds);
-          stream.write(output, function(err) {
-            if (err) {
-              reject(err);
-            } else {
-              resolve();
-            }
-          });
-        }));
-      }
-
-      return promises.reduce(function(total, promise) {
-        return total.then(promise);
-      }, Promise.resolve());
-    })
-    .catch(function(err) {
-      throw err;
+      return writeChunk(stream, data)
+        .then(function() {
+          stream.end();
+        });
     });
 }
 
 /**
- * @description - Decrypts the input with the key with AES according to
- * the keysize. Outputs the result to the given filename
- * @param {Number} keySize - size of the key, either 128 or 256 bits
+ * @description - Decrypts a byte range of a file encrypted in CTR mode.
+ * Only the header at the front of the file and the requested range are
+ * read, so the rest of the file is never touched
+ * @param {Number} [keySize] - size of the key, either 128, 192 or 256 bits.
+ * Only needed for raw input since it's read from the header otherwise
  * @param {Buffer} key - the key read in from the file
- * @param {Buffer} input - input read in from the input filename argument
- * @param {Buffer} output - filename to output the results
- * @return {Promise}
+ * @param {String} input - filename of the encrypted file
+ * @param {Number} offset - offset of the first plaintext byte to decrypt
+ * @param {Number} length - number of bytes to decrypt. Fewer bytes are
+ * returned if the range runs past the end of the file
+ * @param {Object} [options={}]
+ * @param {String|Buffer} [options.password] - password the file was
+ * encrypted with, see {@link decryptBufferSync}
+ * @param {Boolean} [options.container=true] - false for raw input
+ * @return {Promise<Buffer>}
  */
-function decrypt(keySize, key, input, output) {
-  let numberOfRounds;
-  let keyLength;
-  const blockSize = 4;
-  const stateSize = blockSize * 4;
-
-  if (keySize === 128) {
-    numberOfRounds = 10;
-    keyLength = 4;
-  } else if (keySize === 256) {
-    numberOfRounds = 14;
-    keyLength = 8;
+function decryptRange(keySize, key, input, offset, length, options) {
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error(`Invalid offset '${offset}'`);
+  }
+  if (!Number.isInteger(length) || length < 0) {
+    throw new Error(`Invalid length '${length}'`);
+  }
+  options = getFileOptions(keySize, key, options);
+  const raw = Boolean(options && options.container === false);
+  if (raw) {
+    options = Object.assign({}, options, { cipherMode: 'ctr' });
   }
+  const headerSize = raw ?
+    (options.password ? kdfHeaderSize : 0) + 16 : maxHeaderSize;
 
-  const keySchedule = keyExpansion(key, blockSize, keyLength, numberOfRounds);
   return new Promise(function(resolve, reject) {
-    fs.open(output, 'w', function(err, fileDescriptor) {
+    fs.open(input, 'r', function(err, fileDescriptor) {
       if (err) {
         reject(err);
       } else {
@@ -119,97 +936,701 @@ function decrypt(keySize, key, input, output) {
     });
   })
     .then(function(fd) {
-      const stream = fs.createWriteStream(null, { fd });
-      stream.on('error', function(err) {
-        return Promise.reject(err);
-      });
-
-      const promises = [];
-      const numberOfChunks = input.length / (blockSize * 4);
-      if (numberOfChunks % 1 !== 0) {
-        return Promise.reject(new Error(
-          `Input isn\'t a multiple of ` +
-            `${blockSize * 4}. Aborting`
-        ));
+      return readChunk(fd, headerSize, 0)
+        .then(function(header) {
+          const parameters = readHeader(header, options);
+          if (parameters.cipherMode !== 'ctr') {
+            throw new DecryptionError('Only input encrypted in ctr mode can ' +
+              `be decrypted by range, not ${parameters.cipherMode}`);
+          }
+          const { keySchedule, numberOfRounds, backend } = expandKey(
+            getDecryptionKey(key, parameters, options), options
+          );
+
+          return readChunk(fd, length, parameters.headerLength + offset)
+            .then(function(chunk) {
+              return ctr(
+                chunk,
+                keySchedule,
+                numberOfRounds,
+                parameters.iv,
+                offset,
+                backend
+              );
+            });
+        })
+        .then(function(result) {
+          return closeFile(fd).then(() => result);
+        }, function(err) {
+          return closeFile(fd).then(() => Promise.reject(err));
+        });
+    });
+}
+
+/**
+ * @description - Maps a key size to the number of words in the key and the
+ * number of rounds for the AES algorithm
+ * @param {Number} keySize - size of the key, either 128, 192 or 256 bits
+ * @return {Object}
+ */
+function getKeyParameters(keySize) {
+  if (keySize === 128) {
+    return { numberOfRounds: 10, keyLength: 4 };
+  } else if (keySize === 192) {
+    return { numberOfRounds: 12, keyLength: 6 };
+  } else if (keySize === 256) {
+    return { numberOfRounds: 14, keyLength: 8 };
+  }
+
+  return {};
+}
+
+/**
+ * @description - Checks the key against the key size given to the file API.
+ * With a password there's no key to check, and the key size is passed on as
+ * the size of the key to derive instead. The key size is optional when
+ * decrypting since it's read from the header
+ * @param {Number} keySize
+ * @param {Buffer} key
+ * @param {Object} [options]
+ * @return {Object}
+ */
+function getFileOptions(keySize, key, options) {
+  if (options && options.password) {
+    return keySize ? Object.assign({}, options, { keySize }) : options;
+  }
+  if (keySize) {
+    validateKeySize(keySize, key);
+  }
+
+  return options;
+}
+
+/**
+ * @description - Checks that the key matches the key size given to
+ * {@link encrypt} or {@link decrypt}
+ * @param {Number} keySize - size of the key, either 128, 192 or 256 bits
+ * @param {Buffer|AES} key
+ */
+function validateKeySize(keySize, key) {
+  if (key && getKeySize(key) !== keySize) {
+    throw new Error(`Invalid key for ${keySize}-bit algorithm`);
+  }
+}
+
+/**
+ * @description - Creates the key schedule for the key, taking the key size
+ * from its length. An {@link AES} instance already holds its key schedule,
+ * so it's returned as is
+ * @param {Buffer|AES} key - 16, 24 or 32 byte key
+ * @param {Object} [options={}]
+ * @param {String} [options.backend='table'] - the constant-time backend
+ * expands the key without looking up the S-box either
+ * @return {Object} - the keySchedule and the decryptionSchedule as round
+ * keys, the numberOfRounds to use them with, the keySize and the backend
+ */
+function expandKey(key, options) {
+  if (!key) {
+    throw new Error('\'key\' cannot be undefined');
+  }
+  if (key instanceof AES) {
+    return key;
+  }
+  const backend = getBackend(options);
+  const { numberOfRounds, keyLength } = getKeyParameters(key.length * 8);
+  if (!numberOfRounds) {
+    throw new Error(`Invalid key length of ${key.length} bytes. ` +
+      'Must be 16, 24 or 32 bytes');
+  }
+
+  if (backend === 'constant-time') {
+    const { keySchedule, decryptionSchedule } = expandRoundKeys(
+      key, keyLength, numberOfRounds
+    );
+    return {
+      keySchedule,
+      decryptionSchedule,
+      numberOfRounds,
+      keySize: key.length * 8,
+      backend,
+    };
+  }
+
+  const keySchedule = keyExpansion(key, 4, keyLength, numberOfRounds);
+  return {
+    keySchedule: createRoundKeys(keySchedule),
+    decryptionSchedule: createRoundKeys(
+      createDecryptionKeySchedule(keySchedule, numberOfRounds)
+    ),
+    numberOfRounds,
+    keySize: key.length * 8,
+    backend,
+  };
+}
+
+/**
+ * @description - Gets the size of a key in bits
+ * @param {Buffer|AES} key
+ * @return {Number}
+ */
+function getKeySize(key) {
+  return key instanceof AES ? key.keySize : key.length * 8;
+}
+
+/**
+ * @description - Converts a key schedule created with {@link keyExpansion}
+ * into the round keys used by the T-table core, once per call rather than
+ * once per block
+ * @param {Uint32Array|Array} keySchedule
+ * @return {Uint32Array}
+ */
+function getRoundKeys(keySchedule) {
+  return keySchedule instanceof Uint32Array ?
+    keySchedule : createRoundKeys(keySchedule);
+}
+
+/**
+ * @description - Writes a chunk to the stream
+ * @param {Writable} stream
+ * @param {Buffer} chunk
+ * @return {Promise}
+ */
+function writeChunk(stream, chunk) {
+  return new Promise(function(resolve, reject) {
+    stream.write(chunk, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
       }
+    });
+  });
+}
 
-      for (let i = 0; i < numberOfChunks - 1; ++i) {
-        promises.push(new Promise(function(resolve, reject) {
-          const inputSlice = input.slice(
-            i * stateSize, (i + 1) * stateSize
-          );
-          const output = inverseCipher(inputSlice, keySchedule, numberOfRounds);
-          stream.write(output, function(err) {
-            if (err) {
-              reject(err);
-            } else {
-              resolve();
-            }
-          });
-        }));
+/**
+ * @description - Reads up to length bytes from the file at the position.
+ * The returned buffer is shorter if the end of the file is reached
+ * @param {Number} fd - file descriptor
+ * @param {Number} length
+ * @param {Number} position
+ * @return {Promise<Buffer>}
+ */
+function readChunk(fd, length, position) {
+  return new Promise(function(resolve, reject) {
+    const buffer = new Buffer(length);
+    fs.read(fd, buffer, 0, length, position, function(err, bytesRead) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(buffer.slice(0, bytesRead));
       }
+    });
+  });
+}
 
-      // the last block is special because it contains the padding
-      promises.push(new Promise(function(resolve, reject) {
-        const inputSlice = input.slice(
-          (numberOfChunks - 1) * stateSize, numberOfChunks * stateSize
-        );
-        const paddingOutput = inverseCipher(
-          inputSlice,
-          keySchedule,
-          numberOfRounds
-        );
-        const output = removePaddingFromInput(paddingOutput);
-        if (output.length <= 0) {
-          resolve();
-        } else {
-          stream.write(output, function(err) {
-            if (err) {
-              reject(err);
-            } else {
-              resolve();
-            }
-          });
-        }
-      }));
-
-      return promises.reduce(function(total, promise) {
-        return total.then(promise);
-      }, Promise.resolve());
-    })
-    .catch(function(err) {
-      throw err;
+/**
+ * @description - Closes the file descriptor
+ * @param {Number} fd
+ * @return {Promise}
+ */
+function closeFile(fd) {
+  return new Promise(function(resolve, reject) {
+    fs.close(fd, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
     });
+  });
+}
+
+/**
+ * @description - Retrieves and validates the cipher mode from the options
+ * given to {@link encrypt} or {@link decrypt}
+ * @param {Object} [options={}]
+ * @return {String}
+ */
+function getCipherMode(options) {
+  const cipherMode = ((options && options.cipherMode) || 'ecb').toLowerCase();
+  if (cipherModes.indexOf(cipherMode) === -1) {
+    throw new Error(`Invalid cipher mode '${options.cipherMode}'`);
+  }
+
+  return cipherMode;
+}
+
+/**
+ * @description - Retrieves and validates the backend from the options. The
+ * 'table' backend is the fastest, but its lookups are indexed by secret data
+ * and can leak it through cache timing to other code on the same machine.
+ * The 'constant-time' backend computes the S-box instead, and is several
+ * times slower
+ * @param {Object} [options={}]
+ * @return {String}
+ */
+function getBackend(options) {
+  const backend = (options && options.backend) || 'table';
+  if (backends.indexOf(backend) === -1) {
+    throw new Error(`Invalid backend '${backend}'`);
+  }
+
+  return backend;
+}
+
+/**
+ * @description - Retrieves and validates the number of worker threads from
+ * the options
+ * @param {Object} [options={}]
+ * @return {Number}
+ */
+function getThreads(options) {
+  const threads = options && options.threads !== undefined ?
+    options.threads : 1;
+  if (!Number.isInteger(threads) || threads < 1) {
+    throw new Error(`Invalid number of threads '${threads}'`);
+  }
+
+  return threads;
+}
+
+/**
+ * @description - Gets the functions that encrypt and decrypt a block for
+ * the backend
+ * @param {String} [backend='table']
+ * @return {Object} - the encryptBlock and decryptBlock functions
+ */
+function getBlockCipher(backend) {
+  if (backend === 'constant-time') {
+    return {
+      encryptBlock: constantTimeCipher,
+      decryptBlock: constantTimeInverseCipher,
+    };
+  }
+
+  return { encryptBlock: fastCipher, decryptBlock: fastInverseCipher };
 }
 
 /**
- * @description - Adds padding to the given input
+ * @description - XORs two blocks of the same size together into a new buffer.
+ * Used for chaining blocks together in CBC mode
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @return {Buffer}
+ */
+function xorBlocks(a, b) {
+  const output = new Buffer(a.length);
+  for (let i = 0; i < a.length; ++i) {
+    output[i] = a[i] ^ b[i];
+  }
+
+  return output;
+}
+
+/**
+ * @description - Creates the first counter block for CTR mode out of a random
+ * nonce followed by a counter starting at zero
+ * @return {Buffer}
+ */
+function createInitialCounter() {
+  const blockSize = 4;
+  const counter = new Buffer(blockSize * 4 - nonceSize).fill(0);
+  return Buffer.concat([crypto.randomBytes(nonceSize), counter]);
+}
+
+/**
+ * @description - Adds the block index to the initial counter block, treating
+ * it as a 128-bit big-endian integer that wraps around
+ * @param {Buffer} initialCounter - 16 byte counter block
+ * @param {Number} blockIndex
+ * @return {Buffer}
+ */
+function getCounterBlock(initialCounter, blockIndex) {
+  const counterBlock = new Buffer(initialCounter);
+  let carry = blockIndex;
+  for (let i = counterBlock.length - 1; i >= 0 && carry > 0; --i) {
+    const sum = counterBlock[i] + carry % 256;
+    counterBlock[i] = sum & 0xff;
+    carry = Math.floor(carry / 256) + (sum >> 8);
+  }
+
+  return counterBlock;
+}
+
+/**
+ * @description - Encrypts or decrypts the input in CTR mode by XORing it with
+ * the keystream generated by running successive counter blocks through
+ * {@link cipher}. The output is exactly as long as the input
  * @param {Buffer} input
- * @param {Number} [blockSize=4]
+ * @param {Uint32Array|Array} keySchedule - schedule of keys created with
+ * {@link expandKey} or {@link keyExpansion}
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ * @param {Buffer} initialCounter - 16 byte counter block for the first block
+ * @param {Number} [offset=0] - position of the input within the keystream
+ * @param {String} [backend='table'] - core to encrypt blocks with, see
+ * {@link getBackend}
  * @return {Buffer}
  */
-function padInput(input, blockSize) {
-  if (!blockSize) {
-    blockSize = 4;
+function ctr(
+  input, keySchedule, numberOfRounds, initialCounter, offset, backend
+) {
+  if (!offset) {
+    offset = 0;
+  }
+  const stateSize = 16;
+  const { encryptBlock } = getBlockCipher(backend);
+  const roundKeys = getRoundKeys(keySchedule);
+  const output = new Buffer(input.length);
+
+  const counterBlock = getCounterBlock(
+    initialCounter, Math.floor(offset / stateSize)
+  );
+  const keystream = new Buffer(stateSize);
+  let position = offset % stateSize;
+  encryptBlock(counterBlock, 0, keystream, 0, roundKeys, numberOfRounds);
+  for (let i = 0; i < input.length; ++i) {
+    if (position === stateSize) {
+      incrementCounter(counterBlock, stateSize);
+      encryptBlock(counterBlock, 0, keystream, 0, roundKeys, numberOfRounds);
+      position = 0;
+    }
+    output[i] = input[i] ^ keystream[position];
+    position += 1;
   }
-  const size = input.length;
-  let paddingLength = blockSize * 4 - size % (blockSize * 4);
 
-  const padding = new Buffer(paddingLength)
-    .fill(0);
-  padding[paddingLength - 1] = paddingLength;
+  return output;
+}
+
+/**
+ * @description - Retrieves the additional authenticated data for GCM mode
+ * from the options given to {@link encrypt} or {@link decrypt}. The
+ * container header is authenticated along with it so it can't be tampered
+ * with
+ * @param {Object} [options={}]
+ * @param {Buffer} [header]
+ * @return {Buffer}
+ */
+function getAdditionalData(options, header) {
+  let aad = new Buffer(0);
+  if (options && options.aad) {
+    aad = Buffer.isBuffer(options.aad) ? options.aad : new Buffer(options.aad);
+  }
 
-  return Buffer.concat([input, padding]);
+  return header ? Buffer.concat([header, aad]) : aad;
 }
 
 /**
- * @description - Removes padding from the given input
+ * @description - Encrypts the input in GCM mode as defined in
+ * NIST SP 800-38D. The input is encrypted with GCTR and the ciphertext and
+ * additional data are authenticated with GHASH
  * @param {Buffer} input
+ * @param {Uint32Array|Array} keySchedule - schedule of keys created with
+ * {@link expandKey} or {@link keyExpansion}
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ * @param {Buffer} iv - initialization vector, should be 12 bytes
+ * @param {Buffer} aad - additional authenticated data
+ * @param {String} [backend='table'] - core to encrypt blocks with, see
+ * {@link getBackend}
+ * @return {Object} - the cipherText and the 16 byte tag
+ */
+function gcmEncrypt(input, keySchedule, numberOfRounds, iv, aad, backend) {
+  const hashKey = getHashKey(keySchedule, numberOfRounds, backend);
+  const preCounterBlock = getPreCounterBlock(hashKey, iv);
+
+  const cipherText = gctr(
+    input,
+    keySchedule,
+    numberOfRounds,
+    incrementCounter32(preCounterBlock),
+    backend
+  );
+  const tag = gctr(
+    ghash(hashKey, aad, cipherText),
+    keySchedule,
+    numberOfRounds,
+    preCounterBlock,
+    backend
+  );
+
+  return { cipherText, tag };
+}
+
+/**
+ * @description - Verifies the tag and decrypts the input in GCM mode as
+ * defined in NIST SP 800-38D. Nothing is decrypted if the tag is invalid
+ * @param {Buffer} input
+ * @param {Uint32Array|Array} keySchedule - schedule of keys created with
+ * {@link expandKey} or {@link keyExpansion}
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ * @param {Buffer} iv - initialization vector the input was encrypted with
+ * @param {Buffer} aad - additional authenticated data
+ * @param {Buffer} tag - authentication tag the input was encrypted with
+ * @param {String} [backend='table'] - core to encrypt blocks with, see
+ * {@link getBackend}
  * @return {Buffer}
  */
-function removePaddingFromInput(input) {
-  const paddingLength = input[input.length - 1];
-  return input.slice(0, input.length - paddingLength);
+function gcmDecrypt(
+  input, keySchedule, numberOfRounds, iv, aad, tag, backend
+) {
+  const hashKey = getHashKey(keySchedule, numberOfRounds, backend);
+  const preCounterBlock = getPreCounterBlock(hashKey, iv);
+
+  const expectedTag = gctr(
+    ghash(hashKey, aad, input),
+    keySchedule,
+    numberOfRounds,
+    preCounterBlock,
+    backend
+  );
+  if (!constantTimeEqual(expectedTag, tag)) {
+    throw new AuthenticationError('Authentication failed: the ciphertext, ' +
+      'additional authenticated data, IV or key is invalid');
+  }
+
+  return gctr(
+    input,
+    keySchedule,
+    numberOfRounds,
+    incrementCounter32(preCounterBlock),
+    backend
+  );
+}
+
+/**
+ * @description - Creates the hash subkey H by encrypting a block of zeros
+ * @param {Uint32Array|Array} keySchedule
+ * @param {Number} numberOfRounds
+ * @param {String} [backend='table']
+ * @return {Buffer}
+ */
+function getHashKey(keySchedule, numberOfRounds, backend) {
+  const hashKey = new Buffer(16).fill(0);
+  getBlockCipher(backend).encryptBlock(
+    hashKey, 0, hashKey, 0, getRoundKeys(keySchedule), numberOfRounds
+  );
+
+  return hashKey;
+}
+
+/**
+ * @description - Creates the pre-counter block J0 from the IV. 12 byte IVs are
+ * used directly with a counter of 1, any other length is hashed with GHASH
+ * @param {Buffer} hashKey - the hash subkey H
+ * @param {Buffer} iv
+ * @return {Buffer}
+ */
+function getPreCounterBlock(hashKey, iv) {
+  if (iv.length === gcmIvSize) {
+    return Buffer.concat([iv, new Buffer([0x00, 0x00, 0x00, 0x01])]);
+  }
+
+  return ghash(hashKey, new Buffer(0), iv);
+}
+
+/**
+ * @description - Increments the rightmost 32 bits of a counter block modulo
+ * 2^32 into a new buffer, the incrementing function used by GCM
+ * @param {Buffer} counterBlock
+ * @return {Buffer}
+ */
+function incrementCounter32(counterBlock) {
+  return incrementCounter(new Buffer(counterBlock), 4);
+}
+
+/**
+ * @description - Increments the rightmost bytes of a counter block in place
+ * as a big-endian integer that wraps around
+ * @param {Buffer} counterBlock
+ * @param {Number} length - number of bytes making up the counter
+ * @return {Buffer}
+ */
+function incrementCounter(counterBlock, length) {
+  for (let i = counterBlock.length - 1; i >= counterBlock.length - length;
+    --i) {
+    counterBlock[i] = (counterBlock[i] + 1) & 0xff;
+    if (counterBlock[i] !== 0) {
+      break;
+    }
+  }
+
+  return counterBlock;
+}
+
+/**
+ * @description - The GCTR function of GCM. Encrypts or decrypts the input by
+ * XORing it with the encrypted counter blocks, incrementing the counter with
+ * {@link incrementCounter32}
+ * @param {Buffer} input
+ * @param {Uint32Array|Array} keySchedule - schedule of keys created with
+ * {@link expandKey} or {@link keyExpansion}
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ * @param {Buffer} initialCounter - 16 byte counter block for the first block
+ * @param {String} [backend='table'] - core to encrypt blocks with, see
+ * {@link getBackend}
+ * @return {Buffer}
+ */
+function gctr(input, keySchedule, numberOfRounds, initialCounter, backend) {
+  const stateSize = 16;
+  const { encryptBlock } = getBlockCipher(backend);
+  const roundKeys = getRoundKeys(keySchedule);
+  const output = new Buffer(input.length);
+
+  const counterBlock = new Buffer(initialCounter);
+  const keystream = new Buffer(stateSize);
+  for (let i = 0; i < input.length; i += stateSize) {
+    encryptBlock(counterBlock, 0, keystream, 0, roundKeys, numberOfRounds);
+    for (let j = i; j < Math.min(i + stateSize, input.length); ++j) {
+      output[j] = input[j] ^ keystream[j - i];
+    }
+    incrementCounter(counterBlock, 4);
+  }
+
+  return output;
+}
+
+/**
+ * @description - The GHASH function of GCM. Hashes the additional data and
+ * ciphertext, each padded with zeros to a multiple of 16 bytes, followed by
+ * a block containing their lengths in bits
+ * @param {Buffer} hashKey - the hash subkey H
+ * @param {Buffer} aad - additional authenticated data
+ * @param {Buffer} cipherText
+ * @return {Buffer}
+ */
+function ghash(hashKey, aad, cipherText) {
+  const stateSize = 16;
+  const lengths = new Buffer(stateSize).fill(0);
+  // bit lengths are stored as 64-bit integers, split into two 32-bit halves
+  lengths.writeUInt32BE(Math.floor(aad.length / 0x20000000), 0);
+  lengths.writeUInt32BE((aad.length * 8) % 0x100000000, 4);
+  lengths.writeUInt32BE(Math.floor(cipherText.length / 0x20000000), 8);
+  lengths.writeUInt32BE((cipherText.length * 8) % 0x100000000, 12);
+
+  const data = Buffer.concat([
+    aad,
+    new Buffer((stateSize - aad.length % stateSize) % stateSize).fill(0),
+    cipherText,
+    new Buffer((stateSize - cipherText.length % stateSize) % stateSize)
+      .fill(0),
+    lengths,
+  ]);
+
+  let hash = new Buffer(stateSize).fill(0);
+  for (let i = 0; i < data.length; i += stateSize) {
+    hash = ghashMultiply(
+      xorBlocks(hash, data.slice(i, i + stateSize)),
+      hashKey
+    );
+  }
+
+  return hash;
+}
+
+/**
+ * @description - Gets the length of the tag appended to the output in the
+ * cipher mode
+ * @param {String} cipherMode
+ * @return {Number}
+ */
+function getTagLength(cipherMode) {
+  if (cipherMode === 'gcm') {
+    return tagSize;
+  } else if (cipherMode === 'cbc-hmac') {
+    return hmacTagSize;
+  }
+
+  return 0;
+}
+
+/**
+ * @description - Derives the separate encryption and MAC keys of CBC-HMAC
+ * mode from the key with HKDF-SHA256, so the block cipher and HMAC never
+ * share a key. The encryption key is the same size as the key
+ * @param {Buffer} key - 16, 24 or 32 byte key, or the key derived from the
+ * password
+ * @return {Object} - the encryptionKey and the 32 byte macKey
+ */
+function getCbcHmacKeys(key) {
+  if (!Buffer.isBuffer(key)) {
+    throw new Error('The cbc-hmac cipher mode derives its keys from the ' +
+      'key itself, so it needs a Buffer rather than an AES instance');
+  }
+
+  const salt = new Buffer(0);
+  return {
+    encryptionKey: hkdf(key, salt, cbcHmacEncryptionInfo, key.length),
+    macKey: hkdf(key, salt, cbcHmacMacInfo, hmacTagSize),
+  };
+}
+
+/**
+ * @description - HKDF-SHA256 from RFC 5869, built on crypto.createHmac()
+ * rather than crypto.hkdfSync(), which older versions of Node don't have
+ * @param {Buffer} key - the input keying material
+ * @param {Buffer} salt - an empty salt is the same as 32 zero bytes
+ * @param {String|Buffer} info - context that ties the output to its use
+ * @param {Number} length - at most 255 * 32 bytes
+ * @return {Buffer}
+ */
+function hkdf(key, salt, info, length) {
+  const hashSize = 32;
+  if (length > 255 * hashSize) {
+    throw new Error(`HKDF-SHA256 can't derive more than ${255 * hashSize} ` +
+      'bytes');
+  }
+
+  const prk = crypto.createHmac('sha256', salt).update(key).digest();
+  const blocks = [];
+  let block = new Buffer(0);
+  for (let i = 1; i <= Math.ceil(length / hashSize); ++i) {
+    block = crypto.createHmac('sha256', prk)
+      .update(block)
+      .update(info)
+      .update(new Buffer([i]))
+      .digest();
+    blocks.push(block);
+  }
+
+  return Buffer.concat(blocks).slice(0, length);
+}
+
+/**
+ * @description - Computes the HMAC-SHA256 tag of CBC-HMAC mode over the
+ * header, which ends with the IV, and the ciphertext
+ * @param {Buffer} macKey
+ * @param {Buffer} header
+ * @param {Buffer} cipherText
+ * @return {Buffer}
+ */
+function hmac(macKey, header, cipherText) {
+  return crypto.createHmac('sha256', macKey)
+    .update(header)
+    .update(cipherText)
+    .digest();
+}
+
+/**
+ * @description - Compares two buffers in constant time so that the time
+ * taken doesn't leak how many leading bytes match
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @return {Boolean}
+ */
+function constantTimeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; ++i) {
+    difference |= a[i] ^ b[i];
+  }
+
+  return difference === 0;
 }
 
 /**
@@ -217,8 +1638,8 @@ function removePaddingFromInput(input) {
  * @param {Buffer} input
  * @param {Array} keySchedule - schedule of keys created with
  * {@link keyExpansion}
- * @param {Number} numberOfRounds - either 10 or 14 for 128-bit
- * or 256-bit keys respectively
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
  * @return {Buffer}
  */
 function cipher(input, keySchedule, numberOfRounds) {
@@ -258,8 +1679,8 @@ function cipher(input, keySchedule, numberOfRounds) {
  * @param {Buffer} input
  * @param {Array} keySchedule - schedule of keys created with
  * {@link keyExpansion}
- * @param {Number} numberOfRounds - either 10 or 14 for 128-bit
- * or 256-bit keys respectively
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
  * @return {Buffer}
  */
 function inverseCipher(input, keySchedule, numberOfRounds) {
@@ -283,6 +1704,41 @@ function inverseCipher(input, keySchedule, numberOfRounds) {
   return copyStateToOutput(state, blockSize);
 }
 
+/**
+ * @description - Decrypts a single buffer of 16 bytes with the equivalent
+ * inverse cipher from FIPS 197, section 5.3.5. The steps are in the same
+ * order as in {@link cipher}, which works since InvSubBytes and InvShiftRows
+ * commute and InvMixColumns has already been applied to the round keys
+ * @param {Buffer} input
+ * @param {Array} decryptionKeySchedule - schedule of keys created with
+ * {@link createDecryptionKeySchedule}
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ * @return {Buffer}
+ */
+function equivalentInverseCipher(
+  input, decryptionKeySchedule, numberOfRounds
+) {
+  const blockSize = 4; // this always is 4 for the AES algorithm
+
+  const state = copyInputToState(input, blockSize);
+
+  addRoundKey(state, decryptionKeySchedule, numberOfRounds, blockSize);
+
+  for (let round = numberOfRounds - 1; round >= 1; --round) {
+    invSubBytes(state, blockSize);
+    invShiftRows(state, blockSize);
+    invMixColumns(state, blockSize);
+    addRoundKey(state, decryptionKeySchedule, round, blockSize);
+  }
+
+  invSubBytes(state, blockSize);
+  invShiftRows(state, blockSize);
+  addRoundKey(state, decryptionKeySchedule, 0, blockSize);
+
+  return copyStateToOutput(state, blockSize);
+}
+
 /**
  * @description - Helper function that converts a buffer to a state array
  * @param {Buffer} input - 16 byte buffer
@@ -533,21 +1989,64 @@ function multiply(a, b) {
   return p;
 }
 
+/**
+ * @description - Multiplies two blocks in GHASH's finite field GF(2^128)
+ * defined by the polynomial x^128 + x^7 + x^2 + x + 1. Bits are reflected,
+ * so the first bit of the block is the coefficient of x^0. This algorithm
+ * is described in NIST SP 800-38D, section 6.3. The bits of the blocks are
+ * turned into masks rather than branched on, since the hash subkey is
+ * secret
+ * @param {Buffer} x - 16 byte block
+ * @param {Buffer} y - 16 byte block
+ * @return {Buffer}
+ */
+function ghashMultiply(x, y) {
+  const product = new Buffer(16).fill(0);
+  const v = new Buffer(y);
+
+  for (let i = 0; i < 128; ++i) {
+    const mask = -((x[i >> 3] >> (7 - (i & 0x07))) & 0x01) & 0xff;
+    for (let j = 0; j < 16; ++j) {
+      product[j] ^= v[j] & mask;
+    }
+
+    // multiply v by x, reducing with R = 11100001 || 0^120 on overflow
+    const carry = v[15] & 0x01;
+    for (let j = 15; j > 0; --j) {
+      v[j] = (v[j] >> 1) | ((v[j - 1] & 0x01) << 7);
+    }
+    v[0] = (v[0] >> 1) ^ (0xe1 & -carry);
+  }
+
+  return product;
+}
+
 /**
  * @description - Takes in the given cipher key and creates an
  * expanded key schedule intended for use with the AES algorithm
  * @param {Buffer} key
  * @param {Number} blockSize - for AES this should always be 4
  * @param {Number} keyLength - the number of words within the key.
- *  This is either 4 or 8 for 128 or 256 bit keys respectively
+ *  This is either 4, 6 or 8 for 128, 192 or 256 bit keys respectively
  * @param {Number} numberOfRounds - Number of rounds for the algorithm,
  *  determines how many keys to expand
  * @return {Array}
  */
 function keyExpansion(key, blockSize, keyLength, numberOfRounds) {
-  // invalid 128-bit key
+  if (!Buffer.isBuffer(key)) {
+    throw new Error('\'key\' must be a Buffer');
+  }
+  if (keyLength !== 4 && keyLength !== 6 && keyLength !== 8) {
+    throw new Error(`Invalid key length of ${keyLength} words. ` +
+      'Must be 4, 6 or 8 words');
+  }
+
+  // invalid 128-bit, 192-bit or 256-bit key. A short key would otherwise
+  // be expanded from undefined bytes
   if (keyLength === 4 && key.length !== 16) {
     throw new Error('Invalid key for 128-bit algorithm');
+  } else if (keyLength === 6 && key.length !== 24) {
+    throw new Error('Invalid key for 192-bit algorithm');
   } else if (keyLength === 8 && key.length !== 32) {
     throw new Error('Invalid key for 256-bit algorithm');
   }
@@ -592,6 +2091,36 @@ function keyExpansion(key, blockSize, keyLength, numberOfRounds) {
   return keySchedule;
 }
 
+/**
+ * @description - Creates the key schedule for the equivalent inverse cipher
+ * from the output of {@link keyExpansion}, as described in FIPS 197,
+ * section 5.3.5. The round keys of every round but the first and last have
+ * InvMixColumns applied to them
+ * @param {Array} keySchedule
+ * @param {Number} numberOfRounds
+ * @return {Array}
+ */
+function createDecryptionKeySchedule(keySchedule, numberOfRounds) {
+  const blockSize = 4;
+  const decryptionKeySchedule = keySchedule.map((word) => new Buffer(word));
+
+  for (let round = 1; round < numberOfRounds; ++round) {
+    const first = round * blockSize;
+    // each word of the round key is a column of the state
+    const state = copyInputToState(
+      Buffer.concat(keySchedule.slice(first, first + blockSize)), blockSize
+    );
+    const roundKey = copyStateToOutput(invMixColumns(state, blockSize));
+    for (let column = 0; column < blockSize; ++column) {
+      decryptionKeySchedule[first + column] = roundKey.slice(
+        4 * column, 4 * column + 4
+      );
+    }
+  }
+
+  return decryptionKeySchedule;
+}
+
 /**
  * @description - Applies the sBox to every byte within the word in place
  *  and returns it
@@ -622,54 +2151,6 @@ function rotateWord(word) {
   return word;
 }
 
-/* Precomputed multiplication in the AES algorithm. */
-const sBox = [
-  0x63, 0x7c, 0x77, 0x7b, 0xf2, 0x6b, 0x6f, 0xc5, 0x30, 0x01, 0x67, 0x2b, 0xfe,
-  0xd7, 0xab, 0x76, 0xca, 0x82, 0xc9, 0x7d, 0xfa, 0x59, 0x47, 0xf0, 0xad, 0xd4,
-  0xa2, 0xaf, 0x9c, 0xa4, 0x72, 0xc0, 0xb7, 0xfd, 0x93, 0x26, 0x36, 0x3f, 0xf7,
-  0xcc, 0x34, 0xa5, 0xe5, 0xf1, 0x71, 0xd8, 0x31, 0x15, 0x04, 0xc7, 0x23, 0xc3,
-  0x18, 0x96, 0x05, 0x9a, 0x07, 0x12, 0x80, 0xe2, 0xeb, 0x27, 0xb2, 0x75, 0x09,
-  0x83, 0x2c, 0x1a, 0x1b, 0x6e, 0x5a, 0xa0, 0x52, 0x3b, 0xd6, 0xb3, 0x29, 0xe3,
-  0x2f, 0x84, 0x53, 0xd1, 0x00, 0xed, 0x20, 0xfc, 0xb1, 0x5b, 0x6a, 0xcb, 0xbe,
-  0x39, 0x4a, 0x4c, 0x58, 0xcf, 0xd0, 0xef, 0xaa, 0xfb, 0x43, 0x4d, 0x33, 0x85,
-  0x45, 0xf9, 0x02, 0x7f, 0x50, 0x3c, 0x9f, 0xa8, 0x51, 0xa3, 0x40, 0x8f, 0x92,
-  0x9d, 0x38, 0xf5, 0xbc, 0xb6, 0xda, 0x21, 0x10, 0xff, 0xf3, 0xd2, 0xcd, 0x0c,
-  0x13, 0xec, 0x5f, 0x97, 0x44, 0x17, 0xc4, 0xa7, 0x7e, 0x3d, 0x64, 0x5d, 0x19,
-  0x73, 0x60, 0x81, 0x4f, 0xdc, 0x22, 0x2a, 0x90, 0x88, 0x46, 0xee, 0xb8, 0x14,
-  0xde, 0x5e, 0x0b, 0xdb, 0xe0, 0x32, 0x3a, 0x0a, 0x49, 0x06, 0x24, 0x5c, 0xc2,
-  0xd3, 0xac, 0x62, 0x91, 0x95, 0xe4, 0x79, 0xe7, 0xc8, 0x37, 0x6d, 0x8d, 0xd5,
-  0x4e, 0xa9, 0x6c, 0x56, 0xf4, 0xea, 0x65, 0x7a, 0xae, 0x08, 0xba, 0x78, 0x25,
-  0x2e, 0x1c, 0xa6, 0xb4, 0xc6, 0xe8, 0xdd, 0x74, 0x1f, 0x4b, 0xbd, 0x8b, 0x8a,
-  0x70, 0x3e, 0xb5, 0x66, 0x48, 0x03, 0xf6, 0x0e, 0x61, 0x35, 0x57, 0xb9, 0x86,
-  0xc1, 0x1d, 0x9e, 0xe1, 0xf8, 0x98, 0x11, 0x69, 0xd9, 0x8e, 0x94, 0x9b, 0x1e,
-  0x87, 0xe9, 0xce, 0x55, 0x28, 0xdf, 0x8c, 0xa1, 0x89, 0x0d, 0xbf, 0xe6, 0x42,
-  0x68, 0x41, 0x99, 0x2d, 0x0f, 0xb0, 0x54, 0xbb, 0x16,
-];
-
-/* Precomputed inverse multiplication in the AES algorithm. */
-const invSBox = [
-  0x52, 0x09, 0x6a, 0xd5, 0x30, 0x36, 0xa5, 0x38, 0xbf, 0x40, 0xa3, 0x9e, 0x81,
-  0xf3, 0xd7, 0xfb, 0x7c, 0xe3, 0x39, 0x82, 0x9b, 0x2f, 0xff, 0x87, 0x34, 0x8e,
-  0x43, 0x44, 0xc4, 0xde, 0xe9, 0xcb, 0x54, 0x7b, 0x94, 0x32, 0xa6, 0xc2, 0x23,
-  0x3d, 0xee, 0x4c, 0x95, 0x0b, 0x42, 0xfa, 0xc3, 0x4e, 0x08, 0x2e, 0xa1, 0x66,
-  0x28, 0xd9, 0x24, 0xb2, 0x76, 0x5b, 0xa2, 0x49, 0x6d, 0x8b, 0xd1, 0x25, 0x72,
-  0xf8, 0xf6, 0x64, 0x86, 0x68, 0x98, 0x16, 0xd4, 0xa4, 0x5c, 0xcc, 0x5d, 0x65,
-  0xb6, 0x92, 0x6c, 0x70, 0x48, 0x50, 0xfd, 0xed, 0xb9, 0xda, 0x5e, 0x15, 0x46,
-  0x57, 0xa7, 0x8d, 0x9d, 0x84, 0x90, 0xd8, 0xab, 0x00, 0x8c, 0xbc, 0xd3, 0x0a,
-  0xf7, 0xe4, 0x58, 0x05, 0xb8, 0xb3, 0x45, 0x06, 0xd0, 0x2c, 0x1e, 0x8f, 0xca,
-  0x3f, 0x0f, 0x02, 0xc1, 0xaf, 0xbd, 0x03, 0x01, 0x13, 0x8a, 0x6b, 0x3a, 0x91,
-  0x11, 0x41, 0x4f, 0x67, 0xdc, 0xea, 0x97, 0xf2, 0xcf, 0xce, 0xf0, 0xb4, 0xe6,
-  0x73, 0x96, 0xac, 0x74, 0x22, 0xe7, 0xad, 0x35, 0x85, 0xe2, 0xf9, 0x37, 0xe8,
-  0x1c, 0x75, 0xdf, 0x6e, 0x47, 0xf1, 0x1a, 0x71, 0x1d, 0x29, 0xc5, 0x89, 0x6f,
-  0xb7, 0x62, 0x0e, 0xaa, 0x18, 0xbe, 0x1b, 0xfc, 0x56, 0x3e, 0x4b, 0xc6, 0xd2,
-  0x79, 0x20, 0x9a, 0xdb, 0xc0, 0xfe, 0x78, 0xcd, 0x5a, 0xf4, 0x1f, 0xdd, 0xa8,
-  0x33, 0x88, 0x07, 0xc7, 0x31, 0xb1, 0x12, 0x10, 0x59, 0x27, 0x80, 0xec, 0x5f,
-  0x60, 0x51, 0x7f, 0xa9, 0x19, 0xb5, 0x4a, 0x0d, 0x2d, 0xe5, 0x7a, 0x9f, 0x93,
-  0xc9, 0x9c, 0xef, 0xa0, 0xe0, 0x3b, 0x4d, 0xae, 0x2a, 0xf5, 0xb0, 0xc8, 0xeb,
-  0xbb, 0x3c, 0x83, 0x53, 0x99, 0x61, 0x17, 0x2b, 0x04, 0x7e, 0xba, 0x77, 0xd6,
-  0x26, 0xe1, 0x69, 0x14, 0x63, 0x55, 0x21, 0x0c, 0x7d,
-];
-
 /* This is used for key expansion. The first column is 2^(r - 1)
  * (0, 1, 2, 4, 8, ...) in The Galois Field(2^8) */
 const roundConstant = [
@@ -687,10 +2168,53 @@ const roundConstant = [
 ];
 
 module.exports = {
+  DecryptionError,
+  PaddingError,
+  AuthenticationError,
+  FormatError,
+  IntegrityError,
+  cipherModes,
+  authenticatedCipherModes,
+  paddingSchemes,
+  backends,
+  parallelCipherModes,
+  parallelChunkSize,
+  outputEncodings,
+  AES,
+  getCipher,
   encrypt,
   decrypt,
+  encryptBuffer,
+  decryptBuffer,
+  encryptBufferSync,
+  decryptBufferSync,
+  decryptRange,
+  getCipherMode,
+  getBackend,
+  getThreads,
+  getPaddingScheme,
+  createHeader,
+  readHeader,
+  getDecryptionKey,
+  createIv,
+  expandKey,
+  getKeySize,
+  encryptBlocks,
+  decryptBlocks,
+  padInput,
+  removePaddingFromInput,
+  xorBlocks,
+  createInitialCounter,
+  getCounterBlock,
+  ctr,
+  gcmEncrypt,
+  gcmDecrypt,
+  getCbcHmacKeys,
+  hkdf,
+  constantTimeEqual,
   cipher,
   inverseCipher,
+  equivalentInverseCipher,
   rotateWord,
   subBytes,
   invSubBytes,
@@ -700,5 +2224,7 @@ module.exports = {
   mixColumns,
   invMixColumns,
   multiply,
+  ghashMultiply,
   keyExpansion,
+  createDecryptionKeySchedule,
 };
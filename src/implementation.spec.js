@@ -33,6 +33,18 @@ describe('implementation.js', function() {
       );
     });
 
+    it('Correctly encrypts with a 192-bit key', function() {
+      const { keyExpansion, cipher } = getImplemenation();
+      const keySchedule = keyExpansion(key192, blockSize, 6, 12);
+
+      const output = cipher(input, keySchedule, 12);
+      assert(output.compare(expectedResult192) === 0,
+        'cipher() didn\'t return the correct output. ' +
+        ` Expected ${output.toString('hex')} to equal ` +
+        `${expectedResult192.toString('hex')}`
+      );
+    });
+
     it('Correctly encrypts with a 256-byte key', function() {
       const { keyExpansion, cipher } = getImplemenation();
       const keySchedule = keyExpansion(key256, blockSize, 8, 14);
@@ -59,6 +71,18 @@ describe('implementation.js', function() {
       );
     });
 
+    it('Correctly decrypts with a 192-bit key', function() {
+      const { keyExpansion, inverseCipher } = getImplemenation();
+      const keySchedule = keyExpansion(key192, blockSize, 6, 12);
+
+      const output = inverseCipher(expectedResult192, keySchedule, 12);
+      assert(output.compare(input) === 0,
+        'inverseCipher() didn\'t return the correct output. ' +
+        ` Expected ${output.toString('hex')} to equal ` +
+        `${input.toString('hex')}`
+      );
+    });
+
     it('Correctly decrypts with a 256-byte key', function() {
       const { keyExpansion, inverseCipher } = getImplemenation();
       const keySchedule = keyExpansion(key256, blockSize, 8, 14);
@@ -72,6 +96,404 @@ describe('implementation.js', function() {
     });
   });
 
+  describe('equivalentInverseCipher()', function() {
+    it('Correctly decrypts with every key size', function() {
+      const {
+        keyExpansion, createDecryptionKeySchedule, equivalentInverseCipher,
+      } = getImplemenation();
+      [
+        [key128, 4, 10, expectedResult128],
+        [key192, 6, 12, expectedResult192],
+        [key256, 8, 14, expectedResult256],
+      ].forEach(function([key, keyLength, numberOfRounds, cipherText]) {
+        const decryptionKeySchedule = createDecryptionKeySchedule(
+          keyExpansion(key, blockSize, keyLength, numberOfRounds),
+          numberOfRounds
+        );
+
+        const output = equivalentInverseCipher(
+          cipherText, decryptionKeySchedule, numberOfRounds
+        );
+        assert(output.compare(input) === 0,
+          'equivalentInverseCipher() didn\'t return the correct output. ' +
+          `Expected ${output.toString('hex')} ` +
+          `to equal ${input.toString('hex')}`
+        );
+      });
+    });
+
+    it('Applies InvMixColumns to the middle round keys', function() {
+      const {
+        keyExpansion, createDecryptionKeySchedule,
+      } = getImplemenation();
+      const keySchedule = keyExpansion(key128, blockSize, 4, 10);
+
+      const decryptionKeySchedule = createDecryptionKeySchedule(
+        keySchedule, 10
+      );
+      const roundKey = function(round) {
+        return Buffer.concat(
+          decryptionKeySchedule.slice(round * 4, round * 4 + 4)
+        ).toString('hex');
+      };
+      // Test vector taken from FIPS 197, Appendix C.1, round[ 1].ik_sch of
+      // the equivalent inverse cipher
+      assert.equal(roundKey(9), '13aa29be9c8faff6f770f58000f7bf03');
+      // the first and last round keys are left alone
+      assert.equal(roundKey(0), key128.toString('hex'));
+      assert.equal(roundKey(10), '13111d7fe3944a17f307a78b4d2b30c5');
+      assert.equal(Buffer.concat(keySchedule.slice(36, 40)).toString('hex'),
+        '549932d1f08557681093ed9cbe2c974e',
+        'createDecryptionKeySchedule() changed the key schedule');
+    });
+  });
+
+  describe('AES class', function() {
+    it('Encrypts and decrypts the FIPS 197 blocks', function() {
+      const { AES } = getImplemenation();
+      [
+        [key128, expectedResult128],
+        [key192, expectedResult192],
+        [key256, expectedResult256],
+      ].forEach(function([key, expected]) {
+        const aes = new AES(key);
+        const output = aes.encryptBlock(input);
+        assert(output.compare(expected) === 0,
+          `encryptBlock() didn't return expected output. ` +
+          `Expected ${output.toString('hex')} ` +
+          `to equal ${expected.toString('hex')}`
+        );
+        assert(aes.decryptBlock(expected).compare(input) === 0,
+          `decryptBlock() didn't return the input for a ` +
+          `${key.length * 8}-bit key`
+        );
+      });
+    });
+
+    it('Rejects invalid keys and blocks', function() {
+      const { AES } = getImplemenation();
+      assert.throws(() => new AES(new Buffer(20)), /Invalid key length of 20/);
+      assert.throws(() => new AES('0123456789abcdef'), /must be a Buffer/);
+      assert.throws(function() {
+        new AES(key128).encryptBlock(new Buffer(15));
+      }, /16 byte Buffer/);
+    });
+
+    it('Gives the same output as the mode helpers', function() {
+      const {
+        AES, expandKey, encryptBlocks, ctr, gcmEncrypt,
+      } = getImplemenation();
+      const aes = new AES(key192);
+      const { keySchedule, numberOfRounds } = expandKey(key192);
+      const plainText = Buffer.concat([input, input, input]);
+      const iv = expectedResult128;
+
+      assert(aes.encryptBlocks(plainText, 'cbc', iv).compare(
+        encryptBlocks(plainText, keySchedule, numberOfRounds, 'cbc', iv)
+      ) === 0, 'encryptBlocks() didn\'t match');
+      assert(aes.decryptBlocks(
+        aes.encryptBlocks(plainText, 'cbc', iv), 'cbc', iv
+      ).compare(plainText) === 0, 'decryptBlocks() didn\'t match');
+      assert(aes.ctr(plainText, iv, 5).compare(
+        ctr(plainText, keySchedule, numberOfRounds, iv, 5)
+      ) === 0, 'ctr() didn\'t match');
+
+      const gcmIv = iv.slice(0, 12);
+      const { cipherText, tag } = aes.gcmEncrypt(plainText, gcmIv, input);
+      const expected = gcmEncrypt(
+        plainText, keySchedule, numberOfRounds, gcmIv, input
+      );
+      assert(cipherText.compare(expected.cipherText) === 0 &&
+        tag.compare(expected.tag) === 0, 'gcmEncrypt() didn\'t match');
+      assert(aes.gcmDecrypt(cipherText, gcmIv, input, tag)
+        .compare(plainText) === 0, 'gcmDecrypt() didn\'t match');
+    });
+
+    it('Can be used in place of the key', function() {
+      const { AES, decryptBufferSync, expandKey } = getImplemenation();
+      const aes = new AES(key256);
+
+      assert.strictEqual(expandKey(aes), aes,
+        'expandKey() expanded the key again');
+      ['ecb', 'cbc', 'ctr', 'gcm'].forEach(function(cipherMode) {
+        const cipherText = aes.encrypt(input, { cipherMode });
+        assert(decryptBufferSync(key256, cipherText).compare(input) === 0,
+          `decryptBufferSync() couldn't decrypt ${cipherMode} output`
+        );
+        assert(aes.decrypt(cipherText).compare(input) === 0,
+          `decrypt() couldn't decrypt ${cipherMode} output`
+        );
+      });
+    });
+
+    it('Is returned by getCipher() instead of expanding the key again',
+      function() {
+        const { AES, getCipher } = getImplemenation();
+        const aes = new AES(key128);
+        const options = { backend: 'constant-time' };
+
+        assert.strictEqual(getCipher(aes, options), aes);
+        assert.equal(getCipher(key128, options).backend, 'constant-time');
+        assert.equal(getCipher(key128).backend, 'table');
+        assert.deepEqual(getCipher(key128, options).encryptBlock(input),
+          expectedResult128
+        );
+      }
+    );
+
+    it('Is checked against the key size of the file API', function() {
+      const writeStream = new FakeWriteStream();
+      const { AES, encrypt } = getImplemenation({
+        fs: getFakeFileSystem(writeStream),
+      });
+
+      assert.throws(function() {
+        encrypt(128, new AES(key256), input, '');
+      }, /Invalid key for 128-bit algorithm/);
+      return encrypt(256, new AES(key256), input, '')
+        .then(function() {
+          assert.equal(writeStream.getOutput().slice(0, 4).toString(), 'AESJ');
+        });
+    });
+  });
+
+  describe('Constant-time backend', function() {
+    it('Encrypts and decrypts the FIPS 197 blocks', function() {
+      const { AES } = getImplemenation();
+      [
+        [key128, expectedResult128],
+        [key192, expectedResult192],
+        [key256, expectedResult256],
+      ].forEach(function([key, expected]) {
+        const aes = new AES(key, { backend: 'constant-time' });
+        const output = aes.encryptBlock(input);
+        assert(output.compare(expected) === 0,
+          `encryptBlock() didn't return expected output. ` +
+          `Expected ${output.toString('hex')} ` +
+          `to equal ${expected.toString('hex')}`
+        );
+        assert(aes.decryptBlock(expected).compare(input) === 0,
+          `decryptBlock() didn't return the input for a ` +
+          `${key.length * 8}-bit key`
+        );
+      });
+    });
+
+    ['ecb', 'cbc', 'ctr', 'gcm'].forEach(function(cipherMode) {
+      it(`Gives the same ${cipherMode} output as the table backend`,
+        function() {
+          const iv = new Buffer('cafebabefacedbaddecaf888feedface', 'hex');
+          const crypto = Object.assign({}, require('crypto'), {
+            randomBytes: (size) => iv.slice(0, size),
+          });
+          const {
+            encryptBufferSync, decryptBufferSync,
+          } = getImplemenation({ crypto });
+          const plainText = new Buffer('the same bytes whichever core ' +
+            'produced them, block after block');
+
+          [key128, key192, key256].forEach(function(key) {
+            const expected = encryptBufferSync(key, plainText, {
+              cipherMode, backend: 'table',
+            });
+            const output = encryptBufferSync(key, plainText, {
+              cipherMode, backend: 'constant-time',
+            });
+            assert(output.compare(expected) === 0,
+              `encryptBufferSync() didn't return expected output. ` +
+              `Expected ${output.toString('hex')} ` +
+              `to equal ${expected.toString('hex')}`
+            );
+            assert(decryptBufferSync(key, output, {
+              backend: 'constant-time',
+            }).compare(plainText) === 0,
+            `decryptBufferSync() couldn't decrypt ${cipherMode} output`
+            );
+          });
+        }
+      );
+    });
+
+    it('Is used by the AES class for every mode', function() {
+      const { AES } = getImplemenation();
+      const table = new AES(key256);
+      const constantTime = new AES(key256, { backend: 'constant-time' });
+      const plainText = Buffer.concat([input, input, input]);
+      const iv = expectedResult128;
+
+      assert.equal(table.backend, 'table');
+      assert.equal(constantTime.backend, 'constant-time');
+      assert(constantTime.encryptBlocks(plainText, 'cbc', iv).compare(
+        table.encryptBlocks(plainText, 'cbc', iv)
+      ) === 0, 'encryptBlocks() didn\'t match');
+      assert(constantTime.decryptBlocks(plainText, 'cbc', iv).compare(
+        table.decryptBlocks(plainText, 'cbc', iv)
+      ) === 0, 'decryptBlocks() didn\'t match');
+      assert(constantTime.ctr(plainText, iv, 7).compare(
+        table.ctr(plainText, iv, 7)
+      ) === 0, 'ctr() didn\'t match');
+      const expected = table.gcmEncrypt(plainText, iv.slice(0, 12), input);
+      const output = constantTime.gcmEncrypt(plainText, iv.slice(0, 12), input);
+      assert(output.cipherText.compare(expected.cipherText) === 0 &&
+        output.tag.compare(expected.tag) === 0, 'gcmEncrypt() didn\'t match');
+    });
+
+    it('Throws for an unknown backend', function() {
+      const { AES, encryptBufferSync } = getImplemenation();
+      assert.throws(function() {
+        encryptBufferSync(key128, input, { backend: 'bitsliced' });
+      }, /Invalid backend 'bitsliced'/);
+      assert.throws(() => new AES(key128, { backend: 'gpu' }),
+        /Invalid backend 'gpu'/);
+    });
+  });
+
+  describe('Worker threads', function() {
+    /**
+     * @description - Gets the implementation with randomBytes stubbed, so
+     * the IVs and counter blocks are the same on every run
+     * @param {Object} [overrides={}]
+     * @return {Module}
+     */
+    function getDeterministicImplementation(overrides = {}) {
+      const iv = new Buffer('cafebabefacedbaddecaf888feedface', 'hex');
+      return getImplemenation(Object.assign({
+        crypto: Object.assign({}, require('crypto'), {
+          randomBytes: (size) => iv.slice(0, size),
+        }),
+      }, overrides));
+    }
+
+    /**
+     * @description - Creates input split into several chunks, the last of
+     * them a partial block
+     * @param {Number} chunkSize
+     * @return {Buffer}
+     */
+    function createLargeInput(chunkSize) {
+      const plainText = new Buffer(2 * chunkSize + 37);
+      for (let i = 0; i < plainText.length; ++i) {
+        plainText[i] = (i * 31) & 0xff;
+      }
+      return plainText;
+    }
+
+    ['ecb', 'ctr'].forEach(function(cipherMode) {
+      it(`Gives the same ${cipherMode} output as a single thread`,
+        function() {
+          const {
+            encryptBuffer, decryptBuffer, encryptBufferSync, parallelChunkSize,
+          } = getDeterministicImplementation();
+          const plainText = createLargeInput(parallelChunkSize);
+          const expected = encryptBufferSync(key192, plainText, { cipherMode });
+
+          return encryptBuffer(key192, plainText, { cipherMode, threads: 2 })
+            .then(function(output) {
+              assert(output.compare(expected) === 0,
+                `encryptBuffer() didn't return the single-threaded output ` +
+                `in ${cipherMode} mode`
+              );
+              return decryptBuffer(key192, output, { threads: 3 });
+            })
+            .then(function(output) {
+              assert(output.compare(plainText) === 0,
+                `decryptBuffer() didn't return the input in ${cipherMode} mode`
+              );
+            });
+        }
+      );
+    });
+
+    it('Encrypts and decrypts files on several threads', function() {
+      const encryptStream = new FakeWriteStream();
+      const decryptStream = new FakeWriteStream();
+      const { encrypt, encryptBufferSync, parallelChunkSize } =
+        getDeterministicImplementation({
+          fs: getFakeFileSystem(encryptStream),
+        });
+      const { decrypt } = getImplemenation({
+        fs: getFakeFileSystem(decryptStream),
+      });
+      const plainText = createLargeInput(parallelChunkSize);
+      const options = {
+        cipherMode: 'ctr', backend: 'constant-time', threads: 2,
+      };
+
+      return encrypt(128, key128, plainText, '', options)
+        .then(function() {
+          const output = encryptStream.getOutput();
+          assert(output.compare(
+            encryptBufferSync(key128, plainText, { cipherMode: 'ctr' })
+          ) === 0, 'encrypt() didn\'t return the single-threaded output');
+          return decrypt(128, key128, output, '', { threads: 2 });
+        })
+        .then(function() {
+          assert(decryptStream.getOutput().compare(plainText) === 0,
+            'decrypt() didn\'t return the input'
+          );
+        });
+    });
+
+    it('Removes the padding after decrypting ECB on several threads',
+      function() {
+        const {
+          encryptBufferSync, decryptBuffer, PaddingError, parallelChunkSize,
+        } = getImplemenation();
+        const plainText = createLargeInput(parallelChunkSize);
+        const output = encryptBufferSync(key256, plainText, {
+          padding: 'iso7816',
+        });
+
+        return decryptBuffer(key256, output, { threads: 2 })
+          .then(function(output) {
+            assert(output.compare(plainText) === 0,
+              'decryptBuffer() didn\'t remove the padding'
+            );
+            // the last byte of the input isn't valid PKCS#7 padding
+            const cipherText = encryptBufferSync(
+              key256, plainText.slice(0, 2 * parallelChunkSize + 32),
+              { padding: 'none', container: false }
+            );
+            return decryptBuffer(key256, cipherText, {
+              threads: 2, container: false, padding: 'pkcs7',
+            });
+          })
+          .then(() => assert.fail('decryptBuffer() resolved invalid padding'))
+          .catch((err) => assert.instanceOf(err, PaddingError));
+      }
+    );
+
+    it('Stays on the calling thread for other modes', function() {
+      const {
+        encryptBuffer, decryptBuffer, parallelChunkSize,
+      } = getImplemenation({
+        './pool': {
+          WorkerPool: function() {
+            assert.fail('A worker pool was started');
+          },
+        },
+      });
+      const plainText = createLargeInput(parallelChunkSize);
+
+      return encryptBuffer(key128, plainText, { cipherMode: 'cbc', threads: 4 })
+        .then((output) => decryptBuffer(key128, output, { threads: 4 }))
+        .then(function(output) {
+          assert(output.compare(plainText) === 0,
+            'decryptBuffer() didn\'t return the input'
+          );
+        });
+    });
+
+    it('Throws for an invalid number of threads', function() {
+      const { encrypt } = getImplemenation();
+      [0, -2, 1.5, '2'].forEach(function(threads) {
+        assert.throws(function() {
+          encrypt(128, key128, input, '', { threads });
+        }, /Invalid number of threads/);
+      });
+    });
+  });
+
   describe('encrypt()', function() {
     const testCases16Byte = [
       {
@@ -89,6 +511,11 @@ describe('implementation.js', function() {
         plainText: '00000000000000000000000000000000',
         cipherText: '1b0d02893683b9f180458e4aa6b73982',
       },
+      {
+        key: '000000000000000000000000000000000000000000000000',
+        plainText: '80000000000000000000000000000000',
+        cipherText: '6cd02513e8d4dc986b4afe087a60bd0c',
+      },
       {
         key: 'fffffffffffffffffffffffffffffffffffffffffffff8000000000000000000',
         plainText: '00000000000000000000000000000000',
@@ -118,6 +545,11 @@ describe('implementation.js', function() {
         plainText: '000000000000000000000000000000001122334455667788',
         cipherText: '1B0D02893683B9F180458E4AA6B73982308D5A40B51DC67DA50F505D6C1AD62C', //eslint-disable-line
       },
+      {
+        key: '8e73b0f7da0e6452c810f32b809079e562f8ead2522c6b7b',
+        plainText: '000000000000000000000000000000001122334455667788',
+        cipherText: '22452d8e49a8a5939f7321ceea6d514b1601db9e80f3275e93a31be9894b1af9', //eslint-disable-line
+      },
       {
         key: '0000000000000000000000000000000000000000000000000000000000000000', //eslint-disable-line
         plainText: 'fffffffffffffffffc000000000000001122334455667788',
@@ -156,7 +588,11 @@ describe('implementation.js', function() {
             }),
           });
 
-          encrypt(key.length * 8, key, plainText, '')
+          // the expected output was created with X.923 padding and without
+          // the container header
+          encrypt(key.length * 8, key, plainText, '', {
+            padding: 'x923', container: false,
+          })
             .then(function() {
               let output = writeStream.getOutput();
               // don't worry about padding if multiple of state size
@@ -177,6 +613,23 @@ describe('implementation.js', function() {
         }
       );
     }
+
+    it('Writes to a stream instead of a file', function() {
+      const writeStream = new FakeWriteStream();
+      const { encrypt, decryptBufferSync } = getImplemenation({
+        fs: Object.assign({}, require('fs'), {
+          open: () => assert.fail('encrypt() opened a file'),
+        }),
+      });
+
+      return encrypt(128, key128, input, writeStream)
+        .then(function() {
+          const output = decryptBufferSync(key128, writeStream.getOutput());
+          assert(output.compare(input) === 0,
+            'encrypt() didn\'t write the output to the stream'
+          );
+        });
+    });
   });
 
   describe('decrypt()', function() {
@@ -197,15 +650,20 @@ describe('implementation.js', function() {
         plainText: '00000000000000000000000000000000',
         cipherText: '1b0d02893683b9f180458e4aa6b739826c46fedbce041c0edab1246a2a1d2417', //eslint-disable-line
       },
+      {
+        key: '000000000000000000000000000000000000000000000000',
+        plainText: '80000000000000000000000000000000',
+        cipherText: '6cd02513e8d4dc986b4afe087a60bd0c2da697d2737cb30b744a4644fa1cbc6e', //eslint-disable-line
+      },
       {
         key: 'fffffffffffffffffffffffffffffffffffffffffffff8000000000000000000',
         plainText: '00000000000000000000000000000000',
-        cipherText: '4570a5a18cfc0dd582f1d88d5c9a1720',
+        cipherText: '4570a5a18cfc0dd582f1d88d5c9a17204f7d2a8071189a2531b0f8bbf69f52bf', //eslint-disable-line
       },
       {
         key: '0000000000000000000000000000000000000000000000000000000000000000',
         plainText: 'fffffffffffffffffffffff000000000',
-        cipherText: '83a63402a77f9ad5c1e931a931ecd706',
+        cipherText: '83a63402a77f9ad5c1e931a931ecd7061490a05a7cee43bde98b56e309dc0126', //eslint-disable-line
       },
     ];
 
@@ -226,6 +684,11 @@ describe('implementation.js', function() {
         plainText: '000000000000000000000000000000001122334455667788',
         cipherText: '1B0D02893683B9F180458E4AA6B73982308D5A40B51DC67DA50F505D6C1AD62C', //eslint-disable-line
       },
+      {
+        key: '8e73b0f7da0e6452c810f32b809079e562f8ead2522c6b7b',
+        plainText: '000000000000000000000000000000001122334455667788',
+        cipherText: '22452d8e49a8a5939f7321ceea6d514b1601db9e80f3275e93a31be9894b1af9', //eslint-disable-line
+      },
       {
         key: '0000000000000000000000000000000000000000000000000000000000000000', //eslint-disable-line
         plainText: 'fffffffffffffffffc000000000000001122334455667788',
@@ -264,7 +727,9 @@ describe('implementation.js', function() {
             }),
           });
 
-          decrypt(key.length * 8, key, cipherText, '')
+          decrypt(key.length * 8, key, cipherText, '', {
+            padding: 'x923', container: false,
+          })
             .then(function() {
               const output = writeStream.getOutput();
               assert(output.compare(expected) === 0,
@@ -282,6 +747,1250 @@ describe('implementation.js', function() {
     }
   });
 
+  describe('encryptBufferSync()', function() {
+    it('Returns the encrypted buffer without touching the file system',
+      function() {
+        const { encryptBufferSync } = getImplemenation({
+          fs: Object.assign({}, require('fs'), {
+            open: () => assert.fail('encryptBufferSync() opened a file'),
+          }),
+        });
+        const key = new Buffer('10a58869d74be5a374cf867cfb473859', 'hex');
+        const plainText = new Buffer(
+          '000000000000000000000000000000001122334455667788', 'hex'
+        );
+        const expected = new Buffer('6D251E6944B051E04EAA6FB4DBF784658F74959DAEB6D04E82F8C59FDF46D66D', 'hex'); //eslint-disable-line
+
+        const output = encryptBufferSync(key, plainText, {
+          padding: 'x923', container: false,
+        });
+        assert(output.compare(expected) === 0,
+          `encryptBufferSync() didn't return expected output. ` +
+          `Expected ${output.toString('hex')} ` +
+          `to equal ${expected.toString('hex')}`
+        );
+      }
+    );
+
+    it('Takes the key size from the length of the key', function() {
+      const { encryptBufferSync } = getImplemenation();
+      assert.throws(function() {
+        encryptBufferSync(new Buffer(20).fill(0), input);
+      }, /Invalid key length of 20 bytes/);
+    });
+  });
+
+  describe('decryptBufferSync()', function() {
+    ['ecb', 'cbc', 'ctr', 'gcm'].forEach(function(cipherMode) {
+      [128, 192, 256].forEach(function(keySize) {
+        it(`Decrypts what encryptBufferSync() returns in ${cipherMode} ` +
+          `mode for ${keySize}-bit key`, function() {
+          const {
+            encryptBufferSync, decryptBufferSync,
+          } = getImplemenation();
+          const key = { 128: key128, 192: key192, 256: key256 }[keySize];
+          const plainText = new Buffer('in-memory encryption for services');
+
+          const output = decryptBufferSync(
+            key,
+            encryptBufferSync(key, plainText, { cipherMode }),
+            { cipherMode }
+          );
+          assert(output.compare(plainText) === 0,
+            `decryptBufferSync() didn't return expected output. ` +
+            `Expected ${output.toString('hex')} ` +
+            `to equal ${plainText.toString('hex')}`
+          );
+        });
+      });
+    });
+
+    it('Rejects input that isn\'t a multiple of 16 bytes', function() {
+      const { decryptBufferSync, DecryptionError } = getImplemenation();
+      assert.throws(function() {
+        decryptBufferSync(key128, new Buffer(20).fill(0), {
+          container: false,
+        });
+      }, DecryptionError, /multiple of 16/);
+    });
+
+    it('Throws a PaddingError when the padding is invalid', function() {
+      const {
+        decryptBufferSync, PaddingError, DecryptionError,
+      } = getImplemenation();
+
+      // decrypts to the FIPS-197 plaintext, which ends in 0xff
+      let error = null;
+      try {
+        decryptBufferSync(key128, expectedResult128, { container: false });
+      } catch (err) {
+        error = err;
+      }
+      assert.instanceOf(error, PaddingError);
+      assert.instanceOf(error, DecryptionError);
+    });
+
+    it('Doesn\'t open the output file when the padding is invalid',
+      function() {
+        const { decrypt, PaddingError } = getImplemenation({
+          fs: Object.assign({}, require('fs'), {
+            open: () => assert.fail('decrypt() opened the output file'),
+          }),
+        });
+
+        assert.throws(function() {
+          decrypt(128, key128, expectedResult128, '', { container: false });
+        }, PaddingError);
+      }
+    );
+  });
+
+  describe('encryptBuffer() and decryptBuffer()', function() {
+    it('Resolve with the encrypted and decrypted buffers', function() {
+      const { encryptBuffer, decryptBuffer } = getImplemenation();
+      const plainText = new Buffer('promise form');
+      const options = { cipherMode: 'cbc' };
+
+      return encryptBuffer(key256, plainText, options)
+        .then(function(cipherText) {
+          return decryptBuffer(key256, cipherText, options);
+        })
+        .then(function(output) {
+          assert(output.compare(plainText) === 0,
+            `decryptBuffer() didn't return expected output. ` +
+            `Expected ${output.toString('hex')} ` +
+            `to equal ${plainText.toString('hex')}`
+          );
+        });
+    });
+
+    it('Reject instead of throwing on invalid input', function() {
+      const { decryptBuffer } = getImplemenation();
+
+      return decryptBuffer(key128, new Buffer(20).fill(0), { container: false })
+        .then(function() {
+          assert.fail('decryptBuffer() didn\'t reject');
+        }, function(err) {
+          assert.match(err.message, /multiple of 16/);
+        });
+    });
+  });
+
+  describe('CBC mode', function() {
+    // Test vectors taken from NIST SP 800-38A, Appendix F.2
+    const testCases = [
+      {
+        key: '2b7e151628aed2a6abf7158809cf4f3c',
+        iv: '000102030405060708090a0b0c0d0e0f',
+        plainText: '6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710', //eslint-disable-line
+        cipherText: '7649abac8119b246cee98e9b12e9197d5086cb9b507219ee95db113a917678b273bed6b8e3c1743b7116e69e222295163ff1caa1681fac09120eca307586e1a7', //eslint-disable-line
+      },
+      {
+        key: '603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4', //eslint-disable-line
+        iv: '000102030405060708090a0b0c0d0e0f',
+        plainText: '6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710', //eslint-disable-line
+        cipherText: 'f58c4c04d6e5f1ba779eabfb5f7bfbd69cfc4e967edb808d679f777bc6702c7d39f23369a9d9bacfa530e26304231461b2eb05e2c39be9fcda6c19078c6a9d1b', //eslint-disable-line
+      },
+    ];
+
+    testCases.forEach(function(testCase) {
+      const key = new Buffer(testCase.key, 'hex');
+      const iv = new Buffer(testCase.iv, 'hex');
+      const plainText = new Buffer(testCase.plainText, 'hex');
+      const cipherText = new Buffer(testCase.cipherText, 'hex');
+
+      it(`Correctly encrypts with a ${key.length * 8}-bit key`, function() {
+        const writeStream = new FakeWriteStream();
+        const { encrypt } = getImplemenation({
+          fs: getFakeFileSystem(writeStream),
+          crypto: Object.assign({}, require('crypto'), {
+            randomBytes: () => iv,
+          }),
+        });
+
+        return encrypt(key.length * 8, key, plainText, '', {
+          cipherMode: 'cbc', container: false,
+        })
+          .then(function() {
+            const output = writeStream.getOutput();
+            assert(output.slice(0, 16).compare(iv) === 0,
+              'encrypt() didn\'t write the IV in front of the output'
+            );
+            // ignore the final block containing only padding
+            const result = output.slice(16, output.length - 16);
+            assert(result.compare(cipherText) === 0,
+              `encrypt() didn't return expected output. ` +
+              `Expected ${result.toString('hex')} ` +
+              `to equal ${cipherText.toString('hex')}`
+            );
+          });
+      });
+
+      it(`Correctly decrypts with a ${key.length * 8}-bit key`, function() {
+        const encryptStream = new FakeWriteStream();
+        const decryptStream = new FakeWriteStream();
+        const { encrypt } = getImplemenation({
+          fs: getFakeFileSystem(encryptStream),
+          crypto: Object.assign({}, require('crypto'), {
+            randomBytes: () => iv,
+          }),
+        });
+        const { decrypt } = getImplemenation({
+          fs: getFakeFileSystem(decryptStream),
+        });
+
+        return encrypt(key.length * 8, key, plainText, '', {
+          cipherMode: 'cbc', container: false,
+        })
+          .then(function() {
+            return decrypt(
+              key.length * 8,
+              key,
+              encryptStream.getOutput(),
+              '',
+              { cipherMode: 'cbc', container: false }
+            );
+          })
+          .then(function() {
+            const output = decryptStream.getOutput();
+            assert(output.compare(plainText) === 0,
+              `decrypt() didn't return expected output. ` +
+              `Expected ${output.toString('hex')} ` +
+              `to equal ${plainText.toString('hex')}`
+            );
+          });
+      });
+    });
+
+    it('Encrypts identical plaintext blocks differently', function() {
+      const writeStream = new FakeWriteStream();
+      const { encrypt } = getImplemenation({
+        fs: getFakeFileSystem(writeStream),
+      });
+      const plainText = new Buffer(32).fill(0x61);
+
+      return encrypt(128, key128, plainText, '', {
+        cipherMode: 'cbc', container: false,
+      })
+        .then(function() {
+          const output = writeStream.getOutput();
+          assert.equal(output.length, 64,
+            'encrypt() didn\'t output an IV, two blocks and padding'
+          );
+          assert(output.slice(16, 32).compare(output.slice(32, 48)) !== 0,
+            'encrypt() produced identical ciphertext blocks'
+          );
+        });
+    });
+
+    it('Rejects an unknown cipher mode', function() {
+      const { encrypt } = getImplemenation();
+      assert.throws(function() {
+        encrypt(128, key128, input, '', { cipherMode: 'abc' });
+      }, /Invalid cipher mode/);
+    });
+  });
+
+  describe('Padding', function() {
+    const paddingSchemes = ['pkcs7', 'x923', 'iso7816', 'zero', 'none'];
+
+    ['ecb', 'cbc'].forEach(function(cipherMode) {
+      paddingSchemes.forEach(function(padding) {
+        it(`Decrypts what encryptBufferSync() returns with ${padding} ` +
+          `padding in ${cipherMode} mode`, function() {
+          const {
+            encryptBufferSync, decryptBufferSync,
+          } = getImplemenation();
+          const options = { cipherMode, padding };
+          // none and zero padding need input that's a multiple of 16 bytes
+          // and doesn't end in a zero
+          [new Buffer(0), new Buffer('32 bytes of text that get padded')]
+            .forEach(function(plainText) {
+              const output = decryptBufferSync(
+                key128,
+                encryptBufferSync(key128, plainText, options),
+                options
+              );
+              assert(output.compare(plainText) === 0,
+                `decryptBufferSync() didn't return expected output. ` +
+                `Expected ${output.toString('hex')} ` +
+                `to equal ${plainText.toString('hex')}`
+              );
+            });
+        });
+      });
+    });
+
+    it('Uses PKCS#7 padding by default', function() {
+      const crypto = require('crypto');
+      const { encryptBufferSync } = getImplemenation();
+      const plainText = new Buffer('interoperable with OpenSSL');
+      const nodeCipher = crypto.createCipheriv('aes-128-ecb', key128, null);
+      const expected = Buffer.concat([
+        nodeCipher.update(plainText), nodeCipher.final(),
+      ]);
+
+      const output = encryptBufferSync(key128, plainText, {
+        container: false,
+      });
+      assert(output.compare(expected) === 0,
+        `encryptBufferSync() didn't return expected output. ` +
+        `Expected ${output.toString('hex')} ` +
+        `to equal ${expected.toString('hex')}`
+      );
+    });
+
+    it('Doesn\'t add a block of padding with none padding', function() {
+      const { encryptBufferSync } = getImplemenation();
+      const output = encryptBufferSync(key128, input, {
+        padding: 'none', container: false,
+      });
+      assert(output.compare(expectedResult128) === 0,
+        'encryptBufferSync() didn\'t return the FIPS-197 ciphertext'
+      );
+    });
+
+    it('Rejects input that isn\'t block aligned with none padding',
+      function() {
+        const { encryptBufferSync } = getImplemenation();
+        assert.throws(function() {
+          encryptBufferSync(key128, new Buffer(20), { padding: 'none' });
+        }, /multiple of 16 bytes/);
+      }
+    );
+
+    it('Throws a PaddingError when decrypting with the wrong scheme',
+      function() {
+        const {
+          encryptBufferSync, decryptBufferSync, PaddingError,
+        } = getImplemenation();
+        const cipherText = encryptBufferSync(key128, new Buffer('x923 file'), {
+          padding: 'x923', container: false,
+        });
+
+        assert.throws(function() {
+          decryptBufferSync(key128, cipherText, {
+            padding: 'pkcs7', container: false,
+          });
+        }, PaddingError);
+      }
+    );
+
+    it('Rejects an unknown padding scheme', function() {
+      const { encrypt } = getImplemenation();
+      assert.throws(function() {
+        encrypt(128, key128, input, '', { padding: 'abc' });
+      }, /Invalid padding scheme/);
+    });
+  });
+
+  describe('CTR mode', function() {
+    // Test vectors taken from NIST SP 800-38A, Appendix F.5
+    const initialCounter = new Buffer(
+      'f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff', 'hex'
+    );
+    const plainText = new Buffer('6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710', 'hex'); //eslint-disable-line
+    const testCases = [
+      {
+        key: '2b7e151628aed2a6abf7158809cf4f3c',
+        cipherText: '874d6191b620e3261bef6864990db6ce9806f66b7970fdff8617187bb9fffdff5ae4df3edbd5d35e5b4f09020db03eab1e031dda2fbe03d1792170a0f3009cee', //eslint-disable-line
+      },
+      {
+        key: '603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4', //eslint-disable-line
+        cipherText: '601ec313775789a5b7a7f504bbf3d228f443e3ca4d62b59aca84e990cacaf5c52b0930daa23de94ce87017ba2d84988ddfc9c58db67aada613c2dd08457941a6', //eslint-disable-line
+      },
+    ];
+
+    testCases.forEach(function(testCase) {
+      const key = new Buffer(testCase.key, 'hex');
+      const cipherText = new Buffer(testCase.cipherText, 'hex');
+      const keyLength = key.length / 4;
+      const numberOfRounds = keyLength + 6;
+
+      it(`Correctly encrypts with a ${key.length * 8}-bit key`, function() {
+        const { keyExpansion, ctr } = getImplemenation();
+        const keySchedule = keyExpansion(
+          key, blockSize, keyLength, numberOfRounds
+        );
+
+        const output = ctr(
+          plainText, keySchedule, numberOfRounds, initialCounter
+        );
+        assert(output.compare(cipherText) === 0,
+          `ctr() didn't return expected output. ` +
+          `Expected ${output.toString('hex')} ` +
+          `to equal ${cipherText.toString('hex')}`
+        );
+      });
+
+      it(`Correctly decrypts with a ${key.length * 8}-bit key`, function() {
+        const writeStream = new FakeWriteStream();
+        const { decrypt } = getImplemenation({
+          fs: getFakeFileSystem(writeStream),
+        });
+
+        return decrypt(
+          key.length * 8,
+          key,
+          Buffer.concat([initialCounter, cipherText]),
+          '',
+          { cipherMode: 'ctr', container: false }
+        )
+          .then(function() {
+            const output = writeStream.getOutput();
+            assert(output.compare(plainText) === 0,
+              `decrypt() didn't return expected output. ` +
+              `Expected ${output.toString('hex')} ` +
+              `to equal ${plainText.toString('hex')}`
+            );
+          });
+      });
+
+      [[0, 64], [5, 7], [14, 20], [33, 31], [48, 40]].forEach(
+        function([offset, length]) {
+          it(`Decrypts ${length} bytes at offset ${offset} with a ` +
+            `${key.length * 8}-bit key`, function() {
+            const file = Buffer.concat([initialCounter, cipherText]);
+            const { decryptRange } = getImplemenation({
+              fs: getFakeReadFileSystem(file),
+            });
+            const expected = plainText.slice(offset, offset + length);
+
+            return decryptRange(key.length * 8, key, '', offset, length, {
+              container: false,
+            })
+              .then(function(output) {
+                assert(output.compare(expected) === 0,
+                  `decryptRange() didn't return expected output. ` +
+                  `Expected ${output.toString('hex')} ` +
+                  `to equal ${expected.toString('hex')}`
+                );
+              });
+          });
+        }
+      );
+    });
+
+    it('Outputs exactly as many bytes as the input', function() {
+      const writeStream = new FakeWriteStream();
+      const { encrypt } = getImplemenation({
+        fs: getFakeFileSystem(writeStream),
+      });
+      const plainText = new Buffer(21).fill(0x61);
+
+      return encrypt(128, key128, plainText, '', {
+        cipherMode: 'ctr', container: false,
+      })
+        .then(function() {
+          assert.equal(writeStream.getOutput().length, 16 + 21,
+            'encrypt() didn\'t output the counter block and unpadded input'
+          );
+        });
+    });
+
+    it('Decrypts what it encrypts', function() {
+      const encryptStream = new FakeWriteStream();
+      const decryptStream = new FakeWriteStream();
+      const { encrypt } = getImplemenation({
+        fs: getFakeFileSystem(encryptStream),
+      });
+      const { decrypt } = getImplemenation({
+        fs: getFakeFileSystem(decryptStream),
+      });
+      const plainText = new Buffer('Log archives need a stream cipher');
+
+      return encrypt(256, key256, plainText, '', { cipherMode: 'ctr' })
+        .then(function() {
+          return decrypt(256, key256, encryptStream.getOutput(), '', {
+            cipherMode: 'ctr',
+          });
+        })
+        .then(function() {
+          const output = decryptStream.getOutput();
+          assert(output.compare(plainText) === 0,
+            `decrypt() didn't return expected output. ` +
+            `Expected ${output.toString('hex')} ` +
+            `to equal ${plainText.toString('hex')}`
+          );
+        });
+    });
+  });
+
+  describe('GCM mode', function() {
+    // Test vectors taken from the GCM specification submitted to NIST,
+    // "The Galois/Counter Mode of Operation (GCM)", test cases 1-6 and 13-16
+    const plainText = 'd9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b391aafd255'; //eslint-disable-line
+    const aad = 'feedfacedeadbeeffeedfacedeadbeefabaddad2';
+    const testCases = [
+      {
+        key: '00000000000000000000000000000000',
+        iv: '000000000000000000000000',
+        plainText: '',
+        aad: '',
+        cipherText: '',
+        tag: '58e2fccefa7e3061367f1d57a4e7455a',
+      },
+      {
+        key: '00000000000000000000000000000000',
+        iv: '000000000000000000000000',
+        plainText: '00000000000000000000000000000000',
+        aad: '',
+        cipherText: '0388dace60b6a392f328c2b971b2fe78',
+        tag: 'ab6e47d42cec13bdf53a67b21257bddf',
+      },
+      {
+        key: 'feffe9928665731c6d6a8f9467308308',
+        iv: 'cafebabefacedbaddecaf888',
+        plainText,
+        aad: '',
+        cipherText: '42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091473f5985', //eslint-disable-line
+        tag: '4d5c2af327cd64a62cf35abd2ba6fab4',
+      },
+      {
+        key: 'feffe9928665731c6d6a8f9467308308',
+        iv: 'cafebabefacedbaddecaf888',
+        plainText: plainText.slice(0, 120),
+        aad,
+        cipherText: '42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e091', //eslint-disable-line
+        tag: '5bc94fbc3221a5db94fae95ae7121a47',
+      },
+      {
+        key: 'feffe9928665731c6d6a8f9467308308',
+        iv: 'cafebabefacedbad',
+        plainText: plainText.slice(0, 120),
+        aad,
+        cipherText: '61353b4c2806934a777ff51fa22a4755699b2a714fcdc6f83766e5f97b6c742373806900e49f24b22b097544d4896b424989b5e1ebac0f07c23f4598', //eslint-disable-line
+        tag: '3612d2e79e3b0785561be14aaca2fccb',
+      },
+      {
+        key: 'feffe9928665731c6d6a8f9467308308',
+        iv: '9313225df88406e555909c5aff5269aa6a7a9538534f7da1e4c303d2a318a728c3c0c95156809539fcf0e2429a6b525416aedbf5a0de6a57a637b39b', //eslint-disable-line
+        plainText: plainText.slice(0, 120),
+        aad,
+        cipherText: '8ce24998625615b603a033aca13fb894be9112a5c3a211a8ba262a3cca7e2ca701e4a9a4fba43c90ccdcb281d48c7c6fd62875d2aca417034c34aee5', //eslint-disable-line
+        tag: '619cc5aefffe0bfa462af43c1699d050',
+      },
+      {
+        key: '0000000000000000000000000000000000000000000000000000000000000000', //eslint-disable-line
+        iv: '000000000000000000000000',
+        plainText: '',
+        aad: '',
+        cipherText: '',
+        tag: '530f8afbc74536b9a963b4f1c4cb738b',
+      },
+      {
+        key: '0000000000000000000000000000000000000000000000000000000000000000', //eslint-disable-line
+        iv: '000000000000000000000000',
+        plainText: '00000000000000000000000000000000',
+        aad: '',
+        cipherText: 'cea7403d4d606b6e074ec5d3baf39d18',
+        tag: 'd0d1c8a799996bf0265b98b5d48ab919',
+      },
+      {
+        key: 'feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308', //eslint-disable-line
+        iv: 'cafebabefacedbaddecaf888',
+        plainText,
+        aad: '',
+        cipherText: '522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662898015ad', //eslint-disable-line
+        tag: 'b094dac5d93471bdec1a502270e3cc6c',
+      },
+      {
+        key: 'feffe9928665731c6d6a8f9467308308feffe9928665731c6d6a8f9467308308', //eslint-disable-line
+        iv: 'cafebabefacedbaddecaf888',
+        plainText: plainText.slice(0, 120),
+        aad,
+        cipherText: '522dc1f099567d07f47f37a32a84427d643a8cdcbfe5c0c97598a2bd2555d1aa8cb08e48590dbb3da7b08b1056828838c5f61e6393ba7a0abcc9f662', //eslint-disable-line
+        tag: '76fc6ece0f4e1768cddf8853bb2d551b',
+      },
+    ];
+
+    testCases.forEach(function(testCase) {
+      const key = new Buffer(testCase.key, 'hex');
+      const iv = new Buffer(testCase.iv, 'hex');
+      const plainText = new Buffer(testCase.plainText, 'hex');
+      const aad = new Buffer(testCase.aad, 'hex');
+      const cipherText = new Buffer(testCase.cipherText, 'hex');
+      const tag = new Buffer(testCase.tag, 'hex');
+      const keyLength = key.length / 4;
+      const numberOfRounds = keyLength + 6;
+      const description = `${plainText.length}-byte input with ` +
+        `${aad.length}-byte AAD and ${iv.length}-byte IV for ` +
+        `${key.length * 8}-bit key`;
+
+      it(`Correctly encrypts ${description}`, function() {
+        const { keyExpansion, gcmEncrypt } = getImplemenation();
+        const keySchedule = keyExpansion(
+          key, blockSize, keyLength, numberOfRounds
+        );
+
+        const output = gcmEncrypt(
+          plainText, keySchedule, numberOfRounds, iv, aad
+        );
+        assert(output.cipherText.compare(cipherText) === 0,
+          `gcmEncrypt() didn't return expected output. ` +
+          `Expected ${output.cipherText.toString('hex')} ` +
+          `to equal ${cipherText.toString('hex')}`
+        );
+        assert(output.tag.compare(tag) === 0,
+          `gcmEncrypt() didn't return expected tag. ` +
+          `Expected ${output.tag.toString('hex')} ` +
+          `to equal ${tag.toString('hex')}`
+        );
+      });
+
+      it(`Correctly decrypts ${description}`, function() {
+        const { keyExpansion, gcmDecrypt } = getImplemenation();
+        const keySchedule = keyExpansion(
+          key, blockSize, keyLength, numberOfRounds
+        );
+
+        const output = gcmDecrypt(
+          cipherText, keySchedule, numberOfRounds, iv, aad, tag
+        );
+        assert(output.compare(plainText) === 0,
+          `gcmDecrypt() didn't return expected output. ` +
+          `Expected ${output.toString('hex')} ` +
+          `to equal ${plainText.toString('hex')}`
+        );
+      });
+    });
+
+    it('Decrypts what it encrypts with additional data', function() {
+      const encryptStream = new FakeWriteStream();
+      const decryptStream = new FakeWriteStream();
+      const { encrypt } = getImplemenation({
+        fs: getFakeFileSystem(encryptStream),
+      });
+      const { decrypt } = getImplemenation({
+        fs: getFakeFileSystem(decryptStream),
+      });
+      const plainText = new Buffer('Nothing stops tampering');
+      const options = {
+        cipherMode: 'gcm', aad: new Buffer('header'), container: false,
+      };
+
+      return encrypt(128, key128, plainText, '', options)
+        .then(function() {
+          const output = encryptStream.getOutput();
+          assert.equal(output.length, 12 + plainText.length + 16,
+            'encrypt() didn\'t output the IV, ciphertext and tag'
+          );
+          return decrypt(128, key128, output, '', options);
+        })
+        .then(function() {
+          const output = decryptStream.getOutput();
+          assert(output.compare(plainText) === 0,
+            `decrypt() didn't return expected output. ` +
+            `Expected ${output.toString('hex')} ` +
+            `to equal ${plainText.toString('hex')}`
+          );
+        });
+    });
+
+    [
+      ['ciphertext', (output) => output[14] ^= 0x01, {}],
+      ['tag', (output) => output[output.length - 1] ^= 0x80, {}],
+      ['IV', (output) => output[0] ^= 0x01, {}],
+      ['additional data', () => {}, { aad: new Buffer('other') }],
+    ].forEach(function([name, tamper, decryptOptions]) {
+      it(`Refuses to decrypt when the ${name} is modified`, function() {
+        const encryptStream = new FakeWriteStream();
+        const { encrypt } = getImplemenation({
+          fs: getFakeFileSystem(encryptStream),
+        });
+        let opened = false;
+        const { decrypt } = getImplemenation({
+          fs: Object.assign({}, require('fs'), {
+            open: () => {
+              opened = true;
+            },
+          }),
+        });
+        const options = {
+          cipherMode: 'gcm', aad: new Buffer('header'), container: false,
+        };
+
+        return encrypt(256, key256, new Buffer('tamper'), '', options)
+          .then(function() {
+            const output = encryptStream.getOutput();
+            tamper(output);
+            assert.throws(function() {
+              decrypt(256, key256, output, '',
+                Object.assign({}, options, decryptOptions)
+              );
+            }, /Authentication failed/);
+            assert.isFalse(opened,
+              'decrypt() opened the output file for invalid input'
+            );
+          });
+      });
+    });
+  });
+
+  describe('CBC-HMAC mode', function() {
+    /**
+     * @description - Derives the keys of CBC-HMAC mode independently of the
+     *  implementation
+     * @param {Buffer} key
+     * @return {Object}
+     */
+    function deriveKeys(key) {
+      const crypto = require('crypto');
+      // HKDF-SHA256 with an empty salt, and outputs of at most one block
+      const prk = crypto.createHmac('sha256', new Buffer(0))
+        .update(key).digest();
+      const derive = (info, length) => crypto.createHmac('sha256', prk)
+        .update(info).update(new Buffer([1])).digest().slice(0, length);
+      return {
+        encryptionKey: derive('AES.js cbc-hmac encryption key', key.length),
+        macKey: derive('AES.js cbc-hmac mac key', 32),
+      };
+    }
+
+    /**
+     * @description - Gets the implementation with a block cipher that
+     *  counts how many blocks it decrypted
+     * @return {Object} - the module and a function returning the count
+     */
+    function getCountingImplementation() {
+      const tables = require('./tables');
+      let decryptedBlocks = 0;
+      const implementation = getImplemenation({
+        './tables': Object.assign({}, tables, {
+          fastInverseCipher: function(...args) {
+            decryptedBlocks += 1;
+            return tables.fastInverseCipher(...args);
+          },
+        }),
+      });
+      return { implementation, getDecryptedBlocks: () => decryptedBlocks };
+    }
+
+    [128, 192, 256].forEach(function(keySize) {
+      it(`Encrypts in CBC mode and appends an HMAC-SHA256 tag with a ` +
+        `${keySize}-bit key`, function() {
+        const crypto = require('crypto');
+        const key = { 128: key128, 192: key192, 256: key256 }[keySize];
+        const { encryptBufferSync, readHeader } = getImplemenation();
+        const output = encryptBufferSync(key, input, {
+          cipherMode: 'cbc-hmac',
+        });
+
+        const parameters = readHeader(output);
+        assert.equal(parameters.cipherMode, 'cbc-hmac');
+        assert.equal(parameters.tagLength, 32);
+        const header = output.slice(0, parameters.headerLength);
+        const cipherText = output.slice(parameters.headerLength, -32);
+        const tag = output.slice(-32);
+
+        const { encryptionKey, macKey } = deriveKeys(key);
+        const cipher = crypto.createCipheriv(
+          `aes-${keySize}-cbc`, encryptionKey, parameters.iv
+        );
+        const expected = Buffer.concat([cipher.update(input), cipher.final()]);
+        assert.equal(cipherText.toString('hex'), expected.toString('hex'));
+        const expectedTag = crypto.createHmac('sha256', macKey)
+          .update(header)
+          .update(cipherText)
+          .digest();
+        assert.equal(tag.toString('hex'), expectedTag.toString('hex'));
+      });
+    });
+
+    it('Derives separate encryption and MAC keys', function() {
+      const { getCbcHmacKeys } = getImplemenation();
+      const { encryptionKey, macKey } = getCbcHmacKeys(key192);
+      assert.equal(encryptionKey.length, 24);
+      assert.equal(macKey.length, 32);
+      assert.notEqual(encryptionKey.toString('hex'), key192.toString('hex'));
+      assert.notEqual(macKey.slice(0, 24).toString('hex'),
+        encryptionKey.toString('hex')
+      );
+    });
+
+    it('Decrypts what encrypt() wrote, with or without the container',
+      function() {
+        const encryptStream = new FakeWriteStream();
+        const decryptStream = new FakeWriteStream();
+        const { encrypt, decryptBufferSync } = getImplemenation({
+          fs: getFakeFileSystem(encryptStream),
+        });
+        const { decrypt } = getImplemenation({
+          fs: getFakeFileSystem(decryptStream),
+        });
+        const plainText = new Buffer('authenticated without gcm');
+        const raw = { container: false, cipherMode: 'cbc-hmac', keySize: 128 };
+        const rawOutput = getImplemenation()
+          .encryptBufferSync(key128, plainText, raw);
+        assert.equal(decryptBufferSync(key128, rawOutput, raw).toString(),
+          plainText.toString()
+        );
+
+        return encrypt(128, key128, plainText, '', { cipherMode: 'cbc-hmac' })
+          .then(function() {
+            return decrypt(undefined, key128, encryptStream.getOutput(), '');
+          })
+          .then(function() {
+            assert.equal(decryptStream.getOutput().toString(),
+              plainText.toString()
+            );
+          });
+      }
+    );
+
+    [
+      ['the padding in the header', 7],
+      ['the IV', 12],
+      ['the ciphertext', -40],
+      ['the tag', -1],
+    ].forEach(function([description, index]) {
+      it(`Verifies the tag before decrypting anything when ${description} ` +
+        'was changed', function() {
+        const { implementation, getDecryptedBlocks } =
+          getCountingImplementation();
+        const { encryptBufferSync, decryptBufferSync } = implementation;
+        const output = encryptBufferSync(key256, input, {
+          cipherMode: 'cbc-hmac',
+        });
+        const changed = new Buffer(output);
+        changed[(index + changed.length) % changed.length] ^= 0x01;
+
+        assert.throws(function() {
+          decryptBufferSync(key256, changed);
+        }, implementation.AuthenticationError, /Authentication failed/);
+        assert.equal(getDecryptedBlocks(), 0,
+          'A block was decrypted before the tag was verified'
+        );
+
+        decryptBufferSync(key256, output);
+        assert.equal(getDecryptedBlocks(), 2);
+      });
+    });
+
+    it('Doesn\'t open the output file when the tag doesn\'t match',
+      function() {
+        let opened = false;
+        const { encryptBufferSync } = getImplemenation();
+        const { decrypt, AuthenticationError } = getImplemenation({
+          fs: Object.assign({}, require('fs'), {
+            createWriteStream: () => {
+              opened = true;
+              return new FakeWriteStream();
+            },
+          }),
+        });
+        const output = encryptBufferSync(key128, input, {
+          cipherMode: 'cbc-hmac',
+        });
+        output[output.length - 1] ^= 0x01;
+
+        assert.throws(function() {
+          decrypt(undefined, key128, output, 'output');
+        }, AuthenticationError);
+        assert.isFalse(opened, 'decrypt() opened the output file');
+      }
+    );
+
+    it('Needs the key itself rather than an AES instance', function() {
+      const { AES } = getImplemenation();
+      const aes = new AES(key128);
+      assert.throws(function() {
+        aes.encrypt(input, { cipherMode: 'cbc-hmac' });
+      }, /needs a Buffer rather than an AES instance/);
+    });
+  });
+
+  describe('Container format', function() {
+    ['ecb', 'cbc', 'ctr', 'gcm'].forEach(function(cipherMode) {
+      it(`Decrypts ${cipherMode} output without the key size, cipher mode ` +
+        'or padding', function() {
+        const encryptStream = new FakeWriteStream();
+        const decryptStream = new FakeWriteStream();
+        const { encrypt } = getImplemenation({
+          fs: getFakeFileSystem(encryptStream),
+        });
+        const { decrypt } = getImplemenation({
+          fs: getFakeFileSystem(decryptStream),
+        });
+        const plainText = new Buffer('self-describing output');
+
+        return encrypt(192, key192, plainText, '', {
+          cipherMode, padding: 'iso7816',
+        })
+          .then(function() {
+            return decrypt(undefined, key192, encryptStream.getOutput(), '');
+          })
+          .then(function() {
+            const output = decryptStream.getOutput();
+            assert(output.compare(plainText) === 0,
+              `decrypt() didn't return expected output. ` +
+              `Expected ${output.toString('hex')} ` +
+              `to equal ${plainText.toString('hex')}`
+            );
+          });
+      });
+    });
+
+    it('Records how the output was produced in the header', function() {
+      const { encryptBufferSync, readHeader } = getImplemenation();
+      const output = encryptBufferSync(key256, input, {
+        cipherMode: 'cbc', padding: 'x923',
+      });
+
+      const parameters = readHeader(output);
+      assert.equal(output.slice(0, 4).toString(), 'AESJ');
+      assert.equal(parameters.keySize, 256);
+      assert.equal(parameters.cipherMode, 'cbc');
+      assert.equal(parameters.padding, 'x923');
+      assert.equal(parameters.iv.length, 16);
+      assert.equal(output.length, parameters.headerLength + 32);
+    });
+
+    it('Throws a FormatError for input without the header', function() {
+      const { decryptBufferSync, FormatError } = getImplemenation();
+      assert.throws(function() {
+        decryptBufferSync(key128, expectedResult128);
+      }, FormatError, /isn't in the AES.js container format/);
+    });
+
+    it('Rejects a key that doesn\'t match the key size in the header',
+      function() {
+        const { encryptBufferSync, decryptBufferSync } = getImplemenation();
+        const cipherText = encryptBufferSync(key256, input);
+
+        assert.throws(function() {
+          decryptBufferSync(key256.slice(0, 16), cipherText);
+        }, /Invalid key for 256-bit algorithm/);
+      }
+    );
+
+    it('Needs the password for output encrypted with a password',
+      function() {
+        const { encryptBufferSync, decryptBufferSync } = getImplemenation();
+        const cipherText = encryptBufferSync(null, input, {
+          password: 'password', iterations: 1,
+        });
+
+        assert.throws(function() {
+          decryptBufferSync(key256, cipherText);
+        }, /encrypted with a password/);
+        assert.throws(function() {
+          decryptBufferSync(null, encryptBufferSync(key256, input), {
+            password: 'password',
+          });
+        }, /encrypted with a key, not a password/);
+      }
+    );
+
+    it('Authenticates the header in gcm mode', function() {
+      const {
+        encryptBufferSync, decryptBufferSync, AuthenticationError,
+      } = getImplemenation();
+      const cipherText = encryptBufferSync(key128, input, {
+        cipherMode: 'gcm',
+      });
+      // the padding scheme isn't used by gcm, so only the tag can catch this
+      cipherText[7] = 1;
+
+      assert.throws(function() {
+        decryptBufferSync(key128, cipherText);
+      }, AuthenticationError);
+    });
+
+    it('Decrypts a range of ctr output', function() {
+      const { encryptBufferSync } = getImplemenation();
+      const plainText = new Buffer('random access through the header');
+      const { decryptRange } = getImplemenation({
+        fs: getFakeReadFileSystem(
+          encryptBufferSync(key128, plainText, { cipherMode: 'ctr' })
+        ),
+      });
+
+      return decryptRange(undefined, key128, '', 7, 6)
+        .then(function(output) {
+          assert.equal(output.toString(), 'access');
+        });
+    });
+
+    it('Refuses to decrypt a range of output that isn\'t ctr', function() {
+      const { encryptBufferSync, DecryptionError } = getImplemenation();
+      const { decryptRange } = getImplemenation({
+        fs: getFakeReadFileSystem(encryptBufferSync(key128, input)),
+      });
+
+      return decryptRange(128, key128, '', 0, 16)
+        .then(function() {
+          assert.fail('decryptRange() didn\'t reject');
+        }, function(err) {
+          assert.instanceOf(err, DecryptionError);
+          assert.match(err.message, /not ecb/);
+        });
+    });
+  });
+
+  describe('Output encodings', function() {
+    ['base64', 'hex', 'armor'].forEach(function(outputEncoding) {
+      it(`Writes ${outputEncoding} output that decrypt() detects`, function() {
+        const encryptStream = new FakeWriteStream();
+        const decryptStream = new FakeWriteStream();
+        const { encrypt } = getImplemenation({
+          fs: getFakeFileSystem(encryptStream),
+        });
+        const { decrypt } = getImplemenation({
+          fs: getFakeFileSystem(decryptStream),
+        });
+        const plainText = new Buffer('text that survives being pasted');
+
+        return encrypt(128, key128, plainText, '', {
+          cipherMode: 'cbc', outputEncoding,
+        })
+          .then(function() {
+            const output = encryptStream.getOutput().toString();
+            assert.match(output, /^[-A-Za-z0-9+/=.\n ]+$/,
+              `encrypt() didn't write ${outputEncoding} text`
+            );
+            return decrypt(undefined, key128, encryptStream.getOutput(), '');
+          })
+          .then(function() {
+            assert.equal(decryptStream.getOutput().toString(),
+              plainText.toString()
+            );
+          });
+      });
+    });
+
+    it('Armors the output of the AES class and encryptBuffer()', function() {
+      const {
+        AES, encryptBuffer, decryptBufferSync,
+      } = getImplemenation();
+      const aes = new AES(key256);
+      const armored = aes.encrypt(input, {
+        cipherMode: 'gcm', outputEncoding: 'armor',
+      });
+
+      assert.match(armored.toString(),
+        /^-----BEGIN AES.JS ENCRYPTED MESSAGE-----\n/
+      );
+      assert(aes.decrypt(armored).compare(input) === 0,
+        'AES#decrypt() didn\'t read the armor'
+      );
+
+      return encryptBuffer(key256, input, {
+        cipherMode: 'ctr', outputEncoding: 'armor', threads: 2,
+      })
+        .then(function(output) {
+          assert(decryptBufferSync(key256, output).compare(input) === 0,
+            'encryptBuffer() didn\'t armor its output'
+          );
+        });
+    });
+
+    it('Decrypts raw input in the given encoding', function() {
+      const { encryptBufferSync, decryptBufferSync } = getImplemenation();
+      const options = { container: false, cipherMode: 'ctr' };
+      const output = encryptBufferSync(key128, input,
+        Object.assign({ outputEncoding: 'base64' }, options)
+      );
+
+      const decrypted = decryptBufferSync(key128, output,
+        Object.assign({ inputEncoding: 'base64', keySize: 128 }, options)
+      );
+      assert(decrypted.compare(input) === 0,
+        'decryptBufferSync() didn\'t decode the base64'
+      );
+    });
+
+    it('Throws a FormatError for armor that was changed', function() {
+      const {
+        encryptBufferSync, decryptBufferSync, FormatError,
+      } = getImplemenation();
+      const armored = encryptBufferSync(key128, input, {
+        outputEncoding: 'armor',
+      }).toString();
+      const changed = armored.replace(/\n(.)/, (match, character) =>
+        `\n${character === 'A' ? 'B' : 'A'}`
+      );
+
+      assert.throws(function() {
+        decryptBufferSync(key128, new Buffer(changed));
+      }, FormatError, /checksum doesn't match/);
+    });
+
+    it('Throws for an invalid encoding before encrypting', function() {
+      const { encryptBufferSync } = getImplemenation();
+      assert.throws(function() {
+        encryptBufferSync(key128, input, { outputEncoding: 'base32' });
+      }, /Invalid encoding 'base32'/);
+    });
+  });
+
+  describe('Password-based encryption', function() {
+    const password = 'correct horse battery staple';
+
+    ['ecb', 'cbc', 'ctr', 'gcm'].forEach(function(cipherMode) {
+      it(`Decrypts with only the password in ${cipherMode} mode`, function() {
+        const {
+          encryptBufferSync, decryptBufferSync,
+        } = getImplemenation();
+        const plainText = new Buffer('passphrases, not key files');
+
+        const cipherText = encryptBufferSync(null, plainText, {
+          cipherMode, password, iterations: 1000,
+        });
+        const output = decryptBufferSync(null, cipherText, {
+          cipherMode, password,
+        });
+        assert(output.compare(plainText) === 0,
+          `decryptBufferSync() didn't return expected output. ` +
+          `Expected ${output.toString('hex')} ` +
+          `to equal ${plainText.toString('hex')}`
+        );
+      });
+    });
+
+    it('Puts the salt and iteration count in front of the output',
+      function() {
+        const crypto = require('crypto');
+        const salt = new Buffer(16).fill(0xaa);
+        const { encryptBufferSync } = getImplemenation({
+          './kdf': proxyquire('./kdf.js', {
+            crypto: Object.assign({}, crypto, { randomBytes: () => salt }),
+          }),
+        });
+        const key = crypto.pbkdf2Sync(password, salt, 1000, 16, 'sha256');
+
+        const output = encryptBufferSync(null, input, {
+          password, keySize: 128, iterations: 1000, container: false,
+        });
+        assert.equal(output.slice(0, 20).toString('hex'),
+          'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa000003e8');
+        const expected = encryptBufferSync(key, input, { container: false });
+        assert(output.slice(20).compare(expected) === 0,
+          'encryptBufferSync() didn\'t encrypt with the derived key'
+        );
+      }
+    );
+
+    it('Refuses an iteration count over options.maxIterations', function() {
+      const {
+        encryptBufferSync, decryptBufferSync, DecryptionError,
+      } = getImplemenation();
+      const cipherText = encryptBufferSync(null, input, {
+        cipherMode: 'cbc', password, iterations: 2000,
+      });
+
+      assert.throws(function() {
+        decryptBufferSync(null, cipherText, { password, maxIterations: 1000 });
+      }, DecryptionError, /over the maximum of 1000/);
+      const output = decryptBufferSync(null, cipherText, {
+        password, maxIterations: 2000,
+      });
+      assert(output.compare(input) === 0,
+        'decryptBufferSync() didn\'t decrypt within the maximum'
+      );
+    });
+
+    it('Throws a DecryptionError for the wrong password', function() {
+      const {
+        encryptBufferSync, decryptBufferSync, DecryptionError,
+      } = getImplemenation();
+      const cipherText = encryptBufferSync(null, input, {
+        cipherMode: 'gcm', password, iterations: 1000,
+      });
+
+      assert.throws(function() {
+        decryptBufferSync(null, cipherText, {
+          cipherMode: 'gcm', password: 'wrong password',
+        });
+      }, DecryptionError);
+    });
+
+    it('Derives a key of the size given to encrypt() and decrypt()',
+      function() {
+        const encryptStream = new FakeWriteStream();
+        const decryptStream = new FakeWriteStream();
+        const { encrypt } = getImplemenation({
+          fs: getFakeFileSystem(encryptStream),
+        });
+        const { decrypt, decryptBufferSync } = getImplemenation({
+          fs: getFakeFileSystem(decryptStream),
+        });
+        const options = { cipherMode: 'cbc', password, iterations: 1000 };
+
+        return encrypt(192, null, input, '', options)
+          .then(function() {
+            const cipherText = encryptStream.getOutput();
+            const output = decryptBufferSync(
+              null, cipherText, Object.assign({ keySize: 192 }, options)
+            );
+            assert(output.compare(input) === 0,
+              'encrypt() didn\'t derive a 192-bit key'
+            );
+            return decrypt(192, null, cipherText, '', options);
+          })
+          .then(function() {
+            assert(decryptStream.getOutput().compare(input) === 0,
+              'decrypt() didn\'t return the input'
+            );
+          });
+      }
+    );
+
+    it('Decrypts a range of a file encrypted with a password', function() {
+      const { encryptBufferSync } = getImplemenation();
+      const plainText = new Buffer('random access with a password');
+      const options = { cipherMode: 'ctr', password, iterations: 1000 };
+      const { decryptRange } = getImplemenation({
+        fs: getFakeReadFileSystem(encryptBufferSync(null, plainText, options)),
+      });
+
+      return decryptRange(256, null, '', 7, 6, { password })
+        .then(function(output) {
+          assert.equal(output.toString(), 'access');
+        });
+    });
+  });
+
+  /**
+   * @description - Creates a stub of the fs module that writes into the
+   *  given stream instead of a file
+   * @param {FakeWriteStream} writeStream
+   * @return {Object}
+   */
+  function getFakeFileSystem(writeStream) {
+    return Object.assign({}, require('fs'), {
+      createWriteStream: () => {
+        return writeStream;
+      },
+      open: (path, flag, callback) => {
+        callback(null);
+      },
+    });
+  }
+
+  /**
+   * @description - Creates a stub of the fs module that reads from the given
+   *  buffer instead of a file
+   * @param {Buffer} file - contents of the fake file
+   * @return {Object}
+   */
+  function getFakeReadFileSystem(file) {
+    return Object.assign({}, require('fs'), {
+      open: (path, flag, callback) => {
+        callback(null, 1);
+      },
+      read: (fd, buffer, offset, length, position, callback) => {
+        const bytesRead = file.copy(
+          buffer, offset, position, Math.min(position + length, file.length)
+        );
+        callback(null, bytesRead, buffer);
+      },
+      close: (fd, callback) => {
+        callback(null);
+      },
+    });
+  }
+
   const input = new Buffer([
     0x00, 0x11, 0x22, 0x33,
     0x44, 0x55, 0x66, 0x77,
@@ -296,6 +2005,14 @@ describe('implementation.js', function() {
     0x70, 0xb4, 0xc5, 0x5a,
   ]);
 
+  // FIPS-197, Appendix C.2
+  const expectedResult192 = new Buffer([
+    0xdd, 0xa9, 0x7c, 0xa4,
+    0x86, 0x4c, 0xdf, 0xe0,
+    0x6e, 0xaf, 0x70, 0xa0,
+    0xec, 0x0d, 0x71, 0x91,
+  ]);
+
   const expectedResult256 = new Buffer([
     0x8e, 0xa2, 0xb7, 0xca,
     0x51, 0x67, 0x45, 0xbf,
@@ -310,6 +2027,15 @@ describe('implementation.js', function() {
     0x0c, 0x0d, 0x0e, 0x0f,
   ]);
 
+  const key192 = new Buffer([
+    0x00, 0x01, 0x02, 0x03,
+    0x04, 0x05, 0x06, 0x07,
+    0x08, 0x09, 0x0a, 0x0b,
+    0x0c, 0x0d, 0x0e, 0x0f,
+    0x10, 0x11, 0x12, 0x13,
+    0x14, 0x15, 0x16, 0x17,
+  ]);
+
   const key256 = new Buffer([
     0x00, 0x01, 0x02, 0x03,
     0x04, 0x05, 0x06, 0x07,
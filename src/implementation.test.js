@@ -312,6 +312,151 @@ describe('implementation.js', function() {
     });
   });
 
+  describe('xorBlocks()', function() {
+    it('XORs two blocks into a new buffer', function() {
+      const { xorBlocks } = getImplemenation();
+      const a = new Buffer([0x00, 0xff, 0x0f, 0xaa]);
+      const b = new Buffer([0xff, 0xff, 0xf0, 0x55]);
+      const expectedResult = new Buffer([0xff, 0x00, 0xff, 0xff]);
+
+      const output = xorBlocks(a, b);
+      assert(output.compare(expectedResult) === 0,
+        `xorBlocks() failed. Expected ${output.toString('hex')}` +
+          ` to equal ${expectedResult.toString('hex')}`
+      );
+      assert.notStrictEqual(output, a,
+        'xorBlocks() modified the first block in place'
+      );
+    });
+  });
+
+  describe('getCounterBlock()', function() {
+    const initialCounter = new Buffer(
+      'f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff', 'hex'
+    );
+
+    it('Returns the initial counter block for the first block', function() {
+      const { getCounterBlock } = getImplemenation();
+      const output = getCounterBlock(initialCounter, 0);
+
+      assert(output.compare(initialCounter) === 0,
+        `getCounterBlock() failed. Expected ${output.toString('hex')}` +
+          ` to equal ${initialCounter.toString('hex')}`
+      );
+      assert.notStrictEqual(output, initialCounter,
+        'getCounterBlock() returned the initial counter block'
+      );
+    });
+
+    it('Carries into the higher bytes of the counter', function() {
+      const { getCounterBlock } = getImplemenation();
+      const output = getCounterBlock(initialCounter, 0x0102);
+      const expectedResult = new Buffer(
+        'f0f1f2f3f4f5f6f7f8f9fafbfcfe0001', 'hex'
+      );
+
+      assert(output.compare(expectedResult) === 0,
+        `getCounterBlock() failed. Expected ${output.toString('hex')}` +
+          ` to equal ${expectedResult.toString('hex')}`
+      );
+    });
+
+    it('Wraps around at 2^128', function() {
+      const { getCounterBlock } = getImplemenation();
+      const output = getCounterBlock(new Buffer(16).fill(0xff), 2);
+      const expectedResult = new Buffer(
+        '00000000000000000000000000000001', 'hex'
+      );
+
+      assert(output.compare(expectedResult) === 0,
+        `getCounterBlock() failed. Expected ${output.toString('hex')}` +
+          ` to equal ${expectedResult.toString('hex')}`
+      );
+    });
+  });
+
+  describe('ghashMultiply()', function() {
+    it('Correctly multiplies two blocks in GF(2^128)', function() {
+      const { ghashMultiply } = getImplemenation();
+      const x = new Buffer('0388dace60b6a392f328c2b971b2fe78', 'hex');
+      const hashKey = new Buffer('66e94bd4ef8a2c3b884cfa59ca342b2e', 'hex');
+      const expectedResult = new Buffer(
+        '5e2ec746917062882c85b0685353deb7', 'hex'
+      );
+
+      const product = ghashMultiply(x, hashKey);
+      assert(product.compare(expectedResult) === 0,
+        `ghashMultiply() failed. Expected ${product.toString('hex')}` +
+          ` to equal ${expectedResult.toString('hex')}`
+      );
+    });
+
+    it('Treats the first bit as the multiplicative identity', function() {
+      const { ghashMultiply } = getImplemenation();
+      const one = new Buffer(16).fill(0);
+      one[0] = 0x80;
+      const y = new Buffer('66e94bd4ef8a2c3b884cfa59ca342b2e', 'hex');
+
+      const product = ghashMultiply(one, y);
+      assert(product.compare(y) === 0,
+        `ghashMultiply() failed. Expected ${product.toString('hex')}` +
+          ` to equal ${y.toString('hex')}`
+      );
+    });
+  });
+
+  describe('constantTimeEqual()', function() {
+    it('Returns true for equal buffers', function() {
+      const { constantTimeEqual } = getImplemenation();
+      assert.isTrue(constantTimeEqual(
+        new Buffer([0x01, 0x02, 0x03]), new Buffer([0x01, 0x02, 0x03])
+      ));
+    });
+
+    it('Returns false for different buffers', function() {
+      const { constantTimeEqual } = getImplemenation();
+      assert.isFalse(constantTimeEqual(
+        new Buffer([0x01, 0x02, 0x03]), new Buffer([0x01, 0x02, 0x04])
+      ));
+      assert.isFalse(constantTimeEqual(
+        new Buffer([0x01, 0x02, 0x03]), new Buffer([0x01, 0x02])
+      ));
+    });
+  });
+
+  describe('hkdf()', function() {
+    // RFC 5869, appendix A.1 and A.3
+    const key = new Buffer(22).fill(0x0b);
+    [
+      {
+        description: 'a salt and info',
+        salt: new Buffer('000102030405060708090a0b0c', 'hex'),
+        info: new Buffer('f0f1f2f3f4f5f6f7f8f9', 'hex'),
+        output: '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf' + //eslint-disable-line
+          '34007208d5b887185865',
+      },
+      {
+        description: 'an empty salt and info',
+        salt: new Buffer(0),
+        info: new Buffer(0),
+        output: '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d' + //eslint-disable-line
+          '9d201395faa4b61a96c8',
+      },
+    ].forEach(function({ description, salt, info, output }) {
+      it(`Matches the RFC 5869 test case with ${description}`, function() {
+        const { hkdf } = getImplemenation();
+        assert.equal(hkdf(key, salt, info, 42).toString('hex'), output);
+      });
+    });
+
+    it('Throws for a length over 255 blocks', function() {
+      const { hkdf } = getImplemenation();
+      assert.throws(function() {
+        hkdf(key, new Buffer(0), '', 255 * 32 + 1);
+      }, /can't derive more than 8160 bytes/);
+    });
+  });
+
   describe('keyExpansion()', function() {
     it('Correctly expands a 128-bit cipher key', function() {
       const cipherKey = new Buffer([
@@ -351,6 +496,35 @@ describe('implementation.js', function() {
       });
     });
 
+    it('Rejects a key of the wrong length for a 192-bit key', function() {
+      const { keyExpansion } = getImplemenation();
+      assert.throws(function() {
+        keyExpansion(new Buffer(16).fill(0), 4, 6, 12);
+      }, /Invalid key for 192-bit algorithm/);
+    });
+
+    it('Rejects short keys instead of reading past their end', function() {
+      const { keyExpansion } = getImplemenation();
+      assert.throws(function() {
+        keyExpansion(new Buffer(15).fill(0), 4, 4, 10);
+      }, /Invalid key for 128-bit algorithm/);
+      assert.throws(function() {
+        keyExpansion(new Buffer(31).fill(0), 4, 8, 14);
+      }, /Invalid key for 256-bit algorithm/);
+    });
+
+    it('Rejects keys that aren\'t Buffers or have an unsupported length',
+      function() {
+        const { keyExpansion } = getImplemenation();
+        assert.throws(function() {
+          keyExpansion('0123456789abcdef', 4, 4, 10);
+        }, /must be a Buffer/);
+        assert.throws(function() {
+          keyExpansion(new Buffer(20).fill(0), 4, 5, 11);
+        }, /Invalid key length of 5 words/);
+      }
+    );
+
     /**
      * @description - Uses the {@link keyExpansion} function to generate
      * an expanded key and compares it wit the given one
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * File containing the PBKDF2 key derivation used to encrypt with a password
+ * instead of a key
+ */
+
+const crypto = require('crypto');
+
+const { DecryptionError } = require('./errors');
+
+/* Size of the random salt generated for every encryption */
+const saltSize = 16;
+
+/* Number of PBKDF2-HMAC-SHA256 iterations used when none are given, the
+ * amount recommended by OWASP */
+const defaultIterations = 600000;
+
+/* Highest iteration count accepted from the header of the input when none is
+ * given. The header isn't authenticated until the key has been derived, so
+ * without a limit a crafted file could keep PBKDF2 busy for hours */
+const defaultMaxIterations = 10000000;
+
+/* Size of the header put in front of the output, the salt followed by the
+ * iteration count as a big-endian 32-bit integer */
+const kdfHeaderSize = saltSize + 4;
+
+/**
+ * @description - Derives an AES key from the password with
+ * PBKDF2-HMAC-SHA256
+ * @param {String|Buffer} password
+ * @param {Buffer} salt
+ * @param {Number} iterations
+ * @param {Number} keySize - size of the key, either 128, 192 or 256 bits
+ * @return {Buffer}
+ */
+function deriveKey(password, salt, iterations, keySize) {
+  return crypto.pbkdf2Sync(password, salt, iterations, keySize / 8, 'sha256');
+}
+
+/**
+ * @description - Derives a key from the password with a new random salt
+ * @param {String|Buffer} password
+ * @param {Object} [options={}]
+ * @param {Number} [options.keySize=256] - size of the key to derive, either
+ * 128, 192 or 256 bits
+ * @param {Number} [options.iterations=600000] - PBKDF2 iteration count
+ * @return {Object} - the derived key and the header to put in front of the
+ * output so the key can be derived again when decrypting
+ */
+function createPasswordKey(password, options) {
+  const keySize = getPasswordKeySize(options);
+  const iterations = getIterations(options);
+  const salt = crypto.randomBytes(saltSize);
+
+  const header = new Buffer(kdfHeaderSize);
+  salt.copy(header);
+  header.writeUInt32BE(iterations, saltSize);
+
+  return { key: deriveKey(password, salt, iterations, keySize), header };
+}
+
+/**
+ * @description - Derives the key from the password with the salt and
+ * iteration count read from the header at the front of the input
+ * @param {String|Buffer} password
+ * @param {Buffer} input - input starting with the header written by
+ * {@link createPasswordKey}
+ * @param {Object} [options={}]
+ * @param {Number} [options.keySize=256] - size of the key to derive, either
+ * 128, 192 or 256 bits
+ * @param {Number} [options.maxIterations=10000000] - highest iteration count
+ * to accept from the header
+ * @return {Object} - the derived key and the input after the header
+ */
+function readPasswordKey(password, input, options) {
+  if (input.length < kdfHeaderSize) {
+    throw new DecryptionError(
+      'Input is too short to contain the key derivation parameters'
+    );
+  }
+
+  const salt = input.slice(0, saltSize);
+  const iterations = input.readUInt32BE(saltSize);
+  if (iterations === 0) {
+    throw new DecryptionError('Invalid iteration count of 0 in the key ' +
+      'derivation parameters');
+  }
+  const maxIterations = getMaxIterations(options);
+  if (iterations > maxIterations) {
+    throw new DecryptionError(`Iteration count of ${iterations} in the key ` +
+      `derivation parameters is over the maximum of ${maxIterations}`);
+  }
+
+  return {
+    key: deriveKey(password, salt, iterations, getPasswordKeySize(options)),
+    input: input.slice(kdfHeaderSize),
+  };
+}
+
+/**
+ * @description - Retrieves and validates the size of the key to derive
+ * @param {Object} [options={}]
+ * @return {Number}
+ */
+function getPasswordKeySize(options) {
+  const keySize = (options && options.keySize) || 256;
+  if (keySize !== 128 && keySize !== 192 && keySize !== 256) {
+    throw new Error(`Invalid key size of ${keySize} bits. Must be 128, ` +
+      '192 or 256 bits');
+  }
+
+  return keySize;
+}
+
+/**
+ * @description - Retrieves and validates the PBKDF2 iteration count
+ * @param {Object} [options={}]
+ * @return {Number}
+ */
+function getIterations(options) {
+  const iterations = options && options.iterations !== undefined ?
+    options.iterations : defaultIterations;
+  if (!Number.isInteger(iterations) || iterations < 1 ||
+    iterations > 0xffffffff) {
+    throw new Error(`Invalid iteration count '${iterations}'`);
+  }
+
+  return iterations;
+}
+
+/**
+ * @description - Retrieves and validates the highest PBKDF2 iteration count
+ * to accept when decrypting
+ * @param {Object} [options={}]
+ * @return {Number}
+ */
+function getMaxIterations(options) {
+  const maxIterations = options && options.maxIterations !== undefined ?
+    options.maxIterations : defaultMaxIterations;
+  if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+    throw new Error(`Invalid maximum iteration count '${maxIterations}'`);
+  }
+
+  return maxIterations;
+}
+
+module.exports = {
+  saltSize,
+  defaultIterations,
+  defaultMaxIterations,
+  kdfHeaderSize,
+  deriveKey,
+  createPasswordKey,
+  readPasswordKey,
+};
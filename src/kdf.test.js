@@ -0,0 +1,155 @@
+/**
+ * Unit test suite for the kdf js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('kdf.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the kdf module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getKdf(overrides = {}) {
+    return proxyquire('./kdf.js', overrides);
+  }
+
+  const salt = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+
+  describe('deriveKey()', function() {
+    // Test vectors taken from RFC 7914, Section 11, truncated to 256 bits
+    [
+      {
+        password: 'passwd',
+        salt: 'salt',
+        iterations: 1,
+        key: '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc', //eslint-disable-line
+      },
+      {
+        password: 'Password',
+        salt: 'NaCl',
+        iterations: 80000,
+        key: '4ddcd8f60b98be21830cee5ef22701f9641a4418d04c0414aeff08876b34ab56', //eslint-disable-line
+      },
+    ].forEach(function(testCase) {
+      it(`Correctly derives a key with ${testCase.iterations} iterations`,
+        function() {
+          const { deriveKey } = getKdf();
+          const expected = new Buffer(testCase.key, 'hex');
+
+          const key = deriveKey(
+            testCase.password, testCase.salt, testCase.iterations, 256
+          );
+          assert(key.compare(expected) === 0,
+            `deriveKey() failed. Expected ${key.toString('hex')}` +
+              ` to equal ${expected.toString('hex')}`
+          );
+        }
+      );
+    });
+  });
+
+  describe('createPasswordKey()', function() {
+    it('Writes the salt and iteration count into the header', function() {
+      const { createPasswordKey, deriveKey } = getKdf({
+        crypto: Object.assign({}, require('crypto'), {
+          randomBytes: () => salt,
+        }),
+      });
+
+      const { key, header } = createPasswordKey('password', {
+        keySize: 128,
+        iterations: 1000,
+      });
+      assert.equal(header.toString('hex'),
+        '000102030405060708090a0b0c0d0e0f000003e8');
+      assert(key.compare(deriveKey('password', salt, 1000, 128)) === 0,
+        'createPasswordKey() didn\'t derive the key from the salt'
+      );
+    });
+
+    it('Derives a 256-bit key by default', function() {
+      const { createPasswordKey } = getKdf();
+      const { key } = createPasswordKey('password', { iterations: 1 });
+      assert.equal(key.length, 32);
+    });
+
+    it('Rejects an invalid key size or iteration count', function() {
+      const { createPasswordKey } = getKdf();
+      assert.throws(function() {
+        createPasswordKey('password', { keySize: 64 });
+      }, /Invalid key size of 64 bits/);
+      [0, 1.5].forEach(function(iterations) {
+        assert.throws(function() {
+          createPasswordKey('password', { iterations });
+        }, /Invalid iteration count/);
+      });
+    });
+  });
+
+  describe('readPasswordKey()', function() {
+    it('Derives the key created by createPasswordKey()', function() {
+      const { createPasswordKey, readPasswordKey } = getKdf();
+      const options = { keySize: 192, iterations: 10 };
+      const { key, header } = createPasswordKey('password', options);
+      const rest = new Buffer('rest of the input');
+
+      const output = readPasswordKey(
+        'password', Buffer.concat([header, rest]), options
+      );
+      assert(output.key.compare(key) === 0,
+        'readPasswordKey() didn\'t derive the same key'
+      );
+      assert(output.input.compare(rest) === 0,
+        'readPasswordKey() didn\'t return the input after the header'
+      );
+    });
+
+    it('Throws a DecryptionError for a truncated header', function() {
+      const { readPasswordKey } = getKdf();
+      const { DecryptionError } = require('./errors');
+      assert.throws(function() {
+        readPasswordKey('password', salt);
+      }, DecryptionError, /too short/);
+    });
+
+    it('Throws a DecryptionError for an iteration count of 0', function() {
+      const { readPasswordKey } = getKdf();
+      const { DecryptionError } = require('./errors');
+      assert.throws(function() {
+        readPasswordKey('password', Buffer.concat([salt, new Buffer(4)]));
+      }, DecryptionError, /iteration count of 0/);
+    });
+
+    it('Throws a DecryptionError for an iteration count over the maximum',
+      function() {
+        const { readPasswordKey } = getKdf({
+          crypto: {
+            pbkdf2Sync: () => assert.fail('the key should not be derived'),
+          },
+        });
+        const { DecryptionError } = require('./errors');
+        const iterations = new Buffer(4);
+        iterations.writeUInt32BE(0xffffffff, 0);
+        assert.throws(function() {
+          readPasswordKey('password', Buffer.concat([salt, iterations]));
+        }, DecryptionError,
+        /count of 4294967295 .* over the maximum of 10000000/);
+      });
+
+    it('Accepts a higher count with options.maxIterations', function() {
+      const { createPasswordKey, readPasswordKey } = getKdf();
+      const { key, header } = createPasswordKey('password', { iterations: 20 });
+      assert.throws(function() {
+        readPasswordKey('password', header, { maxIterations: 10 });
+      }, /over the maximum of 10/);
+      const output = readPasswordKey('password', header, { maxIterations: 20 });
+      assert.deepEqual(output.key, key);
+      assert.throws(function() {
+        readPasswordKey('password', header, { maxIterations: 0 });
+      }, /Invalid maximum iteration count '0'/);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+/**
+ * File containing the generation, encoding and decoding of key files
+ */
+
+const crypto = require('crypto');
+
+/* Encodings a key file can be written in. Raw keys are the bytes of the key
+ * themselves, the others are text followed by a newline */
+const keyFormats = ['raw', 'hex', 'base64'];
+
+/* Key sizes in bits AES supports */
+const keySizes = [128, 192, 256];
+
+/* Whole bytes of hex, and padded base64, once whitespace is stripped */
+const hexPattern = /^(?:[0-9a-fA-F]{2})*$/;
+const base64Pattern =
+  /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * @description - Generates a random key with a cryptographically secure
+ * random number generator
+ * @param {Number} [keySize=256] - size of the key, either 128, 192 or 256
+ * bits
+ * @return {Buffer}
+ */
+function generateKey(keySize) {
+  if (keySize === undefined) {
+    keySize = 256;
+  }
+  if (keySizes.indexOf(keySize) === -1) {
+    throw new Error(`Invalid key size of ${keySize} bits. ` +
+      'Must be 128, 192 or 256 bits');
+  }
+
+  return crypto.randomBytes(keySize / 8);
+}
+
+/**
+ * @description - Encodes a key to be written to a key file
+ * @param {Buffer} key
+ * @param {String} [format='raw'] - either 'raw', 'hex' or 'base64'
+ * @return {Buffer}
+ */
+function encodeKey(key, format) {
+  format = getKeyFormat(format);
+  if (format === 'raw') {
+    return new Buffer(key);
+  }
+
+  return new Buffer(`${key.toString(format)}\n`);
+}
+
+/**
+ * @description - Decodes the contents of a key file. Whitespace is stripped
+ * from hex and base64 keys, so a trailing newline or spaces between bytes
+ * don't become part of the key. Without a format the file is read as hex
+ * or base64 when its text decodes to a key of a valid size, and as raw
+ * bytes otherwise. A file that would only be a valid key as raw bytes but
+ * also reads as hex or base64 is rejected as ambiguous
+ * @param {Buffer} data
+ * @param {Object} [options={}]
+ * @param {String} [options.format] - either 'raw', 'hex' or 'base64'.
+ * Detected when not given
+ * @param {Number|Number[]} [options.keySize] - size the key has to be in
+ * bits, or a list of sizes it may be. Any AES key size is accepted when not
+ * given
+ * @return {Buffer}
+ */
+function decodeKey(data, options) {
+  const keySize = options && options.keySize;
+  const expectedSizes = keySize ? [].concat(keySize) : keySizes;
+  const expected = `a ${expectedSizes.slice(0, -1).join(', ')}` +
+    `${expectedSizes.length > 1 ? ' or ' : ''}` +
+    `${expectedSizes[expectedSizes.length - 1]}-bit key`;
+  const hasExpectedSize = (key) => key &&
+    expectedSizes.indexOf(key.length * 8) !== -1;
+
+  if (options && options.format) {
+    const format = getKeyFormat(options.format);
+    const key = readKey(data, format);
+    if (!key) {
+      throw new Error(`Key file isn't valid ${format}`);
+    }
+    if (!hasExpectedSize(key)) {
+      throw new Error(`Key file holds ${key.length} bytes as ${format}, ` +
+        `expected ${expected}`);
+    }
+    return key;
+  }
+
+  // text is tried first, since a hex or base64 key without a trailing
+  // newline can also be a raw key of a valid size
+  let isText = false;
+  for (const format of ['hex', 'base64']) {
+    const key = readKey(data, format);
+    if (hasExpectedSize(key)) {
+      return key;
+    }
+    isText = isText || key !== null;
+  }
+  if (hasExpectedSize(data)) {
+    if (isText) {
+      throw new Error(`Key file could be ${expected} as raw bytes, or hex ` +
+        'or base64 of the wrong length. Give its format explicitly');
+    }
+    return data;
+  }
+  throw new Error(`Key file doesn't hold ${expected} as raw bytes, hex ` +
+    'or base64');
+}
+
+/**
+ * @description - Reads the key in the format, without checking its length
+ * @param {Buffer} data
+ * @param {String} format
+ * @return {Buffer} - null if the data isn't valid in the format
+ */
+function readKey(data, format) {
+  if (format === 'raw') {
+    return data;
+  }
+
+  const text = data.toString('latin1').replace(/\s+/g, '');
+  const pattern = format === 'hex' ? hexPattern : base64Pattern;
+  if (!pattern.test(text)) {
+    return null;
+  }
+
+  return new Buffer(text, format);
+}
+
+/**
+ * @description - Validates the key format
+ * @param {String} [format='raw']
+ * @return {String}
+ */
+function getKeyFormat(format) {
+  if (!format) {
+    return 'raw';
+  }
+  if (keyFormats.indexOf(format) === -1) {
+    throw new Error(`Invalid key format '${format}'`);
+  }
+
+  return format;
+}
+
+module.exports = {
+  keyFormats,
+  generateKey,
+  encodeKey,
+  decodeKey,
+  getKeyFormat,
+};
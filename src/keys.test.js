@@ -0,0 +1,168 @@
+/**
+ * Unit test suite for the keys js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('keys.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the keys module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getKeys(overrides = {}) {
+    return proxyquire('./keys.js', overrides);
+  }
+
+  const key = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+
+  describe('generateKey()', function() {
+    it('Takes the key from crypto.randomBytes()', function() {
+      const sizes = [];
+      const { generateKey } = getKeys({
+        crypto: {
+          randomBytes: (size) => {
+            sizes.push(size);
+            return new Buffer(size).fill(0xab);
+          },
+        },
+      });
+
+      assert.equal(generateKey(128).toString('hex'),
+        'abababababababababababababababab'
+      );
+      generateKey(192);
+      generateKey();
+      assert.deepEqual(sizes, [16, 24, 32]);
+    });
+
+    it('Throws for an invalid key size', function() {
+      const { generateKey } = getKeys();
+      assert.throws(() => generateKey(512), /Invalid key size of 512 bits/);
+    });
+  });
+
+  describe('encodeKey()', function() {
+    [
+      ['raw', '000102030405060708090a0b0c0d0e0f'],
+      ['hex', new Buffer('000102030405060708090a0b0c0d0e0f\n').toString('hex')],
+      ['base64', new Buffer('AAECAwQFBgcICQoLDA0ODw==\n').toString('hex')],
+    ].forEach(function([format, expected]) {
+      it(`Encodes the key as ${format}`, function() {
+        const { encodeKey } = getKeys();
+        assert.equal(encodeKey(key, format).toString('hex'), expected);
+      });
+    });
+
+    it('Defaults to raw keys', function() {
+      const { encodeKey } = getKeys();
+      assert(encodeKey(key).compare(key) === 0,
+        'encodeKey() didn\'t return the raw key'
+      );
+    });
+
+    it('Throws for an unknown format', function() {
+      const { encodeKey } = getKeys();
+      assert.throws(() => encodeKey(key, 'pem'), /Invalid key format 'pem'/);
+    });
+  });
+
+  describe('decodeKey()', function() {
+    it('Decodes what encodeKey() wrote', function() {
+      const { encodeKey, decodeKey } = getKeys();
+      ['raw', 'hex', 'base64'].forEach(function(format) {
+        const output = decodeKey(encodeKey(key, format), { format });
+        assert(output.compare(key) === 0,
+          `decodeKey() didn't decode a ${format} key`
+        );
+      });
+    });
+
+    it('Strips whitespace from text keys', function() {
+      const { decodeKey } = getKeys();
+      const output = decodeKey(
+        new Buffer('  00010203 04050607\r\n08090a0b\t0c0d0e0f\n\n'),
+        { format: 'hex' }
+      );
+      assert.equal(output.toString('hex'), key.toString('hex'));
+    });
+
+    [
+      ['a raw key of a valid size', key, key.toString('hex')],
+      ['a hex key with a trailing newline',
+        new Buffer('000102030405060708090a0b0c0d0e0f\n'), key.toString('hex')],
+      ['a base64 key', new Buffer('AAECAwQFBgcICQoLDA0ODw==\n'),
+        key.toString('hex')],
+      // 32 bytes of hex would also be a valid 256-bit raw key
+      ['a hex key without a trailing newline',
+        new Buffer('000102030405060708090a0b0c0d0e0f'), key.toString('hex')],
+      ['a base64 key without a trailing newline',
+        new Buffer('AAECAwQFBgcICQoLDA0ODw=='), key.toString('hex')],
+      ['a 256-bit hex key without a trailing newline',
+        new Buffer(`${key.toString('hex')}${key.toString('hex')}`),
+        `${key.toString('hex')}${key.toString('hex')}`],
+    ].forEach(function([description, data, expected]) {
+      it(`Detects ${description}`, function() {
+        const { decodeKey } = getKeys();
+        assert.equal(decodeKey(data).toString('hex'), expected);
+      });
+    });
+
+    it('Detects the format that gives the expected key size', function() {
+      const { decodeKey } = getKeys();
+      const data = new Buffer('AAECAwQFBgcICQoLDA0ODwABAgMEBQYHCAkKCwwNDg8=');
+      assert.equal(decodeKey(data, { keySize: 256 }).toString('hex'),
+        `${key.toString('hex')}${key.toString('hex')}`
+      );
+      const raw = new Buffer(16).fill(0xff);
+      assert.deepEqual(decodeKey(raw, { keySize: 128 }), raw);
+    });
+
+    it('Throws for text that is only a valid key as raw bytes', function() {
+      const { decodeKey } = getKeys();
+      const data = new Buffer('000102030405060708090a0b0c0d0e0f');
+      assert.throws(function() {
+        decodeKey(data, { keySize: 256 });
+      }, /could be a 256-bit key as raw bytes, or hex or base64 of the wrong/);
+      assert.throws(function() {
+        decodeKey(new Buffer('0001020304050607'));
+      }, /could be a 128, 192 or 256-bit key as raw bytes/);
+    });
+
+    it('Accepts any of a list of key sizes', function() {
+      const { decodeKey } = getKeys();
+      const data = new Buffer(`${new Buffer(64).fill(1).toString('hex')}\n`);
+      const xtsSizes = [256, 512];
+      const otherSizes = [128, 256];
+      assert.equal(decodeKey(data, { keySize: xtsSizes }).length, 64);
+      assert.throws(function() {
+        decodeKey(data, { format: 'hex', keySize: otherSizes });
+      }, /holds 64 bytes as hex, expected a 128 or 256-bit key/);
+    });
+
+    [
+      ['a hex key of the wrong length', '0001020304050607\n',
+        { format: 'hex' }, /holds 8 bytes as hex, expected a 128, 192 or 256/],
+      ['a key that does not match the key size',
+        '000102030405060708090a0b0c0d0e0f\n', { format: 'hex', keySize: 256 },
+        /holds 16 bytes as hex, expected a 256-bit key/],
+      ['invalid hex', '000102030405060708090a0b0c0d0e0g\n', { format: 'hex' },
+        /isn't valid hex/],
+      ['invalid base64', 'AAECAwQFBgcICQoLDA0ODw=\n', { format: 'base64' },
+        /isn't valid base64/],
+      ['a raw key of the wrong length', '0123456789abcdef0\n',
+        { format: 'raw' }, /holds 18 bytes as raw/],
+      ['a file without a key in any format', 'not a key\n', {},
+        /doesn't hold a 128, 192 or 256-bit key as raw bytes, hex or base64/],
+      ['an unknown format', '00', { format: 'pem' },
+        /Invalid key format 'pem'/],
+    ].forEach(function([description, data, options, message]) {
+      it(`Throws for ${description}`, function() {
+        const { decodeKey } = getKeys();
+        assert.throws(() => decodeKey(new Buffer(data), options), message);
+      });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * File containing the AES key wrap algorithm of RFC 3394, and the key wrap
+ * with padding of RFC 5649 for keys that aren't a multiple of 8 bytes.
+ * Both encrypt the key with an integrity check value in six passes over its
+ * 64-bit blocks, so a wrong key-encryption key or a changed wrapped key is
+ * detected when it's unwrapped
+ */
+
+const { DecryptionError, IntegrityError } = require('./errors');
+const { getCipher, constantTimeEqual } = require('./implementation');
+
+/* Initial value of RFC 3394, section 2.2.3.1 */
+const defaultIv = new Buffer('a6a6a6a6a6a6a6a6', 'hex');
+
+/* First half of the alternative initial value of RFC 5649, section 3. The
+ * second half is the length of the key in bytes */
+const alternativeIvPrefix = new Buffer('a65959a6', 'hex');
+
+/**
+ * @description - Wraps the key data with the key-encryption key as described
+ * in RFC 3394
+ * @param {Buffer|AES} kek - 16, 24 or 32 byte key-encryption key, or an
+ * {@link AES} instance
+ * @param {Buffer} keyData - at least 16 bytes, a multiple of 8
+ * @param {Object} [options={}]
+ * @param {String} [options.backend='table'] - AES backend the
+ * key-encryption key is expanded for, see {@link AES}
+ * @return {Buffer} - 8 bytes longer than the key data
+ */
+function wrapKey(kek, keyData, options) {
+  if (!Buffer.isBuffer(keyData) || keyData.length < 16 ||
+    keyData.length % 8 !== 0) {
+    throw new Error('Key data must be a Buffer of at least 16 bytes and a ' +
+      'multiple of 8 bytes. Other lengths need the key wrap with padding');
+  }
+
+  return wrap(getCipher(kek, options), defaultIv, keyData);
+}
+
+/**
+ * @description - Unwraps a key wrapped with {@link wrapKey} and verifies its
+ * integrity check value
+ * @param {Buffer|AES} kek - 16, 24 or 32 byte key-encryption key, or an
+ * {@link AES} instance
+ * @param {Buffer} wrapped - at least 24 bytes, a multiple of 8
+ * @param {Object} [options={}] - see {@link wrapKey}
+ * @return {Buffer}
+ */
+function unwrapKey(kek, wrapped, options) {
+  validateWrappedKey(wrapped, 24);
+  const { iv, keyData } = unwrap(getCipher(kek, options), wrapped);
+  if (!constantTimeEqual(iv, defaultIv)) {
+    throw new IntegrityError('Key unwrap integrity check failed');
+  }
+
+  return keyData;
+}
+
+/**
+ * @description - Wraps key data of any length with the key-encryption key
+ * as described in RFC 5649. The key data is padded with zeros to a multiple
+ * of 8 bytes, and its length is recorded in the initial value
+ * @param {Buffer|AES} kek - 16, 24 or 32 byte key-encryption key, or an
+ * {@link AES} instance
+ * @param {Buffer} keyData - at least 1 byte
+ * @param {Object} [options={}] - see {@link wrapKey}
+ * @return {Buffer} - a multiple of 8 bytes, at least 16
+ */
+function wrapKeyWithPadding(kek, keyData, options) {
+  if (!Buffer.isBuffer(keyData) || keyData.length < 1 ||
+    keyData.length > 0xffffffff) {
+    throw new Error('Key data must be a Buffer of at least 1 byte');
+  }
+
+  const aes = getCipher(kek, options);
+  const iv = Buffer.concat([alternativeIvPrefix, new Buffer(4)]);
+  iv.writeUInt32BE(keyData.length, 4);
+  const padded = Buffer.concat([
+    keyData,
+    new Buffer((8 - keyData.length % 8) % 8).fill(0),
+  ]);
+
+  // a single block is encrypted as it is, section 4.1
+  if (padded.length === 8) {
+    return aes.encryptBlock(Buffer.concat([iv, padded]));
+  }
+  return wrap(aes, iv, padded);
+}
+
+/**
+ * @description - Unwraps a key wrapped with {@link wrapKeyWithPadding},
+ * verifies its integrity check value and removes the padding
+ * @param {Buffer|AES} kek - 16, 24 or 32 byte key-encryption key, or an
+ * {@link AES} instance
+ * @param {Buffer} wrapped - at least 16 bytes, a multiple of 8
+ * @param {Object} [options={}] - see {@link wrapKey}
+ * @return {Buffer}
+ */
+function unwrapKeyWithPadding(kek, wrapped, options) {
+  validateWrappedKey(wrapped, 16);
+  const aes = getCipher(kek, options);
+
+  let iv;
+  let padded;
+  if (wrapped.length === 16) {
+    const block = aes.decryptBlock(wrapped);
+    iv = block.slice(0, 8);
+    padded = block.slice(8);
+  } else {
+    ({ iv, keyData: padded } = unwrap(aes, wrapped));
+  }
+
+  // section 3: the prefix, a length that fits the blocks and zero padding.
+  // Every failure throws the same error so it can't tell an attacker which
+  // check failed
+  const length = iv.readUInt32BE(4);
+  const paddingLength = padded.length - length;
+  let valid = constantTimeEqual(iv.slice(0, 4), alternativeIvPrefix) &&
+    paddingLength >= 0 && paddingLength < 8;
+  if (valid) {
+    valid = constantTimeEqual(padded.slice(length),
+      new Buffer(paddingLength).fill(0)
+    );
+  }
+  if (!valid) {
+    throw new IntegrityError('Key unwrap integrity check failed');
+  }
+
+  return padded.slice(0, length);
+}
+
+/**
+ * @description - The wrapping process W of RFC 3394, section 2.2.1, in the
+ * index based form
+ * @param {AES} aes
+ * @param {Buffer} iv - 8 bytes
+ * @param {Buffer} keyData - at least 16 bytes, a multiple of 8
+ * @return {Buffer}
+ */
+function wrap(aes, iv, keyData) {
+  const n = keyData.length / 8;
+  const output = Buffer.concat([iv, keyData]);
+  const block = new Buffer(16);
+
+  for (let j = 0; j < 6; ++j) {
+    for (let i = 1; i <= n; ++i) {
+      output.copy(block, 0, 0, 8);
+      output.copy(block, 8, i * 8, i * 8 + 8);
+      const result = aes.encryptBlock(block);
+      xorCounter(result, n * j + i);
+      result.copy(output, 0, 0, 8);
+      result.copy(output, i * 8, 8, 16);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * @description - The unwrapping process W^-1 of RFC 3394, section 2.2.2, in
+ * the index based form. The initial value is returned to be checked by the
+ * caller
+ * @param {AES} aes
+ * @param {Buffer} wrapped - at least 24 bytes, a multiple of 8
+ * @return {Object} - the iv and the keyData
+ */
+function unwrap(aes, wrapped) {
+  const n = wrapped.length / 8 - 1;
+  const output = new Buffer(wrapped);
+  const block = new Buffer(16);
+
+  for (let j = 5; j >= 0; --j) {
+    for (let i = n; i >= 1; --i) {
+      output.copy(block, 0, 0, 8);
+      xorCounter(block, n * j + i);
+      output.copy(block, 8, i * 8, i * 8 + 8);
+      const result = aes.decryptBlock(block);
+      result.copy(output, 0, 0, 8);
+      result.copy(output, i * 8, 8, 16);
+    }
+  }
+
+  return { iv: output.slice(0, 8), keyData: output.slice(8) };
+}
+
+/**
+ * @description - XORs the step counter t, as a 64-bit big-endian number,
+ * into the first 8 bytes of the block in place
+ * @param {Buffer} block
+ * @param {Number} t
+ */
+function xorCounter(block, t) {
+  const high = Math.floor(t / 0x100000000);
+  block.writeUInt32BE((block.readUInt32BE(0) ^ high) >>> 0, 0);
+  block.writeUInt32BE((block.readUInt32BE(4) ^ t) >>> 0, 4);
+}
+
+/**
+ * @description - Checks the length of a wrapped key before unwrapping it
+ * @param {Buffer} wrapped
+ * @param {Number} minimumLength
+ */
+function validateWrappedKey(wrapped, minimumLength) {
+  if (!Buffer.isBuffer(wrapped)) {
+    throw new Error('\'wrapped\' must be a Buffer');
+  }
+  if (wrapped.length < minimumLength || wrapped.length % 8 !== 0) {
+    throw new DecryptionError(`Wrapped key must be at least ` +
+      `${minimumLength} bytes and a multiple of 8 bytes`);
+  }
+}
+
+module.exports = {
+  wrapKey,
+  unwrapKey,
+  wrapKeyWithPadding,
+  unwrapKeyWithPadding,
+};
@@ -0,0 +1,252 @@
+/**
+ * Unit test suite for the keywrap js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('keywrap.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the keywrap module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getKeyWrap(overrides = {}) {
+    return proxyquire('./keywrap.js', overrides);
+  }
+
+  const kek128 = '000102030405060708090a0b0c0d0e0f';
+  const kek192 = '000102030405060708090a0b0c0d0e0f1011121314151617';
+  const kek256 =
+    '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f';
+
+  // RFC 3394, section 4
+  const testCases = [
+    {
+      description: '128 bits of key data with a 128-bit KEK',
+      kek: kek128,
+      keyData: '00112233445566778899aabbccddeeff',
+      wrapped: '1fa68b0a8112b447aef34bd8fb5a7b829d3e862371d2cfe5',
+    },
+    {
+      description: '128 bits of key data with a 192-bit KEK',
+      kek: kek192,
+      keyData: '00112233445566778899aabbccddeeff',
+      wrapped: '96778b25ae6ca435f92b5b97c050aed2468ab8a17ad84e5d',
+    },
+    {
+      description: '128 bits of key data with a 256-bit KEK',
+      kek: kek256,
+      keyData: '00112233445566778899aabbccddeeff',
+      wrapped: '64e8c3f9ce0f5ba263e9777905818a2a93c8191e7d6e8ae7',
+    },
+    {
+      description: '192 bits of key data with a 192-bit KEK',
+      kek: kek192,
+      keyData: '00112233445566778899aabbccddeeff0001020304050607',
+      wrapped: '031d33264e15d33268f24ec260743edce1c6c7ddee725a936ba814915c6762d2', //eslint-disable-line
+    },
+    {
+      description: '192 bits of key data with a 256-bit KEK',
+      kek: kek256,
+      keyData: '00112233445566778899aabbccddeeff0001020304050607',
+      wrapped: 'a8f9bc1612c68b3ff6e6f4fbe30e71e4769c8b80a32cb8958cd5d17d6b254da1', //eslint-disable-line
+    },
+    {
+      description: '256 bits of key data with a 256-bit KEK',
+      kek: kek256,
+      keyData: '00112233445566778899aabbccddeeff000102030405060708090a0b0c0d0e0f', //eslint-disable-line
+      wrapped: '28c9f404c4b810f4cbccb35cfb87f8263f5786e2d80ed326cbc7f0e71a99f43bfb988b9b7a02dd21', //eslint-disable-line
+    },
+  ];
+
+  // RFC 5649, section 6
+  const paddedTestCases = [
+    {
+      description: '20 bytes of key data',
+      kek: '5840df6e29b02af1ab493b705bf16ea1ae8338f4dcc176a8',
+      keyData: 'c37b7e6492584340bed12207808941155068f738',
+      wrapped: '138bdeaa9b8fa7fc61f97742e72248ee5ae6ae5360d1ae6a5f54f373fa543b6a', //eslint-disable-line
+    },
+    {
+      description: '7 bytes of key data',
+      kek: '5840df6e29b02af1ab493b705bf16ea1ae8338f4dcc176a8',
+      keyData: '466f7250617369',
+      wrapped: 'afbeb0f07dfbf5419200f2ccb50bb24f',
+    },
+  ];
+
+  /**
+   * @description - Flips a bit in a copy of the buffer
+   * @param {Buffer} buffer
+   * @param {Number} index
+   * @return {Buffer}
+   */
+  function flipBit(buffer, index) {
+    const output = new Buffer(buffer);
+    output[index] ^= 0x01;
+    return output;
+  }
+
+  describe('wrapKey() and unwrapKey()', function() {
+    testCases.forEach(function({ description, kek, keyData, wrapped }) {
+      it(`Wraps and unwraps ${description}`, function() {
+        const { wrapKey, unwrapKey } = getKeyWrap();
+        const kekBuffer = new Buffer(kek, 'hex');
+        assert.equal(wrapKey(kekBuffer, new Buffer(keyData, 'hex'))
+          .toString('hex'), wrapped
+        );
+        assert.equal(unwrapKey(kekBuffer, new Buffer(wrapped, 'hex'))
+          .toString('hex'), keyData
+        );
+      });
+    });
+
+    it('Takes an AES instance as the KEK', function() {
+      const { AES } = require('./implementation');
+      const { wrapKey, unwrapKey } = getKeyWrap();
+      const aes = new AES(new Buffer(kek128, 'hex'));
+      const { keyData, wrapped } = testCases[0];
+
+      assert.equal(wrapKey(aes, new Buffer(keyData, 'hex')).toString('hex'),
+        wrapped
+      );
+      assert.equal(unwrapKey(aes, new Buffer(wrapped, 'hex')).toString('hex'),
+        keyData
+      );
+    });
+
+    it('Expands the key for options.backend', function() {
+      const implementation = require('./implementation');
+      const backends = [];
+      const { wrapKey, unwrapKey } = getKeyWrap({
+        './implementation': Object.assign({}, implementation, {
+          getCipher: (key, options) => {
+            backends.push(options.backend);
+            return implementation.getCipher(key, options);
+          },
+        }),
+      });
+      const options = { backend: 'constant-time' };
+      const { kek, keyData, wrapped } = testCases[0];
+
+      assert.equal(wrapKey(new Buffer(kek, 'hex'), new Buffer(keyData, 'hex'),
+        options
+      ).toString('hex'), wrapped);
+      assert.equal(unwrapKey(new Buffer(kek, 'hex'), new Buffer(wrapped, 'hex'),
+        options
+      ).toString('hex'), keyData);
+      assert.deepEqual(backends, ['constant-time', 'constant-time']);
+    });
+
+    it('Throws an IntegrityError for a changed wrapped key or wrong KEK',
+      function() {
+        const { IntegrityError } = require('./errors');
+        const { unwrapKey } = getKeyWrap();
+        const { kek, wrapped } = testCases[0];
+        const wrappedBuffer = new Buffer(wrapped, 'hex');
+
+        [0, 8, 23].forEach(function(index) {
+          assert.throws(function() {
+            unwrapKey(new Buffer(kek, 'hex'), flipBit(wrappedBuffer, index));
+          }, IntegrityError, /integrity check failed/);
+        });
+        assert.throws(function() {
+          unwrapKey(new Buffer(kek256, 'hex'), wrappedBuffer);
+        }, IntegrityError, /integrity check failed/);
+      }
+    );
+
+    [
+      ['key data shorter than 16 bytes', 8],
+      ['key data that is not a multiple of 8 bytes', 20],
+    ].forEach(function([description, length]) {
+      it(`Throws for ${description}`, function() {
+        const { wrapKey } = getKeyWrap();
+        assert.throws(function() {
+          wrapKey(new Buffer(kek128, 'hex'), new Buffer(length));
+        }, /need the key wrap with padding/);
+      });
+    });
+
+    it('Throws a DecryptionError for a wrapped key of an invalid length',
+      function() {
+        const { DecryptionError } = require('./errors');
+        const { unwrapKey } = getKeyWrap();
+        [16, 28].forEach(function(length) {
+          assert.throws(function() {
+            unwrapKey(new Buffer(kek128, 'hex'), new Buffer(length));
+          }, DecryptionError, /at least 24 bytes and a multiple of 8/);
+        });
+      }
+    );
+  });
+
+  describe('wrapKeyWithPadding() and unwrapKeyWithPadding()', function() {
+    paddedTestCases.forEach(function({ description, kek, keyData, wrapped }) {
+      it(`Wraps and unwraps ${description}`, function() {
+        const { wrapKeyWithPadding, unwrapKeyWithPadding } = getKeyWrap();
+        const kekBuffer = new Buffer(kek, 'hex');
+        assert.equal(
+          wrapKeyWithPadding(kekBuffer, new Buffer(keyData, 'hex'))
+            .toString('hex'),
+          wrapped
+        );
+        assert.equal(
+          unwrapKeyWithPadding(kekBuffer, new Buffer(wrapped, 'hex'))
+            .toString('hex'),
+          keyData
+        );
+      });
+    });
+
+    it('Round trips every length up to 33 bytes', function() {
+      const { wrapKeyWithPadding, unwrapKeyWithPadding } = getKeyWrap();
+      const kek = new Buffer(kek256, 'hex');
+      for (let length = 1; length <= 33; ++length) {
+        const keyData = new Buffer(length).fill(length);
+        const wrapped = wrapKeyWithPadding(kek, keyData);
+        assert.equal(wrapped.length,
+          Math.max(16, Math.ceil(length / 8) * 8 + 8)
+        );
+        assert.equal(unwrapKeyWithPadding(kek, wrapped).toString('hex'),
+          keyData.toString('hex')
+        );
+      }
+    });
+
+    it('Throws an IntegrityError for a changed wrapped key', function() {
+      const { IntegrityError } = require('./errors');
+      const { unwrapKeyWithPadding } = getKeyWrap();
+      paddedTestCases.forEach(function({ kek, wrapped }) {
+        const wrappedBuffer = new Buffer(wrapped, 'hex');
+        [0, wrappedBuffer.length - 1].forEach(function(index) {
+          assert.throws(function() {
+            unwrapKeyWithPadding(
+              new Buffer(kek, 'hex'), flipBit(wrappedBuffer, index)
+            );
+          }, IntegrityError, /integrity check failed/);
+        });
+      });
+    });
+
+    it('Rejects a key wrapped without padding', function() {
+      const { IntegrityError } = require('./errors');
+      const { unwrapKeyWithPadding } = getKeyWrap();
+      const { kek, wrapped } = testCases[0];
+      assert.throws(function() {
+        unwrapKeyWithPadding(
+          new Buffer(kek, 'hex'), new Buffer(wrapped, 'hex')
+        );
+      }, IntegrityError);
+    });
+
+    it('Throws for empty key data', function() {
+      const { wrapKeyWithPadding } = getKeyWrap();
+      assert.throws(function() {
+        wrapKeyWithPadding(new Buffer(kek128, 'hex'), new Buffer(0));
+      }, /at least 1 byte/);
+    });
+  });
+});
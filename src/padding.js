@@ -0,0 +1,150 @@
+'use strict';
+
+/**
+ * File containing the padding schemes used to fill the last block before
+ * encrypting in the ECB and CBC cipher modes
+ */
+
+const { PaddingError } = require('./errors');
+
+/* Padding schemes supported by padInput() and removePaddingFromInput().
+ * pkcs7 is the default since it's what OpenSSL, Web Crypto and Java expect */
+const paddingSchemes = ['pkcs7', 'x923', 'iso7816', 'zero', 'none'];
+
+/**
+ * @description - Retrieves and validates the padding scheme from the options
+ * given to {@link encrypt} or {@link decrypt}
+ * @param {Object} [options={}]
+ * @return {String}
+ */
+function getPaddingScheme(options) {
+  const padding = ((options && options.padding) || 'pkcs7').toLowerCase();
+  if (paddingSchemes.indexOf(padding) === -1) {
+    throw new Error(`Invalid padding scheme '${options.padding}'`);
+  }
+
+  return padding;
+}
+
+/**
+ * @description - Adds padding to the given input
+ *  - pkcs7 fills every padding byte with the padding length
+ *  - x923 fills the padding with zeros followed by the padding length
+ *  - iso7816 adds a 0x80 byte followed by zeros
+ *  - zero fills the rest of the last block with zeros, adding nothing if the
+ *    input is already a multiple of the block size
+ *  - none adds nothing and requires the input to be a multiple of the block
+ *    size
+ * @param {Buffer} input
+ * @param {String} [padding='pkcs7']
+ * @param {Number} [blockSize=4]
+ * @return {Buffer}
+ */
+function padInput(input, padding, blockSize) {
+  if (!padding) {
+    padding = 'pkcs7';
+  }
+  if (!blockSize) {
+    blockSize = 4;
+  }
+  const stateSize = blockSize * 4;
+  const remainder = input.length % stateSize;
+
+  if (padding === 'none') {
+    if (remainder !== 0) {
+      throw new Error(`Input must be a multiple of ${stateSize} bytes ` +
+        'without padding');
+    }
+    return input;
+  } else if (padding === 'zero' && remainder === 0) {
+    return input;
+  }
+
+  const paddingLength = stateSize - remainder;
+  const paddingBuffer = new Buffer(paddingLength).fill(0);
+  if (padding === 'pkcs7') {
+    paddingBuffer.fill(paddingLength);
+  } else if (padding === 'x923') {
+    paddingBuffer[paddingLength - 1] = paddingLength;
+  } else if (padding === 'iso7816') {
+    paddingBuffer[0] = 0x80;
+  }
+
+  return Buffer.concat([input, paddingBuffer]);
+}
+
+/**
+ * @description - Removes padding from the given input after checking that
+ * it's valid. For pkcs7 and x923 every byte of the last block is checked so
+ * the time taken doesn't depend on where the padding is wrong. Zero padding
+ * can't be validated, and trailing zeros of the input are removed with it
+ * @param {Buffer} input
+ * @param {String} [padding='pkcs7']
+ * @param {Number} [blockSize=4]
+ * @return {Buffer}
+ */
+function removePaddingFromInput(input, padding, blockSize) {
+  if (!padding) {
+    padding = 'pkcs7';
+  }
+  if (!blockSize) {
+    blockSize = 4;
+  }
+  const stateSize = blockSize * 4;
+
+  if (padding === 'none') {
+    return input;
+  } else if (padding === 'zero') {
+    let length = input.length;
+    while (length > 0 && input.length - length < stateSize - 1 &&
+      input[length - 1] === 0) {
+      length -= 1;
+    }
+    return input.slice(0, length);
+  }
+
+  let paddingLength;
+  if (padding === 'iso7816') {
+    paddingLength = 1;
+    while (paddingLength < stateSize && paddingLength < input.length &&
+      input[input.length - paddingLength] === 0) {
+      paddingLength += 1;
+    }
+    if (input[input.length - paddingLength] !== 0x80) {
+      throw invalidPadding();
+    }
+    return input.slice(0, input.length - paddingLength);
+  }
+
+  paddingLength = input[input.length - 1];
+  let invalid = input.length === 0 || paddingLength < 1 ||
+    paddingLength > stateSize || paddingLength > input.length;
+  for (let i = 1; i < stateSize && i < input.length; ++i) {
+    const expected = padding === 'pkcs7' ? paddingLength : 0;
+    if (i < paddingLength && input[input.length - 1 - i] !== expected) {
+      invalid = true;
+    }
+  }
+
+  if (invalid) {
+    throw invalidPadding();
+  }
+
+  return input.slice(0, input.length - paddingLength);
+}
+
+/**
+ * @description - Creates the error thrown for invalid padding
+ * @return {PaddingError}
+ */
+function invalidPadding() {
+  return new PaddingError('Invalid padding, the key or padding scheme is ' +
+    'wrong or the input is corrupt');
+}
+
+module.exports = {
+  paddingSchemes,
+  getPaddingScheme,
+  padInput,
+  removePaddingFromInput,
+};
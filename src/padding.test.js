@@ -0,0 +1,138 @@
+/**
+ * Unit test suite for the padding js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('padding.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the padding module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getPadding(overrides = {}) {
+    return proxyquire('./padding.js', overrides);
+  }
+
+  const input = new Buffer('0102030405060708090a0b0c', 'hex');
+
+  // the last block of each scheme for the 12-byte input above
+  const paddedBlocks = {
+    pkcs7: '0102030405060708090a0b0c04040404',
+    x923: '0102030405060708090a0b0c00000004',
+    iso7816: '0102030405060708090a0b0c80000000',
+    zero: '0102030405060708090a0b0c00000000',
+  };
+
+  describe('getPaddingScheme()', function() {
+    it('Defaults to pkcs7', function() {
+      const { getPaddingScheme } = getPadding();
+      assert.equal(getPaddingScheme(), 'pkcs7');
+      assert.equal(getPaddingScheme({}), 'pkcs7');
+    });
+
+    it('Throws for an unknown padding scheme', function() {
+      const { getPaddingScheme } = getPadding();
+      assert.throws(function() {
+        getPaddingScheme({ padding: 'pkcs5' });
+      }, /Invalid padding scheme 'pkcs5'/);
+    });
+  });
+
+  describe('padInput()', function() {
+    Object.keys(paddedBlocks).forEach(function(padding) {
+      it(`Correctly pads input with ${padding} padding`, function() {
+        const { padInput } = getPadding();
+        const expected = new Buffer(paddedBlocks[padding], 'hex');
+
+        const output = padInput(input, padding);
+        assert(output.compare(expected) === 0,
+          `padInput() failed. Expected ${output.toString('hex')}` +
+            ` to equal ${expected.toString('hex')}`
+        );
+      });
+    });
+
+    ['pkcs7', 'x923', 'iso7816'].forEach(function(padding) {
+      it(`Adds a whole block to aligned input with ${padding} padding`,
+        function() {
+          const { padInput } = getPadding();
+          assert.equal(padInput(new Buffer(16).fill(1), padding).length, 32);
+        }
+      );
+    });
+
+    ['zero', 'none'].forEach(function(padding) {
+      it(`Doesn't pad aligned input with ${padding} padding`, function() {
+        const { padInput } = getPadding();
+        assert.equal(padInput(new Buffer(16).fill(1), padding).length, 16);
+        assert.equal(padInput(new Buffer(0), padding).length, 0);
+      });
+    });
+
+    it('Throws for unaligned input without padding', function() {
+      const { padInput } = getPadding();
+      assert.throws(function() {
+        padInput(input, 'none');
+      }, /multiple of 16 bytes/);
+    });
+  });
+
+  describe('removePaddingFromInput()', function() {
+    Object.keys(paddedBlocks).forEach(function(padding) {
+      it(`Removes valid ${padding} padding`, function() {
+        const { removePaddingFromInput } = getPadding();
+        const block = new Buffer(paddedBlocks[padding], 'hex');
+
+        const output = removePaddingFromInput(block, padding);
+        assert(output.compare(input) === 0,
+          `removePaddingFromInput() failed. Expected ` +
+            `${output.toString('hex')} to equal ${input.toString('hex')}`
+        );
+      });
+    });
+
+    it('Removes a whole block of padding', function() {
+      const { removePaddingFromInput } = getPadding();
+      [
+        ['pkcs7', '10101010101010101010101010101010'],
+        ['x923', '00000000000000000000000000000010'],
+        ['iso7816', '80000000000000000000000000000000'],
+      ].forEach(function([padding, block]) {
+        assert.equal(
+          removePaddingFromInput(new Buffer(block, 'hex'), padding).length, 0,
+          `removePaddingFromInput() didn't remove the whole ${padding} block`
+        );
+      });
+    });
+
+    it('Leaves the input alone without padding', function() {
+      const { removePaddingFromInput } = getPadding();
+      const block = new Buffer(paddedBlocks.pkcs7, 'hex');
+      assert.equal(removePaddingFromInput(block, 'none').length, 16);
+    });
+
+    [
+      ['pkcs7', 'a padding length of zero', '0102030405060708090a0b0c0d0e0f00'], //eslint-disable-line
+      ['pkcs7', 'a padding length over 16', '11111111111111111111111111111111'], //eslint-disable-line
+      ['pkcs7', 'mismatched padding bytes', '0102030405060708090a0b0c04040304'], //eslint-disable-line
+      ['x923', 'a padding length of zero', '0102030405060708090a0b0c0d0e0f00'], //eslint-disable-line
+      ['x923', 'a padding length over 16', '00000000000000000000000000000011'], //eslint-disable-line
+      ['x923', 'non-zero filler bytes', '0102030405060708090a0b0c00000104'],
+      ['iso7816', 'a missing 0x80 marker', '0102030405060708090a0b0c00000000'], //eslint-disable-line
+      ['iso7816', 'non-zero filler bytes', '0102030405060708090a0b0c80000100'], //eslint-disable-line
+    ].forEach(function([padding, description, block]) {
+      it(`Throws a PaddingError for ${padding} with ${description}`,
+        function() {
+          const { removePaddingFromInput } = getPadding();
+          const { PaddingError } = require('./errors');
+          assert.throws(function() {
+            removePaddingFromInput(new Buffer(block, 'hex'), padding);
+          }, PaddingError);
+        }
+      );
+    });
+  });
+});
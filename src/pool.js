@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * File containing a pool of worker threads that run the block cipher on
+ * chunks of a large input in parallel. The round keys are put in a
+ * SharedArrayBuffer once and shared by every worker, and only the chunks
+ * themselves are copied to and from the workers
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/* Script every worker runs, see worker.js */
+const workerFilename = path.join(__dirname, 'worker.js');
+
+/**
+ * A fixed number of workers that take chunks from a queue as they become
+ * idle. Each chunk is resolved with its own output, so the caller puts the
+ * output back together in order
+ */
+class WorkerPool {
+  /**
+   * @constructor
+   * @param {Number} size - number of workers to start
+   * @param {Object} parameters
+   * @param {Uint32Array} parameters.roundKeys - key schedule shared by every
+   * chunk, the decryption schedule when decrypting in ECB mode
+   * @param {Number} parameters.numberOfRounds
+   * @param {String} [parameters.backend='table']
+   */
+  constructor(size, { roundKeys, numberOfRounds, backend }) {
+    const sharedRoundKeys = new Uint32Array(
+      new SharedArrayBuffer(roundKeys.length * 4)
+    );
+    sharedRoundKeys.set(roundKeys);
+
+    this.queue = [];
+    this.idle = [];
+    this.workers = [];
+    this.closed = false;
+    for (let i = 0; i < size; ++i) {
+      const worker = new Worker(workerFilename, {
+        workerData: {
+          roundKeys: sharedRoundKeys.buffer,
+          numberOfRounds,
+          backend,
+        },
+      });
+      worker.on('message', (message) => this.finishJob(worker, message));
+      worker.on('error', (err) => this.fail(err));
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * @description - Queues a chunk to be encrypted or decrypted by the next
+   * idle worker
+   * @param {Object} task
+   * @param {Buffer} task.data - a multiple of 16 bytes, except for the last
+   * chunk in CTR mode
+   * @param {String} task.cipherMode - either 'ecb' or 'ctr'
+   * @param {Boolean} task.decrypt - whether to decrypt in ECB mode
+   * @param {Buffer} [task.iv] - initial counter block in CTR mode
+   * @param {Number} [task.offset=0] - position of the chunk within the
+   * keystream in CTR mode
+   * @return {Promise<Buffer>}
+   */
+  run(task) {
+    if (this.closed) {
+      return Promise.reject(new Error('The worker pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      // copy the chunk so only its own bytes are sent, not the whole
+      // ArrayBuffer it's a view of
+      const data = new Uint8Array(task.data);
+      this.queue.push({
+        message: Object.assign({}, task, {
+          data,
+          iv: task.iv && new Uint8Array(task.iv),
+        }),
+        transferList: [data.buffer],
+        resolve,
+        reject,
+      });
+      this.startJobs();
+    });
+  }
+
+  /**
+   * @description - Hands queued chunks to the idle workers
+   */
+  startJobs() {
+    while (this.queue.length > 0 && this.idle.length > 0) {
+      const worker = this.idle.shift();
+      const job = this.queue.shift();
+      worker.job = job;
+      worker.postMessage(job.message, job.transferList);
+    }
+  }
+
+  /**
+   * @description - Settles the job the worker was running and gives it the
+   * next one
+   * @param {Worker} worker
+   * @param {Object} message - either the output or an error message
+   */
+  finishJob(worker, message) {
+    const job = worker.job;
+    worker.job = null;
+    this.idle.push(worker);
+
+    if (message.error) {
+      job.reject(new Error(message.error));
+    } else {
+      const output = message.output;
+      job.resolve(Buffer.from(output.buffer, output.byteOffset, output.length));
+    }
+    this.startJobs();
+  }
+
+  /**
+   * @description - Rejects every running and queued job after a worker
+   * crashed, since there's no telling which chunks it would have finished
+   * @param {Error} err
+   */
+  fail(err) {
+    this.workers.forEach(function(worker) {
+      if (worker.job) {
+        worker.job.reject(err);
+        worker.job = null;
+      }
+    });
+    this.queue.forEach((job) => job.reject(err));
+    this.queue = [];
+    this.close();
+  }
+
+  /**
+   * @description - Stops every worker. Jobs queued afterwards are rejected
+   * @return {Promise}
+   */
+  close() {
+    this.closed = true;
+    return Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+}
+
+module.exports = {
+  WorkerPool,
+};
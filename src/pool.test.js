@@ -0,0 +1,190 @@
+/**
+ * Unit test suite for the pool js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+const EventEmitter = require('events');
+
+describe('pool.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the pool module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getPool(overrides = {}) {
+    return proxyquire('./pool.js', overrides);
+  }
+
+  /**
+   * @description - Creates a fake worker_threads module whose workers record
+   * the messages posted to them instead of running a thread. Calling
+   * respond() on a worker answers its last message
+   * @return {Object} - the module and the workers it created
+   */
+  function getFakeWorkerThreads() {
+    const workers = [];
+
+    /**
+     * A worker that runs nothing
+     */
+    class FakeWorker extends EventEmitter {
+      /**
+       * @constructor
+       * @param {String} filename
+       * @param {Object} options
+       */
+      constructor(filename, options) {
+        super();
+        this.filename = filename;
+        this.workerData = options.workerData;
+        this.messages = [];
+        this.terminated = false;
+        workers.push(this);
+      }
+
+      /**
+       * @param {Object} message
+       */
+      postMessage(message) {
+        this.messages.push(message);
+      }
+
+      /**
+       * @param {Object} message
+       */
+      respond(message) {
+        this.emit('message', message);
+      }
+
+      /**
+       * @return {Promise}
+       */
+      terminate() {
+        this.terminated = true;
+        return Promise.resolve(0);
+      }
+    }
+
+    return { workerThreads: { Worker: FakeWorker }, workers };
+  }
+
+  const parameters = {
+    roundKeys: new Uint32Array([0x2b7e1516, 0x28aed2a6]),
+    numberOfRounds: 10,
+    backend: 'table',
+  };
+
+  describe('WorkerPool', function() {
+    it('Shares the round keys with every worker', function() {
+      const { workerThreads, workers } = getFakeWorkerThreads();
+      const { WorkerPool } = getPool({ worker_threads: workerThreads });
+      new WorkerPool(2, parameters);
+
+      assert.equal(workers.length, 2);
+      assert.match(workers[0].filename, /worker\.js$/);
+      const { roundKeys, numberOfRounds, backend } = workers[0].workerData;
+      assert.instanceOf(roundKeys, SharedArrayBuffer);
+      assert.strictEqual(workers[1].workerData.roundKeys, roundKeys);
+      assert.deepEqual(Array.from(new Uint32Array(roundKeys)),
+        [0x2b7e1516, 0x28aed2a6]
+      );
+      assert.equal(numberOfRounds, 10);
+      assert.equal(backend, 'table');
+    });
+
+    it('Queues chunks until a worker is idle', function() {
+      const { workerThreads, workers } = getFakeWorkerThreads();
+      const { WorkerPool } = getPool({ worker_threads: workerThreads });
+      const pool = new WorkerPool(1, parameters);
+
+      const first = pool.run({
+        data: new Buffer('first chunk'), cipherMode: 'ctr', offset: 0,
+      });
+      const second = pool.run({
+        data: new Buffer('second chunk'), cipherMode: 'ctr', offset: 16,
+      });
+      assert.equal(workers[0].messages.length, 1);
+      assert.equal(new Buffer(workers[0].messages[0].data).toString(),
+        'first chunk'
+      );
+
+      workers[0].respond({ output: new Uint8Array([1, 2]) });
+      assert.equal(workers[0].messages.length, 2);
+      assert.equal(workers[0].messages[1].offset, 16);
+      workers[0].respond({ output: new Uint8Array([3]) });
+
+      return Promise.all([first, second])
+        .then(function(outputs) {
+          assert(Buffer.isBuffer(outputs[0]), 'run() didn\'t resolve a Buffer');
+          assert.equal(outputs[0].toString('hex'), '0102');
+          assert.equal(outputs[1].toString('hex'), '03');
+        });
+    });
+
+    it('Sends only the bytes of the chunk', function() {
+      const { workerThreads, workers } = getFakeWorkerThreads();
+      const { WorkerPool } = getPool({ worker_threads: workerThreads });
+      const pool = new WorkerPool(1, parameters);
+      const input = new Buffer(64).fill(0xaa);
+
+      pool.run({ data: input.slice(16, 32), cipherMode: 'ecb' });
+      const data = workers[0].messages[0].data;
+      assert.equal(data.buffer.byteLength, 16);
+    });
+
+    it('Rejects a chunk the worker failed on', function() {
+      const { workerThreads, workers } = getFakeWorkerThreads();
+      const { WorkerPool } = getPool({ worker_threads: workerThreads });
+      const pool = new WorkerPool(1, parameters);
+
+      const output = pool.run({ data: new Buffer(16), cipherMode: 'ecb' });
+      workers[0].respond({ error: 'Invalid backend \'gpu\'' });
+      return output
+        .then(() => assert.fail('run() resolved for a failed chunk'))
+        .catch((err) => assert.match(err.message, /Invalid backend 'gpu'/));
+    });
+
+    it('Rejects every chunk and stops the workers when one crashes',
+      function() {
+        const { workerThreads, workers } = getFakeWorkerThreads();
+        const { WorkerPool } = getPool({ worker_threads: workerThreads });
+        const pool = new WorkerPool(2, parameters);
+
+        const outputs = [0, 1, 2].map(function() {
+          return pool.run({ data: new Buffer(16), cipherMode: 'ecb' })
+            .then(() => assert.fail('run() resolved after a crash'))
+            .catch((err) => err.message);
+        });
+        workers[1].emit('error', new Error('out of memory'));
+
+        return Promise.all(outputs)
+          .then(function(messages) {
+            assert.deepEqual(messages,
+              ['out of memory', 'out of memory', 'out of memory']
+            );
+            assert(workers.every((worker) => worker.terminated),
+              'A worker wasn\'t terminated'
+            );
+          });
+      }
+    );
+
+    it('Terminates the workers when closed', function() {
+      const { workerThreads, workers } = getFakeWorkerThreads();
+      const { WorkerPool } = getPool({ worker_threads: workerThreads });
+      const pool = new WorkerPool(3, parameters);
+
+      return pool.close()
+        .then(function() {
+          assert(workers.every((worker) => worker.terminated),
+            'A worker wasn\'t terminated'
+          );
+          return pool.run({ data: new Buffer(16), cipherMode: 'ecb' });
+        })
+        .then(() => assert.fail('run() resolved after the pool was closed'))
+        .catch((err) => assert.match(err.message, /closed/));
+    });
+  });
+});
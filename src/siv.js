@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * File containing AES-SIV, the deterministic authenticated encryption of
+ * RFC 5297. S2V, a chain of CMACs over the associated data and the
+ * plaintext, gives a synthetic IV that is both the tag and the initial
+ * counter block for CTR mode. The same input always gives the same output,
+ * and reusing a nonce only reveals whether two messages are equal
+ */
+
+const { AuthenticationError, DecryptionError } = require('./errors');
+const {
+  getCipher, constantTimeEqual, xorBlocks,
+} = require('./implementation');
+const { cmac, double } = require('./cmac');
+
+/* Size of the synthetic IV in front of the ciphertext */
+const ivSize = 16;
+
+/* Sizes in bytes of the double-length keys, half of which is the CMAC key
+ * and half the CTR key */
+const sivKeySizes = [32, 48, 64];
+
+/* S2V takes at most 127 components, the last of which is the plaintext,
+ * RFC 5297 section 7 */
+const maxAssociatedData = 126;
+
+/**
+ * @description - Encrypts the plaintext with AES-SIV
+ * @param {Buffer} key - 32, 48 or 64 bytes: the CMAC key followed by the
+ * CTR key, both of the same size
+ * @param {Buffer} plainText
+ * @param {Buffer[]} [associatedData=[]] - components authenticated along
+ * with the plaintext but not encrypted. For nonce-based use the nonce is the
+ * last component
+ * @param {Object} [options={}]
+ * @param {String} [options.backend='table'] - AES backend both halves of
+ * the key are expanded for, see {@link AES}
+ * @return {Buffer} - the 16 byte synthetic IV followed by the ciphertext
+ */
+function sivEncrypt(key, plainText, associatedData, options) {
+  const { macCipher, ctrCipher } = splitKey(key, options);
+  validateInput(plainText, 'plainText');
+  associatedData = getAssociatedData(associatedData);
+
+  const iv = s2v(macCipher, associatedData.concat([plainText]));
+  return Buffer.concat([iv, ctrCipher.ctr(plainText, getCounter(iv))]);
+}
+
+/**
+ * @description - Decrypts the output of {@link sivEncrypt} and verifies the
+ * synthetic IV. Nothing is returned if it doesn't match
+ * @param {Buffer} key - the key given to {@link sivEncrypt}
+ * @param {Buffer} cipherText - the synthetic IV followed by the ciphertext
+ * @param {Buffer[]} [associatedData=[]] - the components given to
+ * {@link sivEncrypt}, in the same order
+ * @param {Object} [options={}] - see {@link sivEncrypt}
+ * @return {Buffer}
+ */
+function sivDecrypt(key, cipherText, associatedData, options) {
+  const { macCipher, ctrCipher } = splitKey(key, options);
+  validateInput(cipherText, 'cipherText');
+  associatedData = getAssociatedData(associatedData);
+  if (cipherText.length < ivSize) {
+    throw new DecryptionError('Input is too short to contain the ' +
+      'synthetic IV');
+  }
+
+  const iv = cipherText.slice(0, ivSize);
+  const plainText = ctrCipher.ctr(cipherText.slice(ivSize), getCounter(iv));
+  const expectedIv = s2v(macCipher, associatedData.concat([plainText]));
+  if (!constantTimeEqual(expectedIv, iv)) {
+    plainText.fill(0);
+    throw new AuthenticationError('Authentication failed: the ciphertext, ' +
+      'associated data or key is invalid');
+  }
+
+  return plainText;
+}
+
+/**
+ * @description - The S2V function of RFC 5297 section 2.4, which turns a
+ * vector of strings into a single 16 byte tag with CMAC
+ * @param {AES} aes - the CMAC key
+ * @param {Buffer[]} components - the associated data followed by the
+ * plaintext
+ * @return {Buffer}
+ */
+function s2v(aes, components) {
+  const zero = new Buffer(ivSize).fill(0);
+  if (components.length === 0) {
+    const one = new Buffer(zero);
+    one[ivSize - 1] = 0x01;
+    return cmac(aes, one);
+  }
+
+  let d = cmac(aes, zero);
+  for (const component of components.slice(0, -1)) {
+    d = xorBlocks(double(d), cmac(aes, component));
+  }
+
+  const last = components[components.length - 1];
+  let t;
+  if (last.length >= ivSize) {
+    // xorend: D is XORed into the end of the last component
+    t = new Buffer(last);
+    const end = t.length - ivSize;
+    xorBlocks(t.slice(end), d).copy(t, end);
+  } else {
+    const padded = new Buffer(zero);
+    last.copy(padded);
+    padded[last.length] = 0x80;
+    t = xorBlocks(double(d), padded);
+  }
+
+  return cmac(aes, t);
+}
+
+/**
+ * @description - Turns the synthetic IV into the initial counter block by
+ * clearing the top bit of its last two 32-bit words, so implementations
+ * that only carry within 64 or 32 bits still agree
+ * @param {Buffer} iv
+ * @return {Buffer}
+ */
+function getCounter(iv) {
+  const counter = new Buffer(iv);
+  counter[8] &= 0x7f;
+  counter[12] &= 0x7f;
+
+  return counter;
+}
+
+/**
+ * @description - Splits the double-length key into the CMAC and CTR keys
+ * and expands them
+ * @param {Buffer} key
+ * @param {Object} [options={}]
+ * @return {Object} - the macCipher and ctrCipher
+ */
+function splitKey(key, options) {
+  if (!Buffer.isBuffer(key) || sivKeySizes.indexOf(key.length) === -1) {
+    throw new Error('AES-SIV needs a Buffer holding a 256, 384 or 512-bit ' +
+      'key, twice the size of the AES key');
+  }
+
+  const half = key.length / 2;
+  return {
+    macCipher: getCipher(key.slice(0, half), options),
+    ctrCipher: getCipher(key.slice(half), options),
+  };
+}
+
+/**
+ * @description - Validates the associated data components
+ * @param {Buffer[]} [associatedData=[]]
+ * @return {Buffer[]}
+ */
+function getAssociatedData(associatedData) {
+  if (associatedData === undefined) {
+    return [];
+  }
+  if (!Array.isArray(associatedData) ||
+    !associatedData.every((component) => Buffer.isBuffer(component))) {
+    throw new Error('\'associatedData\' must be an array of Buffers');
+  }
+  if (associatedData.length > maxAssociatedData) {
+    throw new Error(`AES-SIV takes at most ${maxAssociatedData} associated ` +
+      'data components');
+  }
+
+  return associatedData;
+}
+
+/**
+ * @description - Checks the plaintext or ciphertext is a Buffer
+ * @param {Buffer} input
+ * @param {String} name - name of the argument for the error message
+ */
+function validateInput(input, name) {
+  if (!Buffer.isBuffer(input)) {
+    throw new Error(`'${name}' must be a Buffer`);
+  }
+}
+
+module.exports = {
+  sivEncrypt,
+  sivDecrypt,
+  s2v,
+};
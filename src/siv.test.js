@@ -0,0 +1,264 @@
+/**
+ * Unit test suite for the siv js file
+ */
+
+const crypto = require('crypto');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('siv.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the siv module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getSiv(overrides = {}) {
+    return proxyquire('./siv.js', overrides);
+  }
+
+  // RFC 5297, appendix A.1: deterministic authenticated encryption
+  const deterministic = {
+    key: new Buffer(
+      'fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff', //eslint-disable-line
+      'hex'
+    ),
+    associatedData: [
+      new Buffer('101112131415161718191a1b1c1d1e1f2021222324252627', 'hex'),
+    ],
+    plainText: new Buffer('112233445566778899aabbccddee', 'hex'),
+    s2v: '85632d07c6e8f37f950acd320a2ecc93',
+    output: '85632d07c6e8f37f950acd320a2ecc9340c02b9690c4dc04daef7f6afe5c',
+  };
+
+  // RFC 5297, appendix A.2: nonce-based authenticated encryption, with the
+  // nonce as the last associated data component
+  const nonceBased = {
+    key: new Buffer(
+      '7f7e7d7c7b7a79787776757473727170404142434445464748494a4b4c4d4e4f', //eslint-disable-line
+      'hex'
+    ),
+    associatedData: [
+      new Buffer(
+        '00112233445566778899aabbccddeeffdeaddadadeaddadaffeeddccbbaa9988' + //eslint-disable-line
+        '7766554433221100',
+        'hex'
+      ),
+      new Buffer('102030405060708090a0', 'hex'),
+      new Buffer('09f911029d74e35bd84156c5635688c0', 'hex'),
+    ],
+    plainText: new Buffer(
+      '7468697320697320736f6d6520706c61696e7465787420746f20656e6372797074' + //eslint-disable-line
+      '207573696e67205349562d414553',
+      'hex'
+    ),
+    s2v: '7bdb6e3b432667eb06f4d14bff2fbd0f',
+    output:
+      '7bdb6e3b432667eb06f4d14bff2fbd0fcb900f2fddbe404326601965c889bf17' + //eslint-disable-line
+      'dba77ceb094fa663b7a3f748ba8af829ea64ad544a272e9c485b62a3fd5c0d',
+  };
+
+  describe('s2v()', function() {
+    [deterministic, nonceBased].forEach(function(testCase, i) {
+      it(`Computes the synthetic IV of RFC 5297 example A.${i + 1}`,
+        function() {
+          const { AES } = require('./implementation');
+          const { s2v } = getSiv();
+          const { key, associatedData, plainText } = testCase;
+          const iv = s2v(new AES(key.slice(0, key.length / 2)),
+            associatedData.concat([plainText])
+          );
+          assert.equal(iv.toString('hex'), testCase.s2v);
+        });
+    });
+
+    it('Computes the CMAC of the one block for no components', function() {
+      const { AES } = require('./implementation');
+      const { cmac } = require('./cmac');
+      const { s2v } = getSiv();
+      const aes = new AES(deterministic.key.slice(0, 16));
+      const one = new Buffer(16).fill(0);
+      one[15] = 0x01;
+      assert.deepEqual(s2v(aes, []), cmac(aes, one));
+    });
+  });
+
+  describe('sivEncrypt()', function() {
+    it('Matches RFC 5297 example A.1', function() {
+      const { sivEncrypt } = getSiv();
+      const { key, associatedData, plainText, output } = deterministic;
+      assert.equal(
+        sivEncrypt(key, plainText, associatedData).toString('hex'), output
+      );
+    });
+
+    it('Matches RFC 5297 example A.2', function() {
+      const { sivEncrypt } = getSiv();
+      const { key, associatedData, plainText, output } = nonceBased;
+      assert.equal(
+        sivEncrypt(key, plainText, associatedData).toString('hex'), output
+      );
+    });
+
+    it('Expands the key for options.backend', function() {
+      const cmacModule = require('./cmac');
+      const backends = [];
+      const { sivEncrypt, sivDecrypt } = getSiv({
+        './cmac': Object.assign({}, cmacModule, {
+          cmac: (aes, message) => {
+            backends.push(aes.backend);
+            return cmacModule.cmac(aes, message);
+          },
+        }),
+      });
+      const options = { backend: 'constant-time' };
+      const { key, associatedData, plainText, output } = deterministic;
+      const cipherText = sivEncrypt(key, plainText, associatedData, options);
+
+      assert.equal(cipherText.toString('hex'), output);
+      assert.deepEqual(
+        sivDecrypt(key, cipherText, associatedData, options), plainText
+      );
+      assert.deepEqual(backends, new Array(6).fill('constant-time'));
+    });
+
+    [48, 64].forEach(function(keyLength) {
+      it(`Encrypts with AES-${keyLength * 4} in CTR mode for a ` +
+        `${keyLength * 8}-bit key`, function() {
+        const { AES } = require('./implementation');
+        const { sivEncrypt, s2v } = getSiv();
+        const key = crypto.randomBytes(keyLength);
+        const plainText = crypto.randomBytes(100);
+        const associatedData = [crypto.randomBytes(20), crypto.randomBytes(3)];
+        const output = sivEncrypt(key, plainText, associatedData);
+
+        const half = keyLength / 2;
+        const iv = s2v(new AES(key.slice(0, half)),
+          associatedData.concat([plainText])
+        );
+        const counter = new Buffer(iv);
+        counter[8] &= 0x7f;
+        counter[12] &= 0x7f;
+        const cipher = crypto.createCipheriv(
+          `aes-${half * 8}-ctr`, key.slice(half), counter
+        );
+        const expected = Buffer.concat([
+          iv, cipher.update(plainText), cipher.final(),
+        ]);
+        assert.deepEqual(output, expected);
+      });
+    });
+
+    it('Is deterministic', function() {
+      const { sivEncrypt } = getSiv();
+      const { key, associatedData, plainText } = nonceBased;
+      assert.deepEqual(
+        sivEncrypt(key, plainText, associatedData),
+        sivEncrypt(key, plainText, associatedData)
+      );
+    });
+
+    it('Encrypts empty plaintext to the synthetic IV alone', function() {
+      const { sivEncrypt, sivDecrypt } = getSiv();
+      const output = sivEncrypt(deterministic.key, new Buffer(0));
+      assert.equal(output.length, 16);
+      assert.equal(sivDecrypt(deterministic.key, output).length, 0);
+    });
+
+    it('Throws for a key that isn\'t double length', function() {
+      const { sivEncrypt } = getSiv();
+      assert.throws(function() {
+        sivEncrypt(crypto.randomBytes(16), new Buffer('plaintext'));
+      }, /AES-SIV needs a Buffer holding a 256, 384 or 512-bit key/);
+    });
+
+    it('Throws for associated data that isn\'t an array of Buffers',
+      function() {
+        const { sivEncrypt } = getSiv();
+        assert.throws(function() {
+          sivEncrypt(deterministic.key, new Buffer('plaintext'), 'header');
+        }, /'associatedData' must be an array of Buffers/);
+      });
+
+    it('Throws for more than 126 associated data components', function() {
+      const { sivEncrypt } = getSiv();
+      const associatedData = new Array(127).fill(new Buffer(0));
+      assert.throws(function() {
+        sivEncrypt(deterministic.key, new Buffer('plaintext'), associatedData);
+      }, /at most 126 associated data components/);
+    });
+  });
+
+  describe('sivDecrypt()', function() {
+    [deterministic, nonceBased].forEach(function(testCase, i) {
+      it(`Decrypts RFC 5297 example A.${i + 1}`, function() {
+        const { sivDecrypt } = getSiv();
+        const { key, associatedData, plainText, output } = testCase;
+        assert.deepEqual(
+          sivDecrypt(key, new Buffer(output, 'hex'), associatedData),
+          plainText
+        );
+      });
+    });
+
+    [48, 64].forEach(function(keyLength) {
+      it(`Round trips with a ${keyLength * 8}-bit key`, function() {
+        const { sivEncrypt, sivDecrypt } = getSiv();
+        const key = crypto.randomBytes(keyLength);
+        const plainText = crypto.randomBytes(33);
+        const associatedData = [crypto.randomBytes(16)];
+        const output = sivEncrypt(key, plainText, associatedData);
+        assert.deepEqual(sivDecrypt(key, output, associatedData), plainText);
+      });
+    });
+
+    it('Throws an AuthenticationError for a changed ciphertext', function() {
+      const { AuthenticationError } = require('./errors');
+      const { sivDecrypt } = getSiv();
+      const { key, associatedData, output } = nonceBased;
+      [0, 16, 46].forEach(function(index) {
+        const changed = new Buffer(output, 'hex');
+        changed[index] ^= 0x01;
+        assert.throws(function() {
+          sivDecrypt(key, changed, associatedData);
+        }, AuthenticationError);
+      });
+    });
+
+    it('Throws an AuthenticationError for changed, missing or reordered ' +
+      'associated data', function() {
+      const { AuthenticationError } = require('./errors');
+      const { sivDecrypt } = getSiv();
+      const { key, associatedData } = nonceBased;
+      const output = new Buffer(nonceBased.output, 'hex');
+      const changed = associatedData.map((component) => new Buffer(component));
+      changed[2][0] ^= 0x01;
+      [
+        changed,
+        associatedData.slice(1),
+        [associatedData[1], associatedData[0], associatedData[2]],
+      ].forEach(function(wrong) {
+        assert.throws(function() {
+          sivDecrypt(key, output, wrong);
+        }, AuthenticationError);
+      });
+    });
+
+    it('Throws an AuthenticationError under another key', function() {
+      const { AuthenticationError } = require('./errors');
+      const { sivDecrypt } = getSiv();
+      const { associatedData, output } = deterministic;
+      assert.throws(function() {
+        sivDecrypt(nonceBased.key, new Buffer(output, 'hex'), associatedData);
+      }, AuthenticationError);
+    });
+
+    it('Throws a DecryptionError for input shorter than the IV', function() {
+      const { DecryptionError } = require('./errors');
+      const { sivDecrypt } = getSiv();
+      assert.throws(function() {
+        sivDecrypt(deterministic.key, new Buffer(15));
+      }, DecryptionError, /too short to contain the synthetic IV/);
+    });
+  });
+});
@@ -0,0 +1,423 @@
+'use strict';
+
+/**
+ * File containing Transform streams that encrypt and decrypt with AES
+ * without loading the whole input into memory
+ */
+
+const stream = require('stream');
+
+const {
+  authenticatedCipherModes,
+  getCipherMode,
+  getBackend,
+  getPaddingScheme,
+  createHeader,
+  readHeader,
+  getDecryptionKey,
+  createIv,
+  expandKey,
+  getKeySize,
+  encryptBlocks,
+  decryptBlocks,
+  ctr,
+} = require('./implementation');
+const { DecryptionError } = require('./errors');
+const { padInput, removePaddingFromInput } = require('./padding');
+const { kdfHeaderSize, createPasswordKey } = require('./kdf');
+const { maxHeaderSize } = require('./container');
+
+const stateSize = 16;
+
+/**
+ * A Transform stream that encrypts everything written to it. Only a partial
+ * block is buffered between chunks, and the padding is added when the
+ * stream is flushed
+ */
+class EncryptStream extends stream.Transform {
+  /**
+   * @constructor
+   * @param {Object} options - see {@link createEncryptStream}
+   */
+  constructor(options) {
+    super();
+
+    validateStreamOptions(options);
+    this.cipherMode = getCipherMode(options);
+    this.padding = this.cipherMode === 'ctr' ?
+      null : getPaddingScheme(options);
+    this.remainder = new Buffer(0);
+    this.offset = 0;
+    this.headerWritten = false;
+
+    let key = options.key;
+    let kdfParameters = new Buffer(0);
+    if (options.password) {
+      const passwordKey = createPasswordKey(options.password, options);
+      key = passwordKey.key;
+      kdfParameters = passwordKey.header;
+    }
+    const {
+      keySchedule, numberOfRounds, keySize, backend,
+    } = expandKey(key, options);
+    this.keySchedule = keySchedule;
+    this.numberOfRounds = numberOfRounds;
+    this.backend = backend;
+
+    this.iv = createIv(this.cipherMode);
+    this.previousBlock = this.iv;
+    this.header = createHeader({
+      keySize,
+      cipherMode: this.cipherMode,
+      padding: this.padding,
+      kdfParameters,
+      iv: this.iv,
+    }, options);
+  }
+
+  /**
+   * @description - Encrypts every complete block of the chunk and buffers
+   * the rest until the next chunk
+   * @param {Buffer} chunk
+   * @param {String} encoding
+   * @param {Function} callback
+   */
+  _transform(chunk, encoding, callback) {
+    this.writeHeader();
+
+    if (this.cipherMode === 'ctr') {
+      this.push(ctr(
+        chunk,
+        this.keySchedule,
+        this.numberOfRounds,
+        this.iv,
+        this.offset,
+        this.backend
+      ));
+      this.offset += chunk.length;
+      callback();
+      return;
+    }
+
+    const data = Buffer.concat([this.remainder, chunk]);
+    const length = data.length - data.length % stateSize;
+    this.remainder = data.slice(length);
+    if (length > 0) {
+      this.push(this.encryptBlocks(data.slice(0, length)));
+    }
+    callback();
+  }
+
+  /**
+   * @description - Pads and encrypts whatever is left in the buffer
+   * @param {Function} callback
+   */
+  _flush(callback) {
+    this.writeHeader();
+
+    if (this.cipherMode !== 'ctr') {
+      let data;
+      try {
+        data = padInput(this.remainder, this.padding);
+      } catch (err) {
+        callback(err);
+        return;
+      }
+      if (data.length > 0) {
+        this.push(this.encryptBlocks(data));
+      }
+    }
+    callback();
+  }
+
+  /**
+   * @description - Pushes the header in front of the output the first time
+   * it's called
+   */
+  writeHeader() {
+    if (!this.headerWritten && this.header.length > 0) {
+      this.push(this.header);
+    }
+    this.headerWritten = true;
+  }
+
+  /**
+   * @description - Encrypts a buffer of whole blocks in ECB or CBC mode,
+   * chaining it to the blocks encrypted before it
+   * @param {Buffer} data - a multiple of 16 bytes
+   * @return {Buffer}
+   */
+  encryptBlocks(data) {
+    const output = encryptBlocks(
+      data,
+      this.keySchedule,
+      this.numberOfRounds,
+      this.cipherMode,
+      this.previousBlock,
+      this.backend
+    );
+    this.previousBlock = output.slice(output.length - stateSize);
+
+    return output;
+  }
+}
+
+/**
+ * A Transform stream that decrypts everything written to it. The header is
+ * buffered until it can be read, and the last block is held back until the
+ * stream is flushed since it contains the padding
+ */
+class DecryptStream extends stream.Transform {
+  /**
+   * @constructor
+   * @param {Object} options - see {@link createDecryptStream}
+   */
+  constructor(options) {
+    super();
+
+    validateStreamOptions(options);
+    this.options = options;
+    this.remainder = new Buffer(0);
+    this.offset = 0;
+    this.keySchedule = null;
+
+    // buffer enough input to be sure the whole header has been read
+    this.headerSize = maxHeaderSize;
+    if (options.container === false) {
+      const cipherMode = getCipherMode(options);
+      this.headerSize = (options.password ? kdfHeaderSize : 0) +
+        (cipherMode === 'ecb' ? 0 : stateSize);
+    }
+  }
+
+  /**
+   * @description - Decrypts every block of the chunk that can't be the last
+   * block and buffers the rest until the next chunk
+   * @param {Buffer} chunk
+   * @param {String} encoding
+   * @param {Function} callback
+   */
+  _transform(chunk, encoding, callback) {
+    let data = Buffer.concat([this.remainder, chunk]);
+    this.remainder = new Buffer(0);
+
+    if (!this.keySchedule) {
+      if (data.length < this.headerSize) {
+        this.remainder = data;
+        callback();
+        return;
+      }
+      try {
+        data = this.readHeader(data);
+      } catch (err) {
+        callback(err);
+        return;
+      }
+    }
+
+    this.decryptData(data);
+    callback();
+  }
+
+  /**
+   * @description - Decrypts the last block and removes its padding
+   * @param {Function} callback
+   */
+  _flush(callback) {
+    try {
+      if (!this.keySchedule) {
+        this.decryptData(this.readHeader(this.remainder));
+      }
+      this.decryptFinal();
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback();
+  }
+
+  /**
+   * @description - Reads the header and expands the key it was encrypted
+   * with
+   * @param {Buffer} data - input starting with the header
+   * @return {Buffer} - the input after the header
+   */
+  readHeader(data) {
+    const parameters = readHeader(data, this.options);
+    validateStreamCipherMode(parameters.cipherMode);
+
+    const {
+      keySchedule, decryptionSchedule, numberOfRounds, backend,
+    } = expandKey(
+      getDecryptionKey(this.options.key, parameters, this.options),
+      this.options
+    );
+    this.keySchedule = keySchedule;
+    this.decryptionSchedule = decryptionSchedule;
+    this.numberOfRounds = numberOfRounds;
+    this.backend = backend;
+    this.cipherMode = parameters.cipherMode;
+    this.padding = parameters.padding;
+    this.iv = parameters.iv;
+    this.previousBlock = parameters.iv;
+
+    return data.slice(parameters.headerLength);
+  }
+
+  /**
+   * @description - Decrypts the data after the header, keeping back the
+   * last block in ECB and CBC mode
+   * @param {Buffer} data
+   */
+  decryptData(data) {
+    if (this.cipherMode === 'ctr') {
+      this.push(ctr(
+        data,
+        this.keySchedule,
+        this.numberOfRounds,
+        this.iv,
+        this.offset,
+        this.backend
+      ));
+      this.offset += data.length;
+      return;
+    }
+
+    // always keep at least one byte so the last block is decrypted on flush
+    const length = data.length > 0 ?
+      Math.floor((data.length - 1) / stateSize) * stateSize : 0;
+    this.remainder = data.slice(length);
+    if (length > 0) {
+      this.push(this.decryptBlocks(data.slice(0, length)));
+    }
+  }
+
+  /**
+   * @description - Decrypts the last block in ECB and CBC mode and removes
+   * its padding
+   */
+  decryptFinal() {
+    if (this.cipherMode === 'ctr') {
+      return;
+    }
+
+    // zero and none padding don't add a block to empty input
+    if (this.remainder.length === 0 &&
+      (this.padding === 'zero' || this.padding === 'none')) {
+      return;
+    }
+
+    if (this.remainder.length !== stateSize) {
+      throw new DecryptionError(
+        `Input isn't a multiple of ${stateSize}. Aborting`
+      );
+    }
+
+    this.push(removePaddingFromInput(
+      this.decryptBlocks(this.remainder), this.padding
+    ));
+  }
+
+  /**
+   * @description - Decrypts a buffer of whole blocks in ECB or CBC mode,
+   * chaining it to the blocks decrypted before it
+   * @param {Buffer} data - a multiple of 16 bytes
+   * @return {Buffer}
+   */
+  decryptBlocks(data) {
+    const output = decryptBlocks(
+      data,
+      this.decryptionSchedule,
+      this.numberOfRounds,
+      this.cipherMode,
+      this.previousBlock,
+      this.backend
+    );
+    this.previousBlock = data.slice(data.length - stateSize);
+
+    return output;
+  }
+}
+
+/**
+ * @description - Rejects the cipher modes that can't be streamed
+ * @param {String} cipherMode
+ */
+function validateStreamCipherMode(cipherMode) {
+  if (authenticatedCipherModes.indexOf(cipherMode) !== -1) {
+    throw new Error(`The ${cipherMode} cipher mode can't be streamed since ` +
+      'the tag has to be verified before any output is written');
+  }
+}
+
+/**
+ * @description - Validates the options given to a stream
+ * @param {Object} options
+ */
+function validateStreamOptions(options) {
+  if (!options || (!options.key && !options.password)) {
+    throw new Error('\'options.key\' cannot be undefined');
+  }
+
+  validateStreamCipherMode(getCipherMode(options));
+
+  getBackend(options);
+
+  if (options.key && !options.password && options.keySize &&
+    getKeySize(options.key) !== options.keySize) {
+    throw new Error(`Invalid key for ${options.keySize}-bit algorithm`);
+  }
+}
+
+/**
+ * @description - Creates a Transform stream that encrypts its input with AES.
+ * The output is the same as {@link encrypt} would write
+ * @param {Object} options
+ * @param {Buffer|AES} [options.key] - required unless options.password is
+ * given
+ * @param {Number} [options.keySize] - size of the key, either 128, 192 or 256
+ * bits. Defaults to the length of the key, or 256 bits with a password
+ * @param {String} [options.cipherMode='ecb'] - either 'ecb', 'cbc' or 'ctr'
+ * @param {String} [options.padding='pkcs7'] - padding scheme for ECB and CBC
+ * mode, see {@link encryptBufferSync}
+ * @param {String|Buffer} [options.password] - password to derive the key
+ * from instead of options.key, see {@link encryptBufferSync}
+ * @param {Boolean} [options.container=true] - whether to write the container
+ * header, see {@link encryptBufferSync}
+ * @param {String} [options.backend='table'] - either 'table' or
+ * 'constant-time', see {@link getBackend}
+ * @return {stream.Transform}
+ */
+function createEncryptStream(options) {
+  return new EncryptStream(options);
+}
+
+/**
+ * @description - Creates a Transform stream that decrypts input encrypted
+ * with {@link encrypt} or {@link createEncryptStream}. The cipher mode,
+ * padding and key size are read from the header
+ * @param {Object} options
+ * @param {Buffer|AES} [options.key] - required unless options.password is
+ * given
+ * @param {String|Buffer} [options.password] - password the input was
+ * encrypted with instead of a key
+ * @param {Number} [options.maxIterations=10000000] - highest PBKDF2
+ * iteration count to accept, see {@link decryptBufferSync}
+ * @param {Boolean} [options.container=true] - false to decrypt raw input,
+ * see {@link decryptBufferSync}
+ * @param {Number} [options.keySize] - key size of raw input
+ * @param {String} [options.cipherMode='ecb'] - cipher mode of raw input,
+ * either 'ecb', 'cbc' or 'ctr'
+ * @param {String} [options.padding='pkcs7'] - padding scheme of raw input
+ * @param {String} [options.backend='table'] - either 'table' or
+ * 'constant-time', see {@link getBackend}
+ * @return {stream.Transform}
+ */
+function createDecryptStream(options) {
+  return new DecryptStream(options);
+}
+
+module.exports = {
+  createEncryptStream,
+  createDecryptStream,
+};
@@ -0,0 +1,381 @@
+/**
+ * Integration test suite for streams.js
+ */
+
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+const { assert } = require('chai');
+
+describe('streams.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the streams module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getStreams(overrides = {}) {
+    return proxyquire('./streams.js', overrides);
+  }
+
+  /**
+   * @description - Writes the chunks to the stream and collects its output
+   * @param {stream.Transform} transform
+   * @param {Array} chunks - array of buffers
+   * @return {Promise<Buffer>}
+   */
+  function runStream(transform, chunks) {
+    return new Promise(function(resolve, reject) {
+      const output = [];
+      transform.on('data', (data) => output.push(data));
+      transform.on('error', reject);
+      transform.on('end', () => resolve(Buffer.concat(output)));
+
+      chunks.forEach((chunk) => transform.write(chunk));
+      transform.end();
+    });
+  }
+
+  /**
+   * @description - Splits the buffer into chunks of the given sizes, repeating
+   * the sizes until the whole buffer is used
+   * @param {Buffer} buffer
+   * @param {Array} sizes
+   * @return {Array}
+   */
+  function splitIntoChunks(buffer, sizes) {
+    const chunks = [];
+    let offset = 0;
+    for (let i = 0; offset < buffer.length; ++i) {
+      const size = sizes[i % sizes.length];
+      chunks.push(buffer.slice(offset, offset + size));
+      offset += size;
+    }
+
+    return chunks;
+  }
+
+  describe('createEncryptStream()', function() {
+    // Same test cases as the ones for encrypt() in implementation.spec.js,
+    // which were created with X.923 padding
+    const testCases = [
+      {
+        key: '00000000000000000000000000000000',
+        plainText: 'fffe00000000000000000000000000001122334455667788',
+        cipherText: '64B4D629810FDA6BAFDF08F3B0D8D2C58FB3E06A29F06558BBD8DF7220982AD5', //eslint-disable-line
+      },
+      {
+        key: '8e73b0f7da0e6452c810f32b809079e562f8ead2522c6b7b',
+        plainText: '000000000000000000000000000000001122334455667788',
+        cipherText: '22452d8e49a8a5939f7321ceea6d514b1601db9e80f3275e93a31be9894b1af9', //eslint-disable-line
+      },
+      {
+        key: 'fffffffffffffffffffffffffffffffffffffffffffffffffffffffe00000000',
+        plainText: '000000000000000000000000000000001122334455667788',
+        cipherText: '1E38E759075BA5CAB6457DA51844295AAAADC62FBA7EB7E8010345A00EB4E109', //eslint-disable-line
+      },
+    ];
+
+    testCases.forEach(function(testCase) {
+      const key = new Buffer(testCase.key, 'hex');
+      const plainText = new Buffer(testCase.plainText, 'hex');
+      const cipherText = new Buffer(testCase.cipherText, 'hex');
+
+      it(`Correctly encrypts chunked input for ${key.length * 8}-bit key`,
+        function() {
+          const { createEncryptStream } = getStreams();
+          const transform = createEncryptStream({
+            key, padding: 'x923', container: false,
+          });
+
+          return runStream(transform, splitIntoChunks(plainText, [5, 11, 3]))
+            .then(function(output) {
+              assert(output.compare(cipherText) === 0,
+                `createEncryptStream() didn't return expected output. ` +
+                `Expected ${output.toString('hex')} ` +
+                `to equal ${cipherText.toString('hex')}`
+              );
+            });
+        }
+      );
+    });
+
+    it('Pads empty input to a whole block', function() {
+      const { createEncryptStream } = getStreams();
+      const transform = createEncryptStream({
+        key: new Buffer(16).fill(0), container: false,
+      });
+
+      return runStream(transform, [])
+        .then(function(output) {
+          assert.equal(output.length, 16,
+            'createEncryptStream() didn\'t output a single block of padding'
+          );
+        });
+    });
+
+    it('Refuses the gcm cipher mode', function() {
+      const { createEncryptStream } = getStreams();
+      assert.throws(function() {
+        createEncryptStream({ key: new Buffer(16).fill(0), cipherMode: 'gcm' });
+      }, /can't be streamed/);
+    });
+
+    it('Refuses the cbc-hmac cipher mode', function() {
+      const { createEncryptStream } = getStreams();
+      assert.throws(function() {
+        createEncryptStream({
+          key: new Buffer(16).fill(0), cipherMode: 'cbc-hmac',
+        });
+      }, /The cbc-hmac cipher mode can't be streamed/);
+    });
+  });
+
+  describe('createDecryptStream()', function() {
+    const keys = [
+      new Buffer('000102030405060708090a0b0c0d0e0f', 'hex'),
+      new Buffer('000102030405060708090a0b0c0d0e0f1011121314151617', 'hex'),
+      new Buffer(
+        '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+        'hex'
+      ),
+    ];
+    const plainTexts = [
+      new Buffer(0),
+      new Buffer('sixteen byte msg'),
+      new Buffer('A multi-GB backup runs out of memory when read whole'),
+    ];
+
+    ['ecb', 'cbc', 'ctr'].forEach(function(cipherMode) {
+      keys.forEach(function(key) {
+        plainTexts.forEach(function(plainText) {
+          it(`Decrypts ${plainText.length}-byte input encrypted in ` +
+            `${cipherMode} mode for ${key.length * 8}-bit key`, function() {
+            const {
+              createEncryptStream, createDecryptStream,
+            } = getStreams();
+            const options = { key, cipherMode };
+
+            return runStream(
+              createEncryptStream(options),
+              splitIntoChunks(plainText, [7, 16, 1])
+            )
+              .then(function(cipherText) {
+                return runStream(
+                  createDecryptStream(options),
+                  splitIntoChunks(cipherText, [3, 20, 16])
+                );
+              })
+              .then(function(output) {
+                assert(output.compare(plainText) === 0,
+                  `createDecryptStream() didn't return expected output. ` +
+                  `Expected ${output.toString('hex')} ` +
+                  `to equal ${plainText.toString('hex')}`
+                );
+              });
+          });
+        });
+      });
+    });
+
+    ['pkcs7', 'x923', 'iso7816', 'zero', 'none'].forEach(function(padding) {
+      it(`Decrypts input encrypted with ${padding} padding`, function() {
+        const {
+          createEncryptStream, createDecryptStream,
+        } = getStreams();
+        const options = { key: keys[0], cipherMode: 'cbc', padding };
+        const plainText = new Buffer('thirty-two bytes that get padded');
+
+        return runStream(
+          createEncryptStream(options),
+          splitIntoChunks(plainText, [7, 16, 1])
+        )
+          .then(function(cipherText) {
+            return runStream(
+              createDecryptStream(options),
+              splitIntoChunks(cipherText, [3, 20, 16])
+            );
+          })
+          .then(function(output) {
+            assert(output.compare(plainText) === 0,
+              `createDecryptStream() didn't return expected output. ` +
+              `Expected ${output.toString('hex')} ` +
+              `to equal ${plainText.toString('hex')}`
+            );
+          });
+      });
+    });
+
+    ['cbc', 'ctr'].forEach(function(cipherMode) {
+      it(`Decrypts input encrypted with a password in ${cipherMode} mode`,
+        function() {
+          const {
+            createEncryptStream, createDecryptStream,
+          } = getStreams();
+          const { decryptBufferSync } = require('./implementation');
+          const options = { password: 'hunter2', iterations: 1000, cipherMode };
+          const plainText = plainTexts[2];
+
+          return runStream(
+            createEncryptStream(options),
+            splitIntoChunks(plainText, [7, 16, 1])
+          )
+            .then(function(cipherText) {
+              // the same format as the in-memory API
+              assert(
+                decryptBufferSync(null, cipherText, options)
+                  .compare(plainText) === 0,
+                'decryptBufferSync() couldn\'t decrypt the stream output'
+              );
+              // split the key derivation header across chunks
+              return runStream(
+                createDecryptStream(options),
+                splitIntoChunks(cipherText, [3, 20, 16])
+              );
+            })
+            .then(function(output) {
+              assert(output.compare(plainText) === 0,
+                `createDecryptStream() didn't return expected output. ` +
+                `Expected ${output.toString('hex')} ` +
+                `to equal ${plainText.toString('hex')}`
+              );
+            });
+        }
+      );
+    });
+
+    it('Errors when the input is too short for the key derivation header',
+      function() {
+        const { createDecryptStream } = getStreams();
+        const transform = createDecryptStream({
+          password: 'hunter2', container: false,
+        });
+
+        return runStream(transform, [new Buffer(10)])
+          .then(function() {
+            assert.fail('createDecryptStream() didn\'t emit an error');
+          }, function(err) {
+            assert.match(err.message, /too short/);
+          });
+      }
+    );
+
+    it('Takes an AES instance as the key', function() {
+      const { createEncryptStream, createDecryptStream } = getStreams();
+      const { AES } = require('./implementation');
+      const aes = new AES(keys[2]);
+      const plainText = plainTexts[2];
+
+      return runStream(
+        createEncryptStream({ key: aes, keySize: 256, cipherMode: 'cbc' }),
+        [plainText]
+      )
+        .then(function(cipherText) {
+          return runStream(createDecryptStream({ key: aes }), [cipherText]);
+        })
+        .then(function(output) {
+          assert(output.compare(plainText) === 0,
+            `createDecryptStream() didn't return expected output. ` +
+            `Expected ${output.toString('hex')} ` +
+            `to equal ${plainText.toString('hex')}`
+          );
+        });
+    });
+
+    ['cbc', 'ctr'].forEach(function(cipherMode) {
+      it(`Decrypts ${cipherMode} with the constant-time backend`, function() {
+        const { createEncryptStream, createDecryptStream } = getStreams();
+        const plainText = plainTexts[1];
+        const options = {
+          key: keys[1], cipherMode, backend: 'constant-time',
+        };
+
+        return runStream(
+          createEncryptStream(options), splitIntoChunks(plainText, [5, 17])
+        )
+          .then(function(cipherText) {
+            return runStream(
+              createDecryptStream(options), splitIntoChunks(cipherText, [3])
+            );
+          })
+          .then(function(output) {
+            assert(output.compare(plainText) === 0,
+              `createDecryptStream() didn't return expected output. ` +
+              `Expected ${output.toString('hex')} ` +
+              `to equal ${plainText.toString('hex')}`
+            );
+          });
+      });
+    });
+
+    it('Throws for an unknown backend', function() {
+      const { createDecryptStream } = getStreams();
+      assert.throws(function() {
+        createDecryptStream({ key: keys[0], backend: 'bitsliced' });
+      }, /Invalid backend 'bitsliced'/);
+    });
+
+    it('Reads the cipher mode and padding from the header', function() {
+      const { createDecryptStream } = getStreams();
+      const { encryptBufferSync } = require('./implementation');
+      const plainText = plainTexts[2];
+      const cipherText = encryptBufferSync(keys[1], plainText, {
+        cipherMode: 'cbc', padding: 'x923',
+      });
+
+      // feed the header a byte at a time
+      return runStream(
+        createDecryptStream({ key: keys[1] }),
+        splitIntoChunks(cipherText, [1])
+      )
+        .then(function(output) {
+          assert(output.compare(plainText) === 0,
+            `createDecryptStream() didn't return expected output. ` +
+            `Expected ${output.toString('hex')} ` +
+            `to equal ${plainText.toString('hex')}`
+          );
+        });
+    });
+
+    it('Errors with a FormatError for input without the header', function() {
+      const { createDecryptStream } = getStreams();
+      const { FormatError } = require('./errors');
+
+      return runStream(
+        createDecryptStream({ key: keys[0] }), [new Buffer(600).fill(0)]
+      )
+        .then(function() {
+          assert.fail('createDecryptStream() didn\'t emit an error');
+        }, function(err) {
+          assert.instanceOf(err, FormatError);
+        });
+    });
+
+    it('Errors with a PaddingError when the padding is invalid', function() {
+      const { createDecryptStream } = getStreams();
+      const { PaddingError } = require('./errors');
+      // the FIPS-197 ciphertext, which decrypts to a block ending in 0xff
+      const key = new Buffer('000102030405060708090a0b0c0d0e0f', 'hex');
+      const input = new Buffer('69c4e0d86a7b0430d8cdb78070b4c55a', 'hex');
+
+      return runStream(createDecryptStream({ key, container: false }), [input])
+        .then(function() {
+          assert.fail('createDecryptStream() didn\'t emit an error');
+        }, function(err) {
+          assert.instanceOf(err, PaddingError);
+        });
+    });
+
+    it('Errors when the input isn\'t a multiple of 16 bytes', function() {
+      const { createDecryptStream } = getStreams();
+      const transform = createDecryptStream({
+        key: new Buffer(16).fill(0), container: false,
+      });
+
+      return runStream(transform, [new Buffer(33).fill(0)])
+        .then(function() {
+          assert.fail('createDecryptStream() didn\'t emit an error');
+        }, function(err) {
+          assert.match(err.message, /multiple of 16/);
+        });
+    });
+  });
+});
@@ -0,0 +1,281 @@
+'use strict';
+
+/**
+ * File containing the lookup tables of AES and the T-table core built on
+ * them. The T-tables combine SubBytes, ShiftRows and MixColumns, or their
+ * inverses, into four lookups per column, so a block is encrypted with
+ * 32-bit words held in local variables instead of the state arrays used by
+ * cipher() and inverseCipher(), which remain the reference implementation
+ */
+
+/* Precomputed multiplication in the AES algorithm. */
+const sBox = [
+  0x63, 0x7c, 0x77, 0x7b, 0xf2, 0x6b, 0x6f, 0xc5, 0x30, 0x01, 0x67, 0x2b, 0xfe,
+  0xd7, 0xab, 0x76, 0xca, 0x82, 0xc9, 0x7d, 0xfa, 0x59, 0x47, 0xf0, 0xad, 0xd4,
+  0xa2, 0xaf, 0x9c, 0xa4, 0x72, 0xc0, 0xb7, 0xfd, 0x93, 0x26, 0x36, 0x3f, 0xf7,
+  0xcc, 0x34, 0xa5, 0xe5, 0xf1, 0x71, 0xd8, 0x31, 0x15, 0x04, 0xc7, 0x23, 0xc3,
+  0x18, 0x96, 0x05, 0x9a, 0x07, 0x12, 0x80, 0xe2, 0xeb, 0x27, 0xb2, 0x75, 0x09,
+  0x83, 0x2c, 0x1a, 0x1b, 0x6e, 0x5a, 0xa0, 0x52, 0x3b, 0xd6, 0xb3, 0x29, 0xe3,
+  0x2f, 0x84, 0x53, 0xd1, 0x00, 0xed, 0x20, 0xfc, 0xb1, 0x5b, 0x6a, 0xcb, 0xbe,
+  0x39, 0x4a, 0x4c, 0x58, 0xcf, 0xd0, 0xef, 0xaa, 0xfb, 0x43, 0x4d, 0x33, 0x85,
+  0x45, 0xf9, 0x02, 0x7f, 0x50, 0x3c, 0x9f, 0xa8, 0x51, 0xa3, 0x40, 0x8f, 0x92,
+  0x9d, 0x38, 0xf5, 0xbc, 0xb6, 0xda, 0x21, 0x10, 0xff, 0xf3, 0xd2, 0xcd, 0x0c,
+  0x13, 0xec, 0x5f, 0x97, 0x44, 0x17, 0xc4, 0xa7, 0x7e, 0x3d, 0x64, 0x5d, 0x19,
+  0x73, 0x60, 0x81, 0x4f, 0xdc, 0x22, 0x2a, 0x90, 0x88, 0x46, 0xee, 0xb8, 0x14,
+  0xde, 0x5e, 0x0b, 0xdb, 0xe0, 0x32, 0x3a, 0x0a, 0x49, 0x06, 0x24, 0x5c, 0xc2,
+  0xd3, 0xac, 0x62, 0x91, 0x95, 0xe4, 0x79, 0xe7, 0xc8, 0x37, 0x6d, 0x8d, 0xd5,
+  0x4e, 0xa9, 0x6c, 0x56, 0xf4, 0xea, 0x65, 0x7a, 0xae, 0x08, 0xba, 0x78, 0x25,
+  0x2e, 0x1c, 0xa6, 0xb4, 0xc6, 0xe8, 0xdd, 0x74, 0x1f, 0x4b, 0xbd, 0x8b, 0x8a,
+  0x70, 0x3e, 0xb5, 0x66, 0x48, 0x03, 0xf6, 0x0e, 0x61, 0x35, 0x57, 0xb9, 0x86,
+  0xc1, 0x1d, 0x9e, 0xe1, 0xf8, 0x98, 0x11, 0x69, 0xd9, 0x8e, 0x94, 0x9b, 0x1e,
+  0x87, 0xe9, 0xce, 0x55, 0x28, 0xdf, 0x8c, 0xa1, 0x89, 0x0d, 0xbf, 0xe6, 0x42,
+  0x68, 0x41, 0x99, 0x2d, 0x0f, 0xb0, 0x54, 0xbb, 0x16,
+];
+
+/* Precomputed inverse multiplication in the AES algorithm. */
+const invSBox = [
+  0x52, 0x09, 0x6a, 0xd5, 0x30, 0x36, 0xa5, 0x38, 0xbf, 0x40, 0xa3, 0x9e, 0x81,
+  0xf3, 0xd7, 0xfb, 0x7c, 0xe3, 0x39, 0x82, 0x9b, 0x2f, 0xff, 0x87, 0x34, 0x8e,
+  0x43, 0x44, 0xc4, 0xde, 0xe9, 0xcb, 0x54, 0x7b, 0x94, 0x32, 0xa6, 0xc2, 0x23,
+  0x3d, 0xee, 0x4c, 0x95, 0x0b, 0x42, 0xfa, 0xc3, 0x4e, 0x08, 0x2e, 0xa1, 0x66,
+  0x28, 0xd9, 0x24, 0xb2, 0x76, 0x5b, 0xa2, 0x49, 0x6d, 0x8b, 0xd1, 0x25, 0x72,
+  0xf8, 0xf6, 0x64, 0x86, 0x68, 0x98, 0x16, 0xd4, 0xa4, 0x5c, 0xcc, 0x5d, 0x65,
+  0xb6, 0x92, 0x6c, 0x70, 0x48, 0x50, 0xfd, 0xed, 0xb9, 0xda, 0x5e, 0x15, 0x46,
+  0x57, 0xa7, 0x8d, 0x9d, 0x84, 0x90, 0xd8, 0xab, 0x00, 0x8c, 0xbc, 0xd3, 0x0a,
+  0xf7, 0xe4, 0x58, 0x05, 0xb8, 0xb3, 0x45, 0x06, 0xd0, 0x2c, 0x1e, 0x8f, 0xca,
+  0x3f, 0x0f, 0x02, 0xc1, 0xaf, 0xbd, 0x03, 0x01, 0x13, 0x8a, 0x6b, 0x3a, 0x91,
+  0x11, 0x41, 0x4f, 0x67, 0xdc, 0xea, 0x97, 0xf2, 0xcf, 0xce, 0xf0, 0xb4, 0xe6,
+  0x73, 0x96, 0xac, 0x74, 0x22, 0xe7, 0xad, 0x35, 0x85, 0xe2, 0xf9, 0x37, 0xe8,
+  0x1c, 0x75, 0xdf, 0x6e, 0x47, 0xf1, 0x1a, 0x71, 0x1d, 0x29, 0xc5, 0x89, 0x6f,
+  0xb7, 0x62, 0x0e, 0xaa, 0x18, 0xbe, 0x1b, 0xfc, 0x56, 0x3e, 0x4b, 0xc6, 0xd2,
+  0x79, 0x20, 0x9a, 0xdb, 0xc0, 0xfe, 0x78, 0xcd, 0x5a, 0xf4, 0x1f, 0xdd, 0xa8,
+  0x33, 0x88, 0x07, 0xc7, 0x31, 0xb1, 0x12, 0x10, 0x59, 0x27, 0x80, 0xec, 0x5f,
+  0x60, 0x51, 0x7f, 0xa9, 0x19, 0xb5, 0x4a, 0x0d, 0x2d, 0xe5, 0x7a, 0x9f, 0x93,
+  0xc9, 0x9c, 0xef, 0xa0, 0xe0, 0x3b, 0x4d, 0xae, 0x2a, 0xf5, 0xb0, 0xc8, 0xeb,
+  0xbb, 0x3c, 0x83, 0x53, 0x99, 0x61, 0x17, 0x2b, 0x04, 0x7e, 0xba, 0x77, 0xd6,
+  0x26, 0xe1, 0x69, 0x14, 0x63, 0x55, 0x21, 0x0c, 0x7d,
+];
+
+/**
+ * @description - Multiplies a byte by x, or 0x02, in the Galois Field(2^8)
+ * @param {Number} a
+ * @return {Number}
+ */
+function xtime(a) {
+  return ((a << 1) ^ (a & 0x80 ? 0x1b : 0)) & 0xff;
+}
+
+/**
+ * @description - Creates four tables where each is the previous one with
+ * every word rotated right by one byte
+ * @param {Function} getWord - returns the word for a byte in the first table
+ * @return {Array<Uint32Array>}
+ */
+function createTables(getWord) {
+  const tables = [0, 1, 2, 3].map(() => new Uint32Array(256));
+  for (let x = 0; x < 256; ++x) {
+    let word = getWord(x);
+    for (let t = 0; t < 4; ++t) {
+      tables[t][x] = word;
+      word = ((word >>> 8) | (word << 24)) >>> 0;
+    }
+  }
+
+  return tables;
+}
+
+/* Te0[x] is the column MixColumns produces from S[x] in the first row,
+ * {02}S[x], S[x], S[x], {03}S[x]. Te1 to Te3 are the same for the other
+ * rows */
+const [Te0, Te1, Te2, Te3] = createTables(function(x) {
+  const s = sBox[x];
+  const s2 = xtime(s);
+  return ((s2 << 24) | (s << 16) | (s << 8) | (s2 ^ s)) >>> 0;
+});
+
+/* Td0[x] is the column InvMixColumns produces from S^-1[x] in the first
+ * row, {0e}S^-1[x], {09}S^-1[x], {0d}S^-1[x], {0b}S^-1[x]. Combining them
+ * relies on the round keys of the equivalent inverse cipher */
+const [Td0, Td1, Td2, Td3] = createTables(function(x) {
+  const s = invSBox[x];
+  const s2 = xtime(s);
+  const s4 = xtime(s2);
+  const s8 = xtime(s4);
+  return (((s8 ^ s4 ^ s2) << 24) | ((s8 ^ s) << 16) |
+    ((s8 ^ s4 ^ s) << 8) | (s8 ^ s2 ^ s)) >>> 0;
+});
+
+/**
+ * @description - Converts a key schedule created with keyExpansion() into
+ * one 32-bit word per column
+ * @param {Array} keySchedule
+ * @return {Uint32Array}
+ */
+function createRoundKeys(keySchedule) {
+  const roundKeys = new Uint32Array(keySchedule.length);
+  for (let i = 0; i < keySchedule.length; ++i) {
+    const word = keySchedule[i];
+    roundKeys[i] = (word[0] << 24) | (word[1] << 16) | (word[2] << 8) |
+      word[3];
+  }
+
+  return roundKeys;
+}
+
+/**
+ * @description - Encrypts the 16 byte block at the offset of the input into
+ * the output. The input and output can be the same block, and nothing is
+ * allocated
+ * @param {Buffer} input
+ * @param {Number} inputOffset
+ * @param {Buffer} output
+ * @param {Number} outputOffset
+ * @param {Uint32Array} roundKeys - schedule created with
+ * {@link createRoundKeys}
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ */
+function fastCipher(
+  input, inputOffset, output, outputOffset, roundKeys, numberOfRounds
+) {
+  let s0 = readWord(input, inputOffset) ^ roundKeys[0];
+  let s1 = readWord(input, inputOffset + 4) ^ roundKeys[1];
+  let s2 = readWord(input, inputOffset + 8) ^ roundKeys[2];
+  let s3 = readWord(input, inputOffset + 12) ^ roundKeys[3];
+
+  let k = 4;
+  for (let round = 1; round < numberOfRounds; ++round) {
+    const t0 = Te0[s0 >>> 24] ^ Te1[(s1 >>> 16) & 0xff] ^
+      Te2[(s2 >>> 8) & 0xff] ^ Te3[s3 & 0xff] ^ roundKeys[k];
+    const t1 = Te0[s1 >>> 24] ^ Te1[(s2 >>> 16) & 0xff] ^
+      Te2[(s3 >>> 8) & 0xff] ^ Te3[s0 & 0xff] ^ roundKeys[k + 1];
+    const t2 = Te0[s2 >>> 24] ^ Te1[(s3 >>> 16) & 0xff] ^
+      Te2[(s0 >>> 8) & 0xff] ^ Te3[s1 & 0xff] ^ roundKeys[k + 2];
+    const t3 = Te0[s3 >>> 24] ^ Te1[(s0 >>> 16) & 0xff] ^
+      Te2[(s1 >>> 8) & 0xff] ^ Te3[s2 & 0xff] ^ roundKeys[k + 3];
+    s0 = t0;
+    s1 = t1;
+    s2 = t2;
+    s3 = t3;
+    k += 4;
+  }
+
+  // the last round has no MixColumns
+  const t0 = substituteWord(sBox, s0, s1, s2, s3) ^ roundKeys[k];
+  const t1 = substituteWord(sBox, s1, s2, s3, s0) ^ roundKeys[k + 1];
+  const t2 = substituteWord(sBox, s2, s3, s0, s1) ^ roundKeys[k + 2];
+  const t3 = substituteWord(sBox, s3, s0, s1, s2) ^ roundKeys[k + 3];
+  writeWord(output, outputOffset, t0);
+  writeWord(output, outputOffset + 4, t1);
+  writeWord(output, outputOffset + 8, t2);
+  writeWord(output, outputOffset + 12, t3);
+}
+
+/**
+ * @description - Decrypts the 16 byte block at the offset of the input into
+ * the output with the equivalent inverse cipher, so it takes the same four
+ * lookups per column as {@link fastCipher}. The input and output can be the
+ * same block, and nothing is allocated
+ * @param {Buffer} input
+ * @param {Number} inputOffset
+ * @param {Buffer} output
+ * @param {Number} outputOffset
+ * @param {Uint32Array} roundKeys - schedule created with
+ * {@link createRoundKeys} from the output of createDecryptionKeySchedule()
+ * @param {Number} numberOfRounds - either 10, 12 or 14 for 128-bit,
+ * 192-bit or 256-bit keys respectively
+ */
+function fastInverseCipher(
+  input, inputOffset, output, outputOffset, roundKeys, numberOfRounds
+) {
+  let k = 4 * numberOfRounds;
+  let s0 = readWord(input, inputOffset) ^ roundKeys[k];
+  let s1 = readWord(input, inputOffset + 4) ^ roundKeys[k + 1];
+  let s2 = readWord(input, inputOffset + 8) ^ roundKeys[k + 2];
+  let s3 = readWord(input, inputOffset + 12) ^ roundKeys[k + 3];
+
+  for (let round = numberOfRounds - 1; round >= 1; --round) {
+    k -= 4;
+    const t0 = Td0[s0 >>> 24] ^ Td1[(s3 >>> 16) & 0xff] ^
+      Td2[(s2 >>> 8) & 0xff] ^ Td3[s1 & 0xff] ^ roundKeys[k];
+    const t1 = Td0[s1 >>> 24] ^ Td1[(s0 >>> 16) & 0xff] ^
+      Td2[(s3 >>> 8) & 0xff] ^ Td3[s2 & 0xff] ^ roundKeys[k + 1];
+    const t2 = Td0[s2 >>> 24] ^ Td1[(s1 >>> 16) & 0xff] ^
+      Td2[(s0 >>> 8) & 0xff] ^ Td3[s3 & 0xff] ^ roundKeys[k + 2];
+    const t3 = Td0[s3 >>> 24] ^ Td1[(s2 >>> 16) & 0xff] ^
+      Td2[(s1 >>> 8) & 0xff] ^ Td3[s0 & 0xff] ^ roundKeys[k + 3];
+    s0 = t0;
+    s1 = t1;
+    s2 = t2;
+    s3 = t3;
+  }
+
+  // the last round has no InvMixColumns
+  const t0 = substituteWord(invSBox, s0, s3, s2, s1) ^ roundKeys[0];
+  const t1 = substituteWord(invSBox, s1, s0, s3, s2) ^ roundKeys[1];
+  const t2 = substituteWord(invSBox, s2, s1, s0, s3) ^ roundKeys[2];
+  const t3 = substituteWord(invSBox, s3, s2, s1, s0) ^ roundKeys[3];
+  writeWord(output, outputOffset, t0);
+  writeWord(output, outputOffset + 4, t1);
+  writeWord(output, outputOffset + 8, t2);
+  writeWord(output, outputOffset + 12, t3);
+}
+
+/**
+ * @description - Builds a column out of the first byte of a, the second of
+ * b, the third of c and the last of d, run through the S-box. With the
+ * columns passed in shifted order this is SubBytes and ShiftRows, or their
+ * inverses, for one column
+ * @param {Array} box - either the sBox or the invSBox
+ * @param {Number} a
+ * @param {Number} b
+ * @param {Number} c
+ * @param {Number} d
+ * @return {Number}
+ */
+function substituteWord(box, a, b, c, d) {
+  return (box[a >>> 24] << 24) | (box[(b >>> 16) & 0xff] << 16) |
+    (box[(c >>> 8) & 0xff] << 8) | box[d & 0xff];
+}
+
+/**
+ * @description - Reads a big-endian word from the buffer
+ * @param {Buffer} buffer
+ * @param {Number} offset
+ * @return {Number}
+ */
+function readWord(buffer, offset) {
+  return (buffer[offset] << 24) | (buffer[offset + 1] << 16) |
+    (buffer[offset + 2] << 8) | buffer[offset + 3];
+}
+
+/**
+ * @description - Writes a big-endian word into the buffer
+ * @param {Buffer} buffer
+ * @param {Number} offset
+ * @param {Number} word
+ */
+function writeWord(buffer, offset, word) {
+  buffer[offset] = word >>> 24;
+  buffer[offset + 1] = (word >>> 16) & 0xff;
+  buffer[offset + 2] = (word >>> 8) & 0xff;
+  buffer[offset + 3] = word & 0xff;
+}
+
+module.exports = {
+  sBox,
+  invSBox,
+  Te0,
+  Te1,
+  Te2,
+  Te3,
+  Td0,
+  Td1,
+  Td2,
+  Td3,
+  createRoundKeys,
+  fastCipher,
+  fastInverseCipher,
+  readWord,
+  writeWord,
+};
@@ -0,0 +1,143 @@
+/**
+ * Unit test suite for the tables js file
+ */
+
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('tables.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the tables module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getTables(overrides = {}) {
+    return proxyquire('./tables.js', overrides);
+  }
+
+  // the reference implementation the T-table core is compared against
+  const {
+    cipher,
+    inverseCipher,
+    keyExpansion,
+    createDecryptionKeySchedule,
+  } = require('./implementation');
+
+  const keyParameters = [
+    { keySize: 128, keyLength: 4, numberOfRounds: 10 },
+    { keySize: 192, keyLength: 6, numberOfRounds: 12 },
+    { keySize: 256, keyLength: 8, numberOfRounds: 14 },
+  ];
+
+  describe('T-tables', function() {
+    it('Combines the S-box with MixColumns', function() {
+      const { Te0, Te1, Te2, Te3 } = getTables();
+      // S[0x00] = 0x63, {02}0x63 = 0xc6 and {03}0x63 = 0xa5
+      assert.equal(Te0[0x00], 0xc66363a5);
+      assert.equal(Te1[0x00], 0xa5c66363);
+      assert.equal(Te2[0x00], 0x63a5c663);
+      assert.equal(Te3[0x00], 0x6363a5c6);
+    });
+
+    it('Combines the inverse S-box with InvMixColumns', function() {
+      const { Td0, Td1, Td2, Td3 } = getTables();
+      // S^-1[0x00] = 0x52, {0e}0x52 = 0x51, {09}0x52 = 0xf4, {0d}0x52 = 0xa7
+      // and {0b}0x52 = 0x50
+      assert.equal(Td0[0x00], 0x51f4a750);
+      assert.equal(Td1[0x00], 0x5051f4a7);
+      assert.equal(Td2[0x00], 0xa75051f4);
+      assert.equal(Td3[0x00], 0xf4a75051);
+    });
+  });
+
+  describe('createRoundKeys()', function() {
+    it('Packs every word of the key schedule big-endian', function() {
+      const { createRoundKeys } = getTables();
+      // Test vector taken from FIPS 197, Appendix A.1
+      const key = new Buffer('2b7e151628aed2a6abf7158809cf4f3c', 'hex');
+
+      const roundKeys = createRoundKeys(keyExpansion(key, 4, 4, 10));
+      assert.equal(roundKeys.length, 44);
+      assert.equal(roundKeys[0], 0x2b7e1516);
+      assert.equal(roundKeys[4], 0xa0fafe17);
+      assert.equal(roundKeys[43], 0xb6630ca6);
+    });
+  });
+
+  keyParameters.forEach(function({ keySize, keyLength, numberOfRounds }) {
+    // Test vectors taken from FIPS 197, Appendix C
+    const key = new Buffer('000102030405060708090a0b0c0d0e0f1011121314151617' +
+      '18191a1b1c1d1e1f', 'hex').slice(0, keySize / 8);
+    const input = new Buffer('00112233445566778899aabbccddeeff', 'hex');
+    const keySchedule = keyExpansion(key, 4, keyLength, numberOfRounds);
+    const decryptionKeySchedule = createDecryptionKeySchedule(
+      keySchedule, numberOfRounds
+    );
+
+    describe(`${keySize}-bit keys`, function() {
+      it('fastCipher() matches cipher() block after block', function() {
+        const { createRoundKeys, fastCipher } = getTables();
+        const roundKeys = createRoundKeys(keySchedule);
+
+        // feed each output back in as the next input
+        let block = input;
+        for (let i = 0; i < 100; ++i) {
+          const expected = cipher(block, keySchedule, numberOfRounds);
+          const output = new Buffer(16);
+          fastCipher(block, 0, output, 0, roundKeys, numberOfRounds);
+          assert(output.compare(expected) === 0,
+            `fastCipher() failed on block ${i}. Expected ` +
+              `${output.toString('hex')} to equal ${expected.toString('hex')}`
+          );
+          block = output;
+        }
+      });
+
+      it('fastInverseCipher() matches inverseCipher() block after block',
+        function() {
+          const { createRoundKeys, fastInverseCipher } = getTables();
+          const roundKeys = createRoundKeys(decryptionKeySchedule);
+
+          let block = input;
+          for (let i = 0; i < 100; ++i) {
+            const expected = inverseCipher(block, keySchedule, numberOfRounds);
+            const output = new Buffer(16);
+            fastInverseCipher(block, 0, output, 0, roundKeys, numberOfRounds);
+            assert(output.compare(expected) === 0,
+              `fastInverseCipher() failed on block ${i}. Expected ` +
+                `${output.toString('hex')} to equal ` +
+                `${expected.toString('hex')}`
+            );
+            block = output;
+          }
+        }
+      );
+
+      it('Works in place at an offset', function() {
+        const {
+          createRoundKeys,
+          fastCipher,
+          fastInverseCipher,
+        } = getTables();
+        const roundKeys = createRoundKeys(keySchedule);
+        const decryptionRoundKeys = createRoundKeys(decryptionKeySchedule);
+        const buffer = Buffer.concat([new Buffer(5).fill(0xff), input]);
+
+        fastCipher(buffer, 5, buffer, 5, roundKeys, numberOfRounds);
+        const expected = cipher(input, keySchedule, numberOfRounds);
+        assert(buffer.slice(5).compare(expected) === 0,
+          'fastCipher() didn\'t encrypt the block in place'
+        );
+
+        fastInverseCipher(
+          buffer, 5, buffer, 5, decryptionRoundKeys, numberOfRounds
+        );
+        assert(buffer.slice(5).compare(input) === 0,
+          'fastInverseCipher() didn\'t decrypt the block in place'
+        );
+        assert.equal(buffer.slice(0, 5).toString('hex'), 'ffffffffff');
+      });
+    });
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * File run by every thread of a {@link WorkerPool}. It encrypts or decrypts
+ * the chunks it's sent with the round keys shared by the pool and sends the
+ * output back
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+const { encryptBlocks, decryptBlocks, ctr } = require('./implementation');
+
+const roundKeys = new Uint32Array(workerData.roundKeys);
+const { numberOfRounds, backend } = workerData;
+
+parentPort.on('message', function(task) {
+  const data = Buffer.from(task.data.buffer, task.data.byteOffset,
+    task.data.length
+  );
+
+  let output;
+  try {
+    if (task.cipherMode === 'ctr') {
+      output = ctr(data, roundKeys, numberOfRounds, Buffer.from(task.iv),
+        task.offset, backend
+      );
+    } else if (task.decrypt) {
+      output = decryptBlocks(data, roundKeys, numberOfRounds, 'ecb', null,
+        backend
+      );
+    } else {
+      output = encryptBlocks(data, roundKeys, numberOfRounds, 'ecb', null,
+        backend
+      );
+    }
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+    return;
+  }
+
+  // copy the output so only its own bytes are sent back
+  const result = new Uint8Array(output);
+  parentPort.postMessage({ output: result }, [result.buffer]);
+});
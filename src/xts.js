@@ -0,0 +1,352 @@
+'use strict';
+
+/**
+ * File containing XTS-AES, the tweakable mode of IEEE 1619 and NIST
+ * SP 800-38E for encrypting storage sector by sector. Every sector is
+ * encrypted on its own with a tweak derived from its sector number, so a
+ * sector can be read or rewritten without touching its neighbours and the
+ * ciphertext is exactly as long as the plaintext
+ */
+
+const stream = require('stream');
+
+const { DecryptionError } = require('./errors');
+const {
+  getCipher, constantTimeEqual, xorBlocks,
+} = require('./implementation');
+
+/* Size of a block in bytes */
+const blockSize = 16;
+
+/* Sizes in bytes of the two concatenated keys: the data key followed by the
+ * tweak key, for XTS-AES-128 and XTS-AES-256 */
+const xtsKeySizes = [32, 64];
+
+/* IEEE 1619 limits a data unit to 2^20 blocks */
+const maximumSectorSize = Math.pow(2, 20) * blockSize;
+
+/* Low byte of the polynomial x^128 + x^7 + x^2 + x + 1 that reduces the
+ * tweak when it's multiplied by alpha */
+const reduction = 0x87;
+
+/**
+ * A Transform stream that encrypts or decrypts a disk image sector by
+ * sector. Only a partial sector is buffered between chunks, and a shorter
+ * last sector is processed when the stream is flushed
+ */
+class XtsStream extends stream.Transform {
+  /**
+   * @constructor
+   * @param {Object} options - see {@link createXtsEncryptStream}
+   * @param {Boolean} decrypting
+   */
+  constructor(options, decrypting) {
+    super();
+
+    if (!options) {
+      throw new Error('\'options.key\' cannot be undefined');
+    }
+    this.ciphers = splitKey(options.key, options);
+    this.sectorSize = getSectorSize(options.sectorSize);
+    this.sectorNumber = getSectorNumber(options.firstSector || 0);
+    this.decrypting = decrypting;
+    this.remainder = new Buffer(0);
+  }
+
+  /**
+   * @description - Processes every complete sector of the chunk and buffers
+   * the rest until the next chunk
+   * @param {Buffer} chunk
+   * @param {String} encoding
+   * @param {Function} callback
+   */
+  _transform(chunk, encoding, callback) {
+    const data = Buffer.concat([this.remainder, chunk]);
+    const length = data.length - data.length % this.sectorSize;
+    this.remainder = data.slice(length);
+
+    for (let offset = 0; offset < length; offset += this.sectorSize) {
+      this.push(this.processSector(
+        data.slice(offset, offset + this.sectorSize)
+      ));
+    }
+    callback();
+  }
+
+  /**
+   * @description - Processes the shorter last sector, if the image ends with
+   * one
+   * @param {Function} callback
+   */
+  _flush(callback) {
+    if (this.remainder.length > 0) {
+      try {
+        this.push(this.processSector(this.remainder));
+      } catch (err) {
+        callback(err);
+        return;
+      }
+    }
+    callback();
+  }
+
+  /**
+   * @description - Encrypts or decrypts the next sector
+   * @param {Buffer} data
+   * @return {Buffer}
+   */
+  processSector(data) {
+    validateSector(data, this.decrypting);
+    const output = xts(this.ciphers, this.sectorNumber, data, this.decrypting);
+    this.sectorNumber += 1;
+
+    return output;
+  }
+}
+
+/**
+ * @description - Encrypts a sector with XTS-AES
+ * @param {Buffer} key - 32 or 64 bytes: the data key followed by the tweak
+ * key, both of the same size but not equal
+ * @param {Number} sectorNumber - the data unit sequence number the tweak is
+ * made from, a non-negative integer
+ * @param {Buffer} data - at least 16 bytes, and at most 2^20 blocks. It
+ * doesn't have to be a multiple of 16 bytes
+ * @param {Object} [options={}]
+ * @param {String} [options.backend='table'] - AES backend the data and
+ * tweak keys are expanded for, see {@link AES}
+ * @return {Buffer} - as long as the data
+ */
+function encryptSector(key, sectorNumber, data, options) {
+  const ciphers = splitKey(key, options);
+  validateSector(data, false);
+
+  return xts(ciphers, getSectorNumber(sectorNumber), data, false);
+}
+
+/**
+ * @description - Decrypts a sector encrypted with {@link encryptSector}
+ * @param {Buffer} key - the key given to {@link encryptSector}
+ * @param {Number} sectorNumber - the sector number given to
+ * {@link encryptSector}
+ * @param {Buffer} data
+ * @param {Object} [options={}] - see {@link encryptSector}
+ * @return {Buffer}
+ */
+function decryptSector(key, sectorNumber, data, options) {
+  const ciphers = splitKey(key, options);
+  validateSector(data, true);
+
+  return xts(ciphers, getSectorNumber(sectorNumber), data, true);
+}
+
+/**
+ * @description - Encrypts or decrypts a sector. Whole blocks are XORed with
+ * their tweak before and after running through the block cipher. When the
+ * sector ends with a partial block, ciphertext stealing pads it with the
+ * end of the block before it and swaps the two, IEEE 1619 section 5.3.2
+ * @param {Object} ciphers - see {@link splitKey}
+ * @param {Number} sectorNumber
+ * @param {Buffer} data
+ * @param {Boolean} decrypting
+ * @return {Buffer}
+ */
+function xts(ciphers, sectorNumber, data, decrypting) {
+  const { dataCipher, tweakCipher } = ciphers;
+  const partialLength = data.length % blockSize;
+  const blockCount = Math.ceil(data.length / blockSize);
+  const tweaks = getTweaks(tweakCipher, sectorNumber, blockCount);
+
+  // every block before a stolen pair is independent, so they go through the
+  // block cipher in one call
+  const length = partialLength === 0 ?
+    data.length : data.length - partialLength - blockSize;
+  const output = new Buffer(data.length);
+  const tweakBlocks = tweaks.slice(0, length);
+  const masked = xorBlocks(data.slice(0, length), tweakBlocks);
+  xorBlocks(decrypting ?
+    dataCipher.decryptBlocks(masked, 'ecb') :
+    dataCipher.encryptBlocks(masked, 'ecb'),
+  tweakBlocks
+  ).copy(output);
+
+  if (partialLength === 0) {
+    return output;
+  }
+
+  // the last whole block is processed with the tweak of the partial block
+  // when decrypting, since that's the tweak its ciphertext was made with
+  const lastTweak = tweaks.slice(length, length + blockSize);
+  const partialTweak = tweaks.slice(length + blockSize);
+  const processBlock = (block, tweak) => xorBlocks(
+    decrypting ?
+      dataCipher.decryptBlock(xorBlocks(block, tweak)) :
+      dataCipher.encryptBlock(xorBlocks(block, tweak)),
+    tweak
+  );
+
+  const stolen = processBlock(
+    data.slice(length, length + blockSize),
+    decrypting ? partialTweak : lastTweak
+  );
+  const block = Buffer.concat([
+    data.slice(length + blockSize), stolen.slice(partialLength),
+  ]);
+  processBlock(block, decrypting ? lastTweak : partialTweak)
+    .copy(output, length);
+  stolen.copy(output, length + blockSize, 0, partialLength);
+
+  return output;
+}
+
+/**
+ * @description - Encrypts the sector number with the tweak key and
+ * multiplies it by alpha once per block to get the tweak of every block
+ * @param {AES} tweakCipher
+ * @param {Number} sectorNumber
+ * @param {Number} blockCount
+ * @return {Buffer} - blockCount tweaks of 16 bytes
+ */
+function getTweaks(tweakCipher, sectorNumber, blockCount) {
+  // the sector number is a 128-bit little-endian integer
+  const sector = new Buffer(blockSize).fill(0);
+  sector.writeUInt32LE(sectorNumber % 0x100000000, 0);
+  sector.writeUInt32LE(Math.floor(sectorNumber / 0x100000000), 4);
+
+  const tweaks = new Buffer(blockCount * blockSize);
+  let tweak = tweakCipher.encryptBlock(sector);
+  for (let i = 0; i < blockCount; ++i) {
+    tweak.copy(tweaks, i * blockSize);
+    tweak = multiplyByAlpha(tweak);
+  }
+
+  return tweaks;
+}
+
+/**
+ * @description - Multiplies a tweak by alpha, the primitive element x of
+ * GF(2^128). XTS stores the field element little-endian, so this is a left
+ * shift by one bit from the first byte to the last, with the bit carried out
+ * of the last byte reduced into the first. The reduction is masked in
+ * rather than branched on since the tweak is secret
+ * @param {Buffer} tweak - 16 bytes
+ * @return {Buffer}
+ */
+function multiplyByAlpha(tweak) {
+  const output = new Buffer(blockSize);
+  for (let i = blockSize - 1; i > 0; --i) {
+    output[i] = ((tweak[i] << 1) | (tweak[i - 1] >> 7)) & 0xff;
+  }
+  output[0] = ((tweak[0] << 1) ^
+    (reduction & -(tweak[blockSize - 1] >> 7))) & 0xff;
+
+  return output;
+}
+
+/**
+ * @description - Splits the key into the data and tweak keys and expands
+ * them. The two have to differ, as IEEE 1619-2018 and SP 800-38E require
+ * @param {Buffer} key
+ * @param {Object} [options={}]
+ * @return {Object} - the dataCipher and tweakCipher
+ */
+function splitKey(key, options) {
+  if (!Buffer.isBuffer(key) || xtsKeySizes.indexOf(key.length) === -1) {
+    throw new Error('XTS-AES needs a Buffer holding a 256 or 512-bit key, ' +
+      'the data key followed by the tweak key');
+  }
+
+  const half = key.length / 2;
+  if (constantTimeEqual(key.slice(0, half), key.slice(half))) {
+    throw new Error('XTS-AES needs a data key and a tweak key that differ, ' +
+      'not the same key twice');
+  }
+
+  return {
+    dataCipher: getCipher(key.slice(0, half), options),
+    tweakCipher: getCipher(key.slice(half), options),
+  };
+}
+
+/**
+ * @description - Checks the length of a sector
+ * @param {Buffer} data
+ * @param {Boolean} decrypting - whether a bad length is a
+ * {@link DecryptionError}
+ */
+function validateSector(data, decrypting) {
+  if (!Buffer.isBuffer(data)) {
+    throw new Error('Sector data must be a Buffer');
+  }
+  if (data.length < blockSize || data.length > maximumSectorSize) {
+    const message = `Sector of ${data.length} bytes is invalid, XTS needs ` +
+      `${blockSize} bytes to ${maximumSectorSize} bytes`;
+    throw decrypting ? new DecryptionError(message) : new Error(message);
+  }
+}
+
+/**
+ * @description - Validates a sector number
+ * @param {Number} sectorNumber
+ * @return {Number}
+ */
+function getSectorNumber(sectorNumber) {
+  if (!Number.isSafeInteger(sectorNumber) || sectorNumber < 0) {
+    throw new Error(`Invalid sector number '${sectorNumber}'`);
+  }
+
+  return sectorNumber;
+}
+
+/**
+ * @description - Validates the sector size of a stream
+ * @param {Number} [sectorSize=512]
+ * @return {Number}
+ */
+function getSectorSize(sectorSize) {
+  if (sectorSize === undefined) {
+    return 512;
+  }
+  if (!Number.isInteger(sectorSize) || sectorSize < blockSize ||
+    sectorSize > maximumSectorSize) {
+    throw new Error(`Invalid sector size '${sectorSize}'. Must be ` +
+      `${blockSize} bytes to ${maximumSectorSize} bytes`);
+  }
+
+  return sectorSize;
+}
+
+/**
+ * @description - Creates a Transform stream that encrypts a disk image with
+ * XTS-AES, one sector at a time. The image doesn't have to be a multiple of
+ * the sector size as long as the last sector is at least 16 bytes
+ * @param {Object} options
+ * @param {Buffer} options.key - see {@link encryptSector}
+ * @param {Number} [options.sectorSize=512] - size of a sector in bytes
+ * @param {Number} [options.firstSector=0] - sector number of the first
+ * sector in the stream
+ * @param {String} [options.backend='table'] - see {@link encryptSector}
+ * @return {stream.Transform}
+ */
+function createXtsEncryptStream(options) {
+  return new XtsStream(options, false);
+}
+
+/**
+ * @description - Creates a Transform stream that decrypts a disk image
+ * encrypted with {@link createXtsEncryptStream}
+ * @param {Object} options - the options the image was encrypted with, see
+ * {@link createXtsEncryptStream}
+ * @return {stream.Transform}
+ */
+function createXtsDecryptStream(options) {
+  return new XtsStream(options, true);
+}
+
+module.exports = {
+  xtsKeySizes,
+  encryptSector,
+  decryptSector,
+  createXtsEncryptStream,
+  createXtsDecryptStream,
+};
@@ -0,0 +1,320 @@
+/**
+ * Unit test suite for the xts js file
+ */
+
+const crypto = require('crypto');
+const stream = require('stream');
+const proxyquire = require('proxyquire').noPreserveCache().noCallThru();
+const { assert } = require('chai');
+
+describe('xts.js', function() {
+  /**
+   * @description - Helper function that uses proxyquire to retrieve and
+   *  evaluate the xts module
+   * @param {Object} [overrides={}]
+   * @return {Module}
+   */
+  function getXts(overrides = {}) {
+    return proxyquire('./xts.js', overrides);
+  }
+
+  /**
+   * @description - Encrypts a sector with OpenSSL, whose IV is the sector
+   * number as a 128-bit little-endian integer
+   * @param {Buffer} key
+   * @param {Number} sectorNumber
+   * @param {Buffer} data
+   * @return {Buffer}
+   */
+  function opensslEncrypt(key, sectorNumber, data) {
+    const iv = new Buffer(16).fill(0);
+    iv.writeUInt32LE(sectorNumber % 0x100000000, 0);
+    iv.writeUInt32LE(Math.floor(sectorNumber / 0x100000000), 4);
+    const cipher = crypto.createCipheriv(
+      `aes-${key.length * 4}-xts`, key, iv
+    );
+
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+  }
+
+  /**
+   * @description - Writes the input to the stream in chunks and collects
+   * the output
+   * @param {stream.Transform} transform
+   * @param {Buffer} input
+   * @param {Number} chunkSize
+   * @return {Promise<Buffer>}
+   */
+  function runStream(transform, input, chunkSize) {
+    return new Promise(function(resolve, reject) {
+      const output = [];
+      transform.on('data', (chunk) => output.push(chunk));
+      transform.on('error', reject);
+      transform.on('end', () => resolve(Buffer.concat(output)));
+
+      for (let i = 0; i < input.length; i += chunkSize) {
+        transform.write(input.slice(i, i + chunkSize));
+      }
+      transform.end();
+    });
+  }
+
+  // IEEE 1619-2007, appendix B. The data unit sequence number of vectors 15
+  // to 18 is printed as little-endian bytes. Vector 1 uses the same key
+  // twice, which is rejected
+  const stealingKey = new Buffer(
+    'fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0bfbebdbcbbbab9b8b7b6b5b4b3b2b1b0', //eslint-disable-line
+    'hex'
+  );
+  const vectors = [
+    {
+      name: '2',
+      key: Buffer.concat([
+        new Buffer(16).fill(0x11), new Buffer(16).fill(0x22),
+      ]),
+      sectorNumber: 0x3333333333,
+      plainText: new Buffer(32).fill(0x44),
+      cipherText:
+        'c454185e6a16936e39334038acef838bfb186fff7480adc4289382ecd6d394f0', //eslint-disable-line
+    },
+    {
+      name: '15',
+      key: stealingKey,
+      sectorNumber: 0x123456789a,
+      plainText: new Buffer('000102030405060708090a0b0c0d0e0f10', 'hex'),
+      cipherText: '6c1625db4671522d3d7599601de7ca09ed',
+    },
+    {
+      name: '16',
+      key: stealingKey,
+      sectorNumber: 0x123456789a,
+      plainText: new Buffer('000102030405060708090a0b0c0d0e0f1011', 'hex'),
+      cipherText: 'd069444b7a7e0cab09e24447d24deb1fedbf',
+    },
+    {
+      name: '17',
+      key: stealingKey,
+      sectorNumber: 0x123456789a,
+      plainText: new Buffer('000102030405060708090a0b0c0d0e0f101112', 'hex'),
+      cipherText: 'e5df1351c0544ba1350b3363cd8ef4beedbf9d',
+    },
+    {
+      name: '18',
+      key: stealingKey,
+      sectorNumber: 0x123456789a,
+      plainText: new Buffer('000102030405060708090a0b0c0d0e0f10111213', 'hex'),
+      cipherText: '9d84c813f719aa2c7be3f66171c7c5c2edbf9dac',
+    },
+  ];
+
+  describe('encryptSector()', function() {
+    vectors.forEach(function({ name, key, sectorNumber, plainText,
+      cipherText }) {
+      it(`Matches IEEE 1619 vector ${name}`, function() {
+        const { encryptSector } = getXts();
+        assert.equal(
+          encryptSector(key, sectorNumber, plainText).toString('hex'),
+          cipherText
+        );
+      });
+    });
+
+    it('Expands the key for options.backend', function() {
+      const implementation = require('./implementation');
+      const backends = [];
+      const { encryptSector, decryptSector, createXtsEncryptStream } = getXts({
+        './implementation': Object.assign({}, implementation, {
+          getCipher: (key, options) => {
+            backends.push(options.backend);
+            return implementation.getCipher(key, options);
+          },
+        }),
+      });
+      const key = crypto.randomBytes(32);
+      const data = crypto.randomBytes(100);
+      const backend = 'constant-time';
+      const cipherText = encryptSector(key, 3, data, { backend });
+
+      assert.deepEqual(cipherText, opensslEncrypt(key, 3, data));
+      assert.deepEqual(decryptSector(key, 3, cipherText, { backend }), data);
+      createXtsEncryptStream({ key, backend });
+      assert.deepEqual(backends, new Array(6).fill('constant-time'));
+    });
+
+    [32, 64].forEach(function(keyLength) {
+      [16, 31, 512, 527, 4096].forEach(function(length) {
+        it(`Matches OpenSSL for a ${length} byte sector with a ` +
+          `${keyLength * 8}-bit key`, function() {
+          const { encryptSector } = getXts();
+          const key = crypto.randomBytes(keyLength);
+          const data = crypto.randomBytes(length);
+          const sectorNumber = 0x1234567890;
+          assert.deepEqual(
+            encryptSector(key, sectorNumber, data),
+            opensslEncrypt(key, sectorNumber, data)
+          );
+        });
+      });
+    });
+
+    it('Gives every sector a different tweak', function() {
+      const { encryptSector } = getXts();
+      const key = crypto.randomBytes(32);
+      const data = new Buffer(32).fill(0);
+      const first = encryptSector(key, 0, data);
+      assert.notDeepEqual(encryptSector(key, 1, data), first);
+      // and every block within a sector
+      assert.notDeepEqual(first.slice(0, 16), first.slice(16));
+    });
+
+    it('Throws for a key that isn\'t two AES keys', function() {
+      const { encryptSector } = getXts();
+      [16, 24, 48].forEach(function(length) {
+        assert.throws(function() {
+          encryptSector(crypto.randomBytes(length), 0, new Buffer(16));
+        }, /XTS-AES needs a Buffer holding a 256 or 512-bit key/);
+      });
+    });
+
+    it('Throws for a key whose data and tweak halves are equal', function() {
+      const {
+        encryptSector, decryptSector, createXtsEncryptStream,
+      } = getXts();
+      const message = /needs a data key and a tweak key that differ/;
+      [16, 32].forEach(function(length) {
+        const half = crypto.randomBytes(length);
+        const key = Buffer.concat([half, half]);
+        assert.throws(() => encryptSector(key, 0, new Buffer(16)), message);
+        assert.throws(() => decryptSector(key, 0, new Buffer(16)), message);
+        assert.throws(() => createXtsEncryptStream({ key }), message);
+      });
+      // IEEE 1619 vector 1
+      assert.throws(function() {
+        encryptSector(new Buffer(32).fill(0), 0, new Buffer(32).fill(0));
+      }, message);
+    });
+
+    it('Throws for a sector shorter than a block', function() {
+      const { encryptSector } = getXts();
+      assert.throws(function() {
+        encryptSector(stealingKey, 0, new Buffer(15));
+      }, /Sector of 15 bytes is invalid/);
+    });
+
+    it('Throws for an invalid sector number', function() {
+      const { encryptSector } = getXts();
+      [-1, 1.5, Math.pow(2, 53), '1'].forEach(function(sectorNumber) {
+        assert.throws(function() {
+          encryptSector(stealingKey, sectorNumber, new Buffer(16));
+        }, /Invalid sector number/);
+      });
+    });
+  });
+
+  describe('decryptSector()', function() {
+    vectors.forEach(function({ name, key, sectorNumber, plainText,
+      cipherText }) {
+      it(`Decrypts IEEE 1619 vector ${name}`, function() {
+        const { decryptSector } = getXts();
+        assert.deepEqual(
+          decryptSector(key, sectorNumber, new Buffer(cipherText, 'hex')),
+          plainText
+        );
+      });
+    });
+
+    [17, 100, 4095].forEach(function(length) {
+      it(`Round trips a ${length} byte sector with a 512-bit key`,
+        function() {
+          const { encryptSector, decryptSector } = getXts();
+          const key = crypto.randomBytes(64);
+          const data = crypto.randomBytes(length);
+          const cipherText = encryptSector(key, 7, data);
+          assert.deepEqual(decryptSector(key, 7, cipherText), data);
+        });
+    });
+
+    it('Throws a DecryptionError for a sector shorter than a block',
+      function() {
+        const { DecryptionError } = require('./errors');
+        const { decryptSector } = getXts();
+        assert.throws(function() {
+          decryptSector(stealingKey, 0, new Buffer(8));
+        }, DecryptionError, /Sector of 8 bytes is invalid/);
+      });
+  });
+
+  describe('createXtsEncryptStream()', function() {
+    it('Encrypts each sector with its sector number', function() {
+      const { createXtsEncryptStream } = getXts();
+      const key = crypto.randomBytes(32);
+      const image = crypto.randomBytes(4096 * 3);
+      const transform = createXtsEncryptStream({
+        key, sectorSize: 4096, firstSector: 10,
+      });
+
+      return runStream(transform, image, 1000).then(function(output) {
+        assert.deepEqual(output, Buffer.concat([0, 1, 2].map((i) =>
+          opensslEncrypt(key, 10 + i, image.slice(i * 4096, (i + 1) * 4096))
+        )));
+      });
+    });
+
+    it('Uses 512 byte sectors by default', function() {
+      const { createXtsEncryptStream, encryptSector } = getXts();
+      const key = crypto.randomBytes(64);
+      const image = crypto.randomBytes(1024);
+
+      return runStream(createXtsEncryptStream({ key }), image, 300)
+        .then(function(output) {
+          assert.deepEqual(output.slice(512),
+            encryptSector(key, 1, image.slice(512))
+          );
+        });
+    });
+
+    it('Steals ciphertext for a shorter last sector', function() {
+      const { createXtsEncryptStream, createXtsDecryptStream } = getXts();
+      const key = crypto.randomBytes(32);
+      const image = crypto.randomBytes(512 + 100);
+
+      return runStream(createXtsEncryptStream({ key }), image, 64)
+        .then(function(cipherText) {
+          assert.equal(cipherText.length, image.length);
+          return runStream(createXtsDecryptStream({ key }), cipherText, 77);
+        })
+        .then(function(output) {
+          assert.deepEqual(output, image);
+        });
+    });
+
+    it('Emits an error for a last sector shorter than a block', function() {
+      const { createXtsEncryptStream } = getXts();
+      const transform = createXtsEncryptStream({
+        key: crypto.randomBytes(32),
+      });
+
+      return runStream(transform, new Buffer(512 + 10), 512).then(function() {
+        assert.fail('the stream should have emitted an error');
+      }, function(err) {
+        assert.match(err.message, /Sector of 10 bytes is invalid/);
+      });
+    });
+
+    it('Throws for an invalid sector size', function() {
+      const { createXtsEncryptStream } = getXts();
+      [8, 513.5, Math.pow(2, 24) + 1].forEach(function(sectorSize) {
+        assert.throws(function() {
+          createXtsEncryptStream({ key: crypto.randomBytes(32), sectorSize });
+        }, /Invalid sector size/);
+      });
+    });
+
+    it('Is a Transform stream', function() {
+      const { createXtsEncryptStream, createXtsDecryptStream } = getXts();
+      const key = crypto.randomBytes(32);
+      assert.instanceOf(createXtsEncryptStream({ key }), stream.Transform);
+      assert.instanceOf(createXtsDecryptStream({ key }), stream.Transform);
+    });
+  });
+});